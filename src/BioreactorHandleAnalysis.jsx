@@ -1,353 +1,490 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, PieChart, Pie, Cell, LineChart, Line, ScatterChart, Scatter, ZAxis, ErrorBar } from 'recharts';
 import _ from 'lodash';
 import * as math from 'mathjs';
-import Papa from 'papaparse';
+import DataImport from './components/DataImport';
+import RankingAnalysis from './components/RankingAnalysis';
+import AnalysisSettings from './components/AnalysisSettings';
+import BayesianAnalysis from './components/BayesianAnalysis';
+import AggregateWeights from './components/AggregateWeights';
+import DataQuality from './components/DataQuality';
+import PrivacyNotice from './components/PrivacyNotice';
+import ParticipantAudit from './components/ParticipantAudit';
+import MissingDataNote from './components/MissingDataNote';
+import ExportMenu from './components/ExportMenu';
+import StudyReport from './components/StudyReport';
+import Recommendations from './components/Recommendations';
+import ChartFrame from './components/ChartFrame';
+import CohortFilter from './components/CohortFilter';
+import CohortComparison from './components/CohortComparison';
+import FeedbackThemes from './components/FeedbackThemes';
+import CodingWorkspace from './components/CodingWorkspace';
+import SentimentAnalysis from './components/SentimentAnalysis';
+import FeedbackExplorer from './components/FeedbackExplorer';
+import ParticipantProfile from './components/ParticipantProfile';
+import { DEMO_DATA_URL, parseSurveyText, fetchDemoData, readFileAsText } from './utils/dataLoader';
+import { DEFAULT_STUDY_CONFIG } from './config/studyConfig';
+import { analyzeRankings } from './utils/rankAnalysis';
+import { analyzePosterior } from './utils/bayesian';
+import { buildResultTables } from './utils/resultsExport';
+import { collectChartFiles } from './utils/chartExport';
+import { createZip } from './utils/zip';
+import { downloadFile, fileBaseName } from './utils/download';
+import { readUrlState, writeUrlState, isNavigation } from './utils/urlState';
+import { NORMALIZATION_METHODS, defaultAggregateSettings, scoreParticipants, summarizeScores, analyzeWeightSensitivity } from './utils/aggregate';
+import { DEFAULT_SEED } from './utils/random';
+import { createStudy, getMetricValue } from './utils/study';
+import { validateResponses, defaultRowDecisions, applyRowDecisions } from './utils/validation';
+import { pseudonymizeRows } from './utils/privacy';
+import { findExclusions, resolveParticipantCode, loadWithdrawals, saveWithdrawals } from './utils/consent';
+import { MISSING_DATA_POLICIES, applyMissingDataPolicy } from './utils/missingData';
+import { EMPTY_FILTER, applyCohortFilter, filterOptions, describeFilter, isFilterActive } from './utils/cohort';
+import { splitCohorts, compareCohorts } from './utils/cohortComparison';
+import { analyzeFeedback } from './utils/textAnalysis';
+import { analyzeSentiment, sentimentScorer } from './utils/sentiment';
+import { codingParticipantIds } from './utils/coding';
+import { calculateStats, calculateCI, tTest, completePairs, pairedTTest, wilcoxonSignedRank, interpretCohenD, formatPValue, formatDf, adjustPValues, CORRECTION_METHODS, completeCases, repeatedMeasuresAnova, friedmanTest, CI_METHODS } from './utils/statistics';
 import './charts.css';
 
-const BioreactorHandleAnalysis = () => {
+const TABS = [
+  { id: 'overview', label: 'Overview' },
+  { id: 'insights', label: 'Key Insights' },
+  { id: 'stats', label: 'Statistical Analysis' },
+  { id: 'bayes', label: 'Bayesian Analysis' },
+  { id: 'metrics', label: 'Performance Metrics' },
+  { id: 'attributes', label: 'Best Attributes' },
+  { id: 'feedback', label: 'Qualitative Feedback' },
+  { id: 'coding', label: 'Coding' },
+  { id: 'demographics', label: 'Demographics' },
+  { id: 'compare', label: 'Compare Cohorts' }
+];
+
+// Recharts animates charts in for up to 1.5 s; wait for that before capturing a tab's charts
+const CHART_DRAW_DELAY = 1600;
+
+const TAB_IDS = TABS.map(t => t.id);
+
+const DEFAULT_TAB = 'overview';
+const DEFAULT_CORRECTION = 'holm';
+const DEFAULT_ANALYSIS_SETTINGS = { ciMethod: 't', seed: DEFAULT_SEED, missingData: 'pairwise' };
+
+// Settings restored from a link, on top of the defaults
+const analysisSettingsFromUrl = (urlState) => ({
+  ciMethod: urlState.ciMethod || DEFAULT_ANALYSIS_SETTINGS.ciMethod,
+  seed: urlState.seed ?? DEFAULT_ANALYSIS_SETTINGS.seed,
+  missingData: urlState.missingData || DEFAULT_ANALYSIS_SETTINGS.missingData
+});
+
+const aggregateSettingsFromUrl = (urlState, defaults) => ({
+  weights: { ...defaults.weights, ..._.pick(urlState.weights, Object.keys(defaults.weights)) },
+  normalization: urlState.normalization || defaults.normalization
+});
+
+// Only criteria on the study's demographic factors are taken from a link
+const cohortFilterFromUrl = (urlState, studyConfig) => {
+  if (!urlState.filter) return EMPTY_FILTER;
+  const factorIds = studyConfig.demographics.map(factor => factor.id);
+  return { ...urlState.filter, groups: _.pick(urlState.filter.groups, factorIds), ranges: _.pick(urlState.filter.ranges, factorIds) };
+};
+
+const NO_PARTICIPANTS_LEFT = 'At least one participant must remain in the analysis.';
+const NO_COHORT_MATCH = 'No participants match this cohort filter.';
+
+const BioreactorHandleAnalysis = ({ studyConfig = DEFAULT_STUDY_CONFIG }) => {
   const [data, setData] = useState([]);
+  const [rawData, setRawData] = useState([]);
+  const [validation, setValidation] = useState(null);
+  const [rowDecisions, setRowDecisions] = useState([]);
+  const [privacy, setPrivacy] = useState(null);
+  const [participation, setParticipation] = useState({ exclusions: [], withdrawals: [], unmatchedWithdrawals: 0, consentChecked: true });
+  const [fields, setFields] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [tab, setTab] = useState('overview');
+  // Tab and settings start from the link the page was opened with
+  const [initialUrlState] = useState(() => readUrlState(window.location.hash, TAB_IDS));
+  const [tab, setTab] = useState(initialUrlState.tab || DEFAULT_TAB);
+  const [showReport, setShowReport] = useState(false);
+  const [exportingCharts, setExportingCharts] = useState(false);
+  const pageRef = useRef(null);
   const [statisticalResults, setStatisticalResults] = useState(null);
   const [aggregateScores, setAggregateScores] = useState(null);
   const [demographicBreakdown, setDemographicBreakdown] = useState(null);
+  const [rankAnalysis, setRankAnalysis] = useState(null);
+  const [bayesianResults, setBayesianResults] = useState(null);
+  const [aggregateSettings, setAggregateSettings] = useState(() => aggregateSettingsFromUrl(initialUrlState, defaultAggregateSettings(studyConfig.metrics)));
+  const [weightSensitivity, setWeightSensitivity] = useState(null);
+  const [correctionMethod, setCorrectionMethod] = useState(initialUrlState.correctionMethod || DEFAULT_CORRECTION);
+  const [analysisSettings, setAnalysisSettings] = useState(() => analysisSettingsFromUrl(initialUrlState));
+  const [missingDataReport, setMissingDataReport] = useState(null);
+  const [cohortFilter, setCohortFilter] = useState(() => cohortFilterFromUrl(initialUrlState, studyConfig));
+  // Participants left after exclusions and data review, before the cohort filter
+  const [eligibleData, setEligibleData] = useState([]);
+  const [comparisonCohorts, setComparisonCohorts] = useState([EMPTY_FILTER, EMPTY_FILTER]);
+  // Row of the participant whose profile is open on the Statistical Analysis tab
+  const [profileIndex, setProfileIndex] = useState(null);
 
-  const COLORS = ['#0088FE', '#00C49F', '#FFBB28'];
-  const handleTypes = ['Rectangle Handle', 'Curved Handle', 'Circle Undergrip Handle'];
+  const study = useMemo(() => createStudy(studyConfig, fields), [studyConfig, fields]);
 
-  useEffect(() => {
-    const fetchData = async () => {
-      try {
-        // Use standard fetch API instead of window.fs
-        const response = await fetch('/bioreactor_survey_responses.csv');
-        const text = await response.text();
-        
-        const parsedData = Papa.parse(text, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          delimitersToGuess: [',', '\t', '|', ';']
-        });
-        
-        // Clean up any fields that should be numeric but contain text
-        parsedData.data.forEach(row => {
-          // For fields that should be numeric but might contain comments
-          const attemptFields = ['Number of Attempts', 'Number of Attempts_1', 'Number of Attempts_2'];
-          attemptFields.forEach(field => {
-            if (row[field] && typeof row[field] === 'string') {
-              // Extract just the numeric part (takes the first sequence of digits)
-              const numericPart = row[field].match(/^\d+/);
-              if (numericPart) {
-                row[field] = parseInt(numericPart[0], 10);
-              }
-            }
-          });
-        });
-        
-        setData(parsedData.data);
-        runStatisticalAnalysis(parsedData.data);
-        setLoading(false);
-      } catch (err) {
-        setError('Error loading data: ' + err.message);
-        setLoading(false);
+  // Permutation tests are slow enough that the comparison only reruns when its inputs change
+  const cohortComparison = useMemo(() => {
+    if (data.length === 0) return null;
+    const { cohorts, overlap } = splitCohorts(data, study, comparisonCohorts);
+    const comparable = overlap === 0 && cohorts.every(rows => rows.length >= 2);
+    return {
+      sizes: cohorts.map(rows => rows.length),
+      overlap,
+      measures: comparable ? compareCohorts(cohorts, study, { correctionMethod, seed: analysisSettings.seed }) : null
+    };
+  }, [data, study, comparisonCohorts, correctionMethod, analysisSettings.seed]);
+  const designs = study.designs;
+  const COLORS = designs.map(d => d.color);
+
+  const [dataSource, setDataSource] = useState({ name: DEMO_DATA_URL, isDemo: true });
+
+  // Parse raw survey text and rerun every analysis on the new dataset
+  const loadDataset = (text, source) => {
+    const parsedData = parseSurveyText(text);
+    if (parsedData.data.length === 0) {
+      throw new Error(`No survey responses found in ${source.name}`);
+    }
+
+    const loadedStudy = createStudy(studyConfig, parsedData.meta.fields);
+    // Identifiers are replaced before anything is validated, rendered or exported
+    const { rows, key, redactions } = pseudonymizeRows(parsedData.data, loadedStudy);
+
+    // Rows without consent, or from participants who withdrew, never reach the analyses
+    const consentChecked = parsedData.meta.fields.includes(loadedStudy.consentColumn);
+    const { codes: withdrawals, unmatched: unmatchedWithdrawals } = loadWithdrawals(source.name, key);
+    const exclusions = findExclusions(rows, loadedStudy, withdrawals, consentChecked);
+    if (exclusions.every(Boolean)) {
+      throw new Error(`No consenting participants found in ${source.name}`);
+    }
+
+    const loadedValidation = validateResponses(rows, loadedStudy, parsedData.errors);
+    const decisions = defaultRowDecisions(loadedValidation);
+    let prepared = prepareAnalysisData(rows, loadedValidation, decisions, exclusions, loadedStudy);
+    // A filter carried over from a link or another file may not fit this data; start from everyone instead
+    if (prepared.cohortSize === 0 && isFilterActive(cohortFilter)) {
+      prepared = prepareAnalysisData(rows, loadedValidation, decisions, exclusions, loadedStudy, EMPTY_FILTER);
+      setCohortFilter(EMPTY_FILTER);
+    }
+    if (prepared.rows.length === 0) {
+      throw new Error(`No participants left to analyze in ${source.name}`);
+    }
+
+    setRawData(rows);
+    setPrivacy({ key, redactions });
+    setParticipation({ exclusions, withdrawals, unmatchedWithdrawals, consentChecked });
+    setValidation(loadedValidation);
+    setRowDecisions(decisions);
+    setFields(parsedData.meta.fields);
+    showAnalysis(prepared, loadedStudy);
+    setDataSource(source);
+    setError(null);
+  };
+
+  // Excluded rows are quarantined whatever the analyst decided for them
+  const excludeRows = (decisions, exclusions) => decisions.map((decision, i) => (exclusions[i] ? 'quarantine' : decision));
+
+  // Rows the analyses see: row decisions and exclusions applied, then the cohort filter, then the missing-data policy
+  const prepareAnalysisData = (rows, rowValidation, decisions, exclusions, analysisStudy, filter = cohortFilter) => {
+    const cleanedData = applyRowDecisions(rows, rowValidation, excludeRows(decisions, exclusions));
+    const cohort = applyCohortFilter(cleanedData, analysisStudy, filter);
+    return {
+      ...applyMissingDataPolicy(cohort, analysisStudy, analysisSettings.missingData),
+      eligibleRows: cleanedData,
+      cohortSize: cohort.length
+    };
+  };
+
+  const showAnalysis = (prepared, analysisStudy) => {
+    setData(prepared.rows);
+    setEligibleData(prepared.eligibleRows);
+    // Row positions change with the data, so a profile would show someone else
+    setProfileIndex(null);
+    setMissingDataReport(prepared.report);
+    runStatisticalAnalysis(prepared.rows, analysisStudy);
+  };
+
+  // Accept, fix or quarantine a flagged row, then rerun the analyses on the cleaned rows
+  const updateRowDecision = (index, decision) => {
+    const decisions = rowDecisions.map((current, i) => (i === index ? decision : current));
+    const prepared = prepareAnalysisData(rawData, validation, decisions, participation.exclusions, study);
+    if (prepared.rows.length === 0) {
+      setError(NO_PARTICIPANTS_LEFT);
+      return;
+    }
+    setRowDecisions(decisions);
+    showAnalysis(prepared, study);
+  };
+
+  // Apply a new withdrawal list; returns an error message when it cannot be applied
+  const updateWithdrawals = (withdrawals) => {
+    const exclusions = findExclusions(rawData, study, withdrawals, participation.consentChecked);
+    const prepared = prepareAnalysisData(rawData, validation, rowDecisions, exclusions, study);
+    if (prepared.rows.length === 0) return NO_PARTICIPANTS_LEFT;
+
+    saveWithdrawals(dataSource.name, withdrawals, privacy.key);
+    setParticipation({ ...participation, exclusions, withdrawals });
+    showAnalysis(prepared, study);
+    return null;
+  };
+
+  // Apply a new cohort filter; returns an error message when nobody matches it
+  const updateCohortFilter = (filter) => {
+    const prepared = prepareAnalysisData(rawData, validation, rowDecisions, participation.exclusions, study, filter);
+    if (prepared.cohortSize === 0) return NO_COHORT_MATCH;
+    if (prepared.rows.length === 0) return NO_PARTICIPANTS_LEFT;
+    setCohortFilter(filter);
+    return null;
+  };
+
+  const withdrawParticipant = (input) => {
+    const code = resolveParticipantCode(input, privacy ? privacy.key : []);
+    if (!code) return `No participant matches "${input}".`;
+    if (participation.withdrawals.includes(code)) return `${code} has already withdrawn.`;
+    return updateWithdrawals([...participation.withdrawals, code]);
+  };
+
+  // Visits every tab in turn so each tab's charts are drawn, then zips them as SVG and PNG
+  const downloadAllCharts = async () => {
+    const startTab = tab;
+    setExportingCharts(true);
+    try {
+      const files = [];
+      for (const [index, { id }] of TABS.entries()) {
+        setTab(id);
+        await new Promise(resolve => setTimeout(resolve, CHART_DRAW_DELAY));
+        files.push(...await collectChartFiles(pageRef.current, `${index + 1}-${id}`));
       }
+      downloadFile(`${fileBaseName(dataSource.name)}-charts.zip`, createZip(files), 'application/zip');
+    } catch (err) {
+      setError('Error exporting charts: ' + err.message);
+    }
+    setTab(startTab);
+    setExportingCharts(false);
+  };
+
+  const loadDemoData = async () => {
+    setLoading(true);
+    try {
+      const text = await fetchDemoData();
+      loadDataset(text, { name: DEMO_DATA_URL, isDemo: true });
+    } catch (err) {
+      setError('Error loading data: ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  const importFile = async (file) => {
+    setLoading(true);
+    try {
+      const text = await readFileAsText(file);
+      loadDataset(text, { name: file.name, isDemo: false });
+    } catch (err) {
+      setError('Error importing ' + file.name + ': ' + err.message);
+    }
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    setAggregateSettings(aggregateSettingsFromUrl(readUrlState(window.location.hash, TAB_IDS), defaultAggregateSettings(studyConfig.metrics)));
+    loadDemoData();
+  }, [studyConfig]);
+
+  // Mirror the tab and settings in the URL hash so the current view can be shared as a link
+  const viewState = {
+    tab,
+    correctionMethod,
+    ...analysisSettings,
+    ...aggregateSettings,
+    filter: cohortFilter
+  };
+  const defaultViewState = {
+    tab: DEFAULT_TAB,
+    correctionMethod: DEFAULT_CORRECTION,
+    ...DEFAULT_ANALYSIS_SETTINGS,
+    ...defaultAggregateSettings(studyConfig.metrics),
+    filter: EMPTY_FILTER
+  };
+
+  useEffect(() => {
+    // Chart export steps through every tab; those visits are not navigation
+    if (exportingCharts) return;
+    const hash = writeUrlState(viewState, defaultViewState);
+    if (hash === window.location.hash) return;
+    const url = hash || `${window.location.pathname}${window.location.search}`;
+    if (isNavigation(readUrlState(window.location.hash, TAB_IDS), viewState, defaultViewState)) {
+      window.history.pushState(null, '', url);
+    } else {
+      window.history.replaceState(null, '', url);
+    }
+  }, [tab, correctionMethod, analysisSettings, aggregateSettings, cohortFilter, exportingCharts]);
+
+  // Back/forward and edited links restore the view they describe
+  useEffect(() => {
+    const restoreFromUrl = () => {
+      const urlState = readUrlState(window.location.hash, TAB_IDS);
+      const restoredAnalysis = analysisSettingsFromUrl(urlState);
+      const restoredAggregate = aggregateSettingsFromUrl(urlState, defaultAggregateSettings(studyConfig.metrics));
+      const restoredFilter = cohortFilterFromUrl(urlState, studyConfig);
+      setTab(urlState.tab || DEFAULT_TAB);
+      setCorrectionMethod(urlState.correctionMethod || DEFAULT_CORRECTION);
+      // Keep the current objects when nothing changed so the analysis is not rerun
+      setAnalysisSettings(current => (_.isEqual(current, restoredAnalysis) ? current : restoredAnalysis));
+      setAggregateSettings(current => (_.isEqual(current, restoredAggregate) ? current : restoredAggregate));
+      setCohortFilter(current => (_.isEqual(current, restoredFilter) ? current : restoredFilter));
     };
+    window.addEventListener('popstate', restoreFromUrl);
+    return () => window.removeEventListener('popstate', restoreFromUrl);
+  }, [studyConfig]);
+
+  // Intervals, resampling, missing-data handling and the cohort depend on the settings, so rerun the analysis when they change
+  useEffect(() => {
+    if (rawData.length === 0) return;
+    const prepared = prepareAnalysisData(rawData, validation, rowDecisions, participation.exclusions, study);
+    if (prepared.cohortSize === 0) {
+      setError(NO_COHORT_MATCH);
+      return;
+    }
+    if (prepared.rows.length === 0) {
+      setError(`${MISSING_DATA_POLICIES.find(p => p.id === analysisSettings.missingData).label} leaves no participants to analyze.`);
+      return;
+    }
+    setError(null);
+    showAnalysis(prepared, study);
+  }, [analysisSettings, cohortFilter]);
 
-    fetchData();
-  }, []);
+  // Recompute the aggregate score live as weights are edited
+  useEffect(() => {
+    if (data.length > 0) runAggregateAnalysis(data, study);
+  }, [aggregateSettings]);
 
   // Statistical Analysis Functions
-  const runStatisticalAnalysis = (data) => {
+  const runStatisticalAnalysis = (data, study) => {
     // Calculate statistical significance, effect sizes, and confidence intervals
-    const metricsToAnalyze = [
-      {
-        name: 'Positioning Accuracy',
-        rectangle: data.map(row => row['Positioning Accuracy']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Positioning Accuracy_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Positioning Accuracy_2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Number of Attempts',
-        rectangle: data.map(row => row['Number of Attempts']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Number of Attempts_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Number of Attempts_2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Comfort',
-        rectangle: data.map(row => row['Comfort']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Comfort_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Comfort_2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Grip Security',
-        rectangle: data.map(row => row['Grip Security']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Grip Security_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Grip Security_2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Ease of Use',
-        rectangle: data.map(row => row['Ease of Use']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Ease of Use_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Ease of Use_2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Intuitiveness',
-        rectangle: data.map(row => row['Intuitiveness ']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Intuitiveness _1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Intuitiveness _2']).filter(v => v !== null && v !== undefined)
-      },
-      {
-        name: 'Overall Satisfaction',
-        rectangle: data.map(row => row['Overall Satisfaction']).filter(v => v !== null && v !== undefined),
-        curved: data.map(row => row['Overall Satisfaction_1']).filter(v => v !== null && v !== undefined),
-        circle: data.map(row => row['Overall Satisfaction_2']).filter(v => v !== null && v !== undefined)
-      }
-    ];
+    const metricsToAnalyze = study.metrics.map(metric => ({
+      id: metric.id,
+      name: metric.name,
+      // One entry per participant (null when missing) so designs stay paired
+      byParticipant: Object.fromEntries(study.designs.map(design => [
+        design.id,
+        data.map(row => getMetricValue(study, row, metric.id, design.id))
+      ]))
+    }));
     
     const analysisResults = metricsToAnalyze.map(metric => {
-      const rectStats = calculateStats(metric.rectangle);
-      const curvedStats = calculateStats(metric.curved);
-      const circleStats = calculateStats(metric.circle);
+      const values = _.mapValues(metric.byParticipant, arr => arr.filter(v => v !== null));
       
-      const rectCI = calculateCI(rectStats.mean, rectStats.stdDev, rectStats.n);
-      const curvedCI = calculateCI(curvedStats.mean, curvedStats.stdDev, curvedStats.n);
-      const circleCI = calculateCI(circleStats.mean, circleStats.stdDev, circleStats.n);
+      const designStats = Object.fromEntries(study.designs.map(design => {
+        const stats = calculateStats(values[design.id]);
+        return [design.id, {
+          mean: stats.mean,
+          stdDev: stats.stdDev,
+          ci: calculateCI(values[design.id], { method: analysisSettings.ciMethod, seed: analysisSettings.seed }),
+          n: stats.n
+        }];
+      }));
       
-      // T-tests between pairs
-      const rectVsCurved = tTest(metric.rectangle, metric.curved);
-      const rectVsCircle = tTest(metric.rectangle, metric.circle);
-      const curvedVsCircle = tTest(metric.curved, metric.circle);
+      // Every participant rated every design, so the primary tests are paired
+      // on participants with both values; Welch's test is kept for reference
+      const comparisons = study.pairs.map(pair => {
+        const pairs = completePairs(metric.byParticipant[pair.a], metric.byParticipant[pair.b]);
+        const welch = tTest(values[pair.a], values[pair.b]);
+        const paired = pairedTTest(pairs);
+        // The paired effect size (dz) covers the same participants as the paired test
+        const effectSize = Math.abs(paired.dz);
+        return {
+          ...pair,
+          paired,
+          wilcoxon: wilcoxonSignedRank(pairs),
+          welch,
+          tValue: paired.t,
+          pValue: paired.pValue,
+          effectSize,
+          interpretation: interpretCohenD(effectSize)
+        };
+      });
       
-      // Effect sizes
-      const rectVsCurvedD = cohenD(metric.rectangle, metric.curved);
-      const rectVsCircleD = cohenD(metric.rectangle, metric.circle);
-      const curvedVsCircleD = cohenD(metric.curved, metric.circle);
+      // Omnibus tests on participants who rated every design
+      const completeRows = completeCases(study.designs.map(design => metric.byParticipant[design.id]));
+      const anova = repeatedMeasuresAnova(completeRows);
+      const friedman = friedmanTest(completeRows);
       
       return {
+        metricId: metric.id,
         metric: metric.name,
-        rectangle: {
-          mean: rectStats.mean,
-          stdDev: rectStats.stdDev,
-          ci: rectCI,
-          n: rectStats.n
-        },
-        curved: {
-          mean: curvedStats.mean,
-          stdDev: curvedStats.stdDev,
-          ci: curvedCI,
-          n: curvedStats.n
-        },
-        circle: {
-          mean: circleStats.mean,
-          stdDev: circleStats.stdDev,
-          ci: circleCI,
-          n: circleStats.n
+        designs: designStats,
+        omnibus: {
+          anova,
+          friedman,
+          significant: anova !== null && anova.reportedPValue !== null && anova.reportedPValue < 0.05
         },
-        comparisons: {
-          rectVsCurved: {
-            tValue: rectVsCurved.t,
-            pValue: rectVsCurved.pValue,
-            effectSize: rectVsCurvedD,
-            interpretation: interpretCohenD(rectVsCurvedD)
-          },
-          rectVsCircle: {
-            tValue: rectVsCircle.t,
-            pValue: rectVsCircle.pValue,
-            effectSize: rectVsCircleD,
-            interpretation: interpretCohenD(rectVsCircleD)
-          },
-          curvedVsCircle: {
-            tValue: curvedVsCircle.t,
-            pValue: curvedVsCircle.pValue,
-            effectSize: curvedVsCircleD,
-            interpretation: interpretCohenD(curvedVsCircleD)
-          }
-        }
+        comparisons
       };
     });
     
     setStatisticalResults(analysisResults);
     
     // Calculate aggregate scores
-    calculateAggregateScores(data);
+    runAggregateAnalysis(data, study);
     
     // Calculate demographic breakdown
-    calculateDemographicBreakdown(data);
-  };
-  
-  // Calculate mean and standard deviation
-  const calculateStats = (arr) => {
-    if (!arr || arr.length === 0) return { mean: 0, stdDev: 0, n: 0 };
-    const mean = math.mean(arr);
-    const stdDev = math.std(arr);
-    return { mean, stdDev, n: arr.length };
-  };
-  
-  // Calculate confidence interval (95%)
-  const calculateCI = (mean, stdDev, n) => {
-    if (n <= 1) return [0, 0];
-    const marginOfError = 1.96 * (stdDev / Math.sqrt(n));
-    return [mean - marginOfError, mean + marginOfError];
-  };
-  
-  // Simple t-test (unequal variances)
-  const tTest = (arr1, arr2) => {
-    if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) {
-      return { t: 0, pValue: "> 0.05" };
-    }
-    
-    const mean1 = math.mean(arr1);
-    const mean2 = math.mean(arr2);
-    const var1 = math.variance(arr1);
-    const var2 = math.variance(arr2);
-    const n1 = arr1.length;
-    const n2 = arr2.length;
-    
-    // Calculate t-statistic
-    const t = (mean1 - mean2) / Math.sqrt((var1/n1) + (var2/n2));
-    
-    // For small samples, we'll just use critical values approximation
-    let pValue;
-    if (Math.abs(t) > 2.7) pValue = "< 0.01";
-    else if (Math.abs(t) > 2.0) pValue = "< 0.05";
-    else pValue = "> 0.05";
-    
-    return { t, pValue };
-  };
-  
-  // Calculate Cohen's d for effect size
-  const cohenD = (arr1, arr2) => {
-    if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) {
-      return 0;
-    }
+    calculateDemographicBreakdown(data, study);
     
-    const mean1 = math.mean(arr1);
-    const mean2 = math.mean(arr2);
-    const n1 = arr1.length;
-    const n2 = arr2.length;
+    // Model the explicit preference rankings
+    setRankAnalysis(analyzeRankings(data, study, analysisSettings.seed));
     
-    // Pooled standard deviation
-    const s1 = math.std(arr1);
-    const s2 = math.std(arr2);
-    const pooledSD = Math.sqrt(((n1-1)*s1*s1 + (n2-1)*s2*s2) / (n1+n2-2));
-    
-    // Cohen's d
-    return Math.abs(mean1 - mean2) / pooledSD;
-  };
-  
-  // Interpret Cohen's d
-  const interpretCohenD = (d) => {
-    if (d < 0.2) return "Negligible";
-    if (d < 0.5) return "Small";
-    if (d < 0.8) return "Medium";
-    return "Large";
+    // Posterior probability that each design is best on each metric
+    const metricPosteriors = metricsToAnalyze.map(metric => ({
+      metricId: metric.id,
+      metric: metric.name,
+      posterior: analyzePosterior(
+        completeCases(study.designs.map(design => metric.byParticipant[design.id])),
+        study.designs,
+        study.pairs,
+        { seed: analysisSettings.seed, higherIsBetter: study.metricById[metric.id].higherIsBetter }
+      )
+    }));
+    setBayesianResults(previous => ({ ...previous, metrics: metricPosteriors }));
   };
   
-  // Calculate aggregate scores for each handle
-  const calculateAggregateScores = (data) => {
-    const scores = data.map(row => {
-      // For "Number of Attempts", lower is better, so invert the score
-      const maxAttempts = 5; // Assuming 5 is the max number of attempts
-      const rectAttempts = row['Number of Attempts'] ? (maxAttempts - row['Number of Attempts']) : 0;
-      const curvedAttempts = row['Number of Attempts_1'] ? (maxAttempts - row['Number of Attempts_1']) : 0;
-      const circleAttempts = row['Number of Attempts_2'] ? (maxAttempts - row['Number of Attempts_2']) : 0;
-      
-      // Calculate weighted aggregate scores
-      // Weights: Accuracy (1.5), Attempts (1.0), Comfort (1.2), Security (1.0), Ease (1.0), Intuitive (0.8), Satisfaction (1.5)
-      const rectangleScore = (
-        1.5 * (row['Positioning Accuracy'] || 0) +
-        1.0 * rectAttempts +
-        1.2 * (row['Comfort'] || 0) +
-        1.0 * (row['Grip Security'] || 0) +
-        1.0 * (row['Ease of Use'] || 0) +
-        0.8 * (row['Intuitiveness '] || 0) +
-        1.5 * (row['Overall Satisfaction'] || 0)
-      ) / 8.0; // Divide by sum of weights
-      
-      const curvedScore = (
-        1.5 * (row['Positioning Accuracy_1'] || 0) +
-        1.0 * curvedAttempts +
-        1.2 * (row['Comfort_1'] || 0) +
-        1.0 * (row['Grip Security_1'] || 0) +
-        1.0 * (row['Ease of Use_1'] || 0) +
-        0.8 * (row['Intuitiveness _1'] || 0) +
-        1.5 * (row['Overall Satisfaction_1'] || 0)
-      ) / 8.0;
-      
-      const circleScore = (
-        1.5 * (row['Positioning Accuracy_2'] || 0) +
-        1.0 * circleAttempts +
-        1.2 * (row['Comfort_2'] || 0) +
-        1.0 * (row['Grip Security_2'] || 0) +
-        1.0 * (row['Ease of Use_2'] || 0) +
-        0.8 * (row['Intuitiveness _2'] || 0) +
-        1.5 * (row['Overall Satisfaction_2'] || 0)
-      ) / 8.0;
-      
-      return {
-        participantId: row['  Please enter your assigned participant ID:'] || 'Unknown',
-        rectangleScore,
-        curvedScore,
-        circleScore,
-        topChoice: Math.max(rectangleScore, curvedScore, circleScore) === rectangleScore 
-          ? 'Rectangle Handle' 
-          : Math.max(rectangleScore, curvedScore, circleScore) === curvedScore
-            ? 'Curved Handle'
-            : 'Circle Undergrip Handle'
-      };
-    });
-    
-    // Calculate average scores and counts
-    const avgRectangleScore = math.mean(scores.map(s => s.rectangleScore));
-    const avgCurvedScore = math.mean(scores.map(s => s.curvedScore));
-    const avgCircleScore = math.mean(scores.map(s => s.circleScore).filter(Boolean));
+  // Aggregate scores depend on the editable weights, so they can be recomputed on their own
+  const runAggregateAnalysis = (data, study) => {
+    const aggregate = summarizeScores(scoreParticipants(data, study, aggregateSettings), study);
+    setAggregateScores(aggregate);
     
-    const topChoiceCounts = {
-      'Rectangle Handle': scores.filter(s => s.topChoice === 'Rectangle Handle').length,
-      'Curved Handle': scores.filter(s => s.topChoice === 'Curved Handle').length,
-      'Circle Undergrip Handle': scores.filter(s => s.topChoice === 'Circle Undergrip Handle').length
-    };
+    setWeightSensitivity(analyzeWeightSensitivity(data, study, aggregateSettings, analysisSettings.seed));
     
-    setAggregateScores({
-      average: {
-        'Rectangle Handle': avgRectangleScore,
-        'Curved Handle': avgCurvedScore,
-        'Circle Undergrip Handle': avgCircleScore
-      },
-      topChoiceCounts,
-      detail: scores
-    });
+    const aggregatePosterior = analyzePosterior(
+      completeCases(study.designs.map(design => aggregate.detail.map(participant => participant.scores[design.name]))),
+      study.designs,
+      study.pairs,
+      { seed: analysisSettings.seed }
+    );
+    setBayesianResults(previous => ({ ...previous, aggregate: aggregatePosterior }));
   };
   
   // Calculate demographic breakdown
-  const calculateDemographicBreakdown = (data) => {
-    const demographicFactors = ['Age Range', '  Gender  ', '  Hand Dominance  ', 'Previous Experience with Laboratory Equipment  ', 'Height'];
+  const calculateDemographicBreakdown = (data, study) => {
     const breakdown = {};
     
-    demographicFactors.forEach(factor => {
-      breakdown[factor] = {};
+    study.demographics.forEach(factor => {
+      breakdown[factor.name] = {};
       
       // Get unique values for this demographic factor
-      const uniqueValues = [...new Set(data.map(row => row[factor]).filter(Boolean))];
+      const uniqueValues = [...new Set(data.map(row => row[factor.column]).filter(Boolean))];
       
       uniqueValues.forEach(value => {
         // Filter data for this demographic value
-        const filteredData = data.filter(row => row[factor] === value);
-        const count = filteredData.length;
+        const filteredData = data.filter(row => row[factor.column] === value);
         
         // Calculate average preference for each handle
-        const rectangleRank = math.mean(filteredData.map(row => row['Handle Preference Ranking  [Rectangle Handle]']).filter(Boolean));
-        const curvedRank = math.mean(filteredData.map(row => row['Handle Preference Ranking  [Curved Handle]']).filter(Boolean));
-        const circleRank = math.mean(filteredData.map(row => row['Handle Preference Ranking  [Circle Undergrip Handle]']).filter(Boolean));
-        
-        breakdown[factor][value] = {
-          count,
-          'Rectangle Handle': rectangleRank,
-          'Curved Handle': curvedRank,
-          'Circle Undergrip Handle': circleRank
-        };
+        breakdown[factor.name][value] = { count: filteredData.length };
+        study.designs.forEach(design => {
+          const ranks = filteredData.map(row => row[study.rankingColumn(design.id)]).filter(Boolean);
+          breakdown[factor.name][value][design.name] = ranks.length > 0 ? math.mean(ranks) : NaN;
+        });
       });
     });
     
@@ -356,105 +493,52 @@ const BioreactorHandleAnalysis = () => {
 
   // Original data processing functions from the previous component
   const prepareRankingData = () => {
-    const rankings = [
-      { name: 'Rectangle Handle', firstChoice: 0, secondChoice: 0, thirdChoice: 0 },
-      { name: 'Curved Handle', firstChoice: 0, secondChoice: 0, thirdChoice: 0 },
-      { name: 'Circle Undergrip Handle', firstChoice: 0, secondChoice: 0, thirdChoice: 0 }
-    ];
-
-    data.forEach(row => {
-      if (row['Handle Preference Ranking  [Rectangle Handle]'] === 1) rankings[0].firstChoice++;
-      if (row['Handle Preference Ranking  [Rectangle Handle]'] === 2) rankings[0].secondChoice++;
-      if (row['Handle Preference Ranking  [Rectangle Handle]'] === 3) rankings[0].thirdChoice++;
-      
-      if (row['Handle Preference Ranking  [Curved Handle]'] === 1) rankings[1].firstChoice++;
-      if (row['Handle Preference Ranking  [Curved Handle]'] === 2) rankings[1].secondChoice++;
-      if (row['Handle Preference Ranking  [Curved Handle]'] === 3) rankings[1].thirdChoice++;
-      
-      if (row['Handle Preference Ranking  [Circle Undergrip Handle]'] === 1) rankings[2].firstChoice++;
-      if (row['Handle Preference Ranking  [Circle Undergrip Handle]'] === 2) rankings[2].secondChoice++;
-      if (row['Handle Preference Ranking  [Circle Undergrip Handle]'] === 3) rankings[2].thirdChoice++;
+    return designs.map(design => {
+      const ranks = data.map(row => row[study.rankingColumn(design.id)]);
+      const ranking = { name: design.name };
+      designs.forEach((_design, i) => {
+        ranking[`rank${i + 1}`] = ranks.filter(rank => rank === i + 1).length;
+      });
+      return ranking;
     });
-
-    return rankings;
   };
 
   const prepareMetricsData = () => {
-    const metrics = [
-      { name: 'Rectangle Handle', color: '#0088FE' },
-      { name: 'Curved Handle', color: '#00C49F' },
-      { name: 'Circle Undergrip Handle', color: '#FFBB28' }
-    ];
-
-    metrics.forEach(metric => {
-      // Rectangle Handle uses base metrics
-      if (metric.name === 'Rectangle Handle') {
-        metric.Accuracy = _.meanBy(data, 'Positioning Accuracy');
-        metric.Attempts = _.meanBy(data, 'Number of Attempts');
-        metric.Comfort = _.meanBy(data, 'Comfort');
-        metric.Security = _.meanBy(data, 'Grip Security');
-        metric.Ease = _.meanBy(data, 'Ease of Use');
-        metric.Intuitive = _.meanBy(data, 'Intuitiveness ');
-        metric.Satisfaction = _.meanBy(data, 'Overall Satisfaction');
-      }
-      // Curved Handle uses _1 suffix metrics
-      else if (metric.name === 'Curved Handle') {
-        metric.Accuracy = _.meanBy(data, 'Positioning Accuracy_1');
-        metric.Attempts = _.meanBy(data, 'Number of Attempts_1');
-        metric.Comfort = _.meanBy(data, 'Comfort_1');
-        metric.Security = _.meanBy(data, 'Grip Security_1');
-        metric.Ease = _.meanBy(data, 'Ease of Use_1');
-        metric.Intuitive = _.meanBy(data, 'Intuitiveness _1');
-        metric.Satisfaction = _.meanBy(data, 'Overall Satisfaction_1');
-      }
-      // Circle Undergrip Handle uses _2 suffix metrics
-      else if (metric.name === 'Circle Undergrip Handle') {
-        metric.Accuracy = _.meanBy(data, 'Positioning Accuracy_2');
-        metric.Attempts = _.meanBy(data.filter(d => typeof d['Number of Attempts_2'] === 'number'), 'Number of Attempts_2');
-        metric.Comfort = _.meanBy(data, 'Comfort_2');
-        metric.Security = _.meanBy(data, 'Grip Security_2');
-        metric.Ease = _.meanBy(data, 'Ease of Use_2');
-        metric.Intuitive = _.meanBy(data, 'Intuitiveness _2');
-        metric.Satisfaction = _.meanBy(data, 'Overall Satisfaction_2');
-      }
+    return designs.map(design => {
+      const metric = { name: design.name, color: design.color };
+      study.metrics.forEach(m => {
+        const values = data.map(row => getMetricValue(study, row, m.id, design.id)).filter(v => v !== null);
+        metric[m.shortName] = values.length > 0 ? _.mean(values) : NaN;
+      });
+      return metric;
     });
-
-    return metrics;
   };
 
   const prepareAttributeVotesData = () => {
-    const categories = ['Most Accurate Positioning', 'Least Physical Strain', 'Most Appropriate for Bioreactor Shelves', 'Best for Extended Use'];
-    const voteData = [];
-
-    categories.forEach(category => {
-      const votes = {
-        category,
-        'Rectangle Handle': 0,
-        'Curved Handle': 0,
-        'Circle Undergrip Handle': 0
-      };
+    return study.attributeVotes.map(attribute => {
+      const votes = { category: attribute.name };
+      designs.forEach(design => {
+        votes[design.name] = 0;
+      });
 
       data.forEach(row => {
-        if (row[category]) {
-          votes[row[category]]++;
+        if (designs.some(design => design.name === row[attribute.column])) {
+          votes[row[attribute.column]]++;
         }
       });
 
-      voteData.push(votes);
+      return votes;
     });
-
-    return voteData;
   };
 
   const processFeedback = () => {
     const feedback = {
-      rectangleLikes: data.map(row => row['  What did you like most about the Rectangle Handle?   ']).filter(Boolean),
-      rectangleImprovements: data.map(row => row['What improvements would you suggest for the Rectangle Handle? ']).filter(Boolean),
-      curvedLikes: data.map(row => row['What did you like most about the Curved Handle?   ']).filter(Boolean),
-      curvedImprovements: data.map(row => row['What improvements would you suggest for the Curved Handle? ']).filter(Boolean),
-      circleLikes: data.map(row => row['What did you like most about the Circle Undergrip Handle?   ']).filter(Boolean),
-      circleImprovements: data.map(row => row['What improvements would you suggest for the Circle Undergrip Handle? ']).filter(Boolean),
-      additionalComments: data.map(row => row['  Do you have any additional comments or suggestions about any of the handles or the bioreactor shelves in general?   ']).filter(Boolean)
+      designs: designs.map(design => ({
+        ...design,
+        likes: data.map(row => row[study.likesColumn(design.id)]).filter(Boolean),
+        improvements: data.map(row => row[study.improvementsColumn(design.id)]).filter(Boolean)
+      })),
+      additionalComments: data.map(row => row[study.additionalCommentsColumn]).filter(Boolean)
     };
     
     return feedback;
@@ -463,76 +547,60 @@ const BioreactorHandleAnalysis = () => {
   const demographicsData = () => {
     if (data.length === 0) return null;
     
-    const genderCount = _.countBy(data, '  Gender  ');
-    const handednessCount = _.countBy(data, '  Hand Dominance  ');
-    const experienceCount = _.countBy(data, 'Previous Experience with Laboratory Equipment  ');
-    const heightCount = _.countBy(data, 'Height');
+    return study.demographics
+      .filter(factor => factor.chart)
+      .map(factor => ({ ...factor, counts: _.countBy(data, factor.column) }));
+  };
+
+  // Find the better design of a pair for a metric, respecting its direction
+  const betterDesign = (result, a, b) => {
+    const higherIsBetter = study.metricById[result.metricId].higherIsBetter;
+    const aMean = result.designs[a].mean;
+    const bMean = result.designs[b].mean;
+    const aWins = higherIsBetter ? aMean > bMean : aMean < bMean;
+    return study.designById[aWins ? a : b].name;
+  };
+
+  // Adjust the paired-test p-values across every metric x pair comparison
+  const applyCorrection = (results) => {
+    if (!results) return null;
+    
+    const adjusted = adjustPValues(
+      results.flatMap(result => result.comparisons.map(comparison => comparison.pValue)),
+      correctionMethod
+    );
     
-    return { genderCount, handednessCount, experienceCount, heightCount };
+    let index = 0;
+    return results.map(result => ({
+      ...result,
+      comparisons: result.comparisons.map(comparison => ({
+        ...comparison,
+        adjustedPValue: adjusted[index++]
+      }))
+    }));
   };
 
   // Find the most significant metric differences between handle types
   const findSignificantDifferences = () => {
     if (!statisticalResults) return [];
     
-    // Filter for metrics with at least medium effect size or significant p-value
-    return statisticalResults
-      .map(result => {
-        const significantComparisons = [];
-        
-        // Check Rectangle vs Curved
-        if (result.comparisons.rectVsCurved.pValue === "< 0.05" || 
-            result.comparisons.rectVsCurved.pValue === "< 0.01" || 
-            result.comparisons.rectVsCurved.interpretation === "Medium" || 
-            result.comparisons.rectVsCurved.interpretation === "Large") {
-          significantComparisons.push({
-            metricName: result.metric,
-            comparison: 'Rectangle vs Curved',
-            effect: result.comparisons.rectVsCurved.interpretation,
-            pValue: result.comparisons.rectVsCurved.pValue,
-            meanDiff: Math.abs(result.rectangle.mean - result.curved.mean).toFixed(2),
-            better: result.metric === 'Number of Attempts' ? 
-              (result.rectangle.mean < result.curved.mean ? 'Rectangle Handle' : 'Curved Handle') :
-              (result.rectangle.mean > result.curved.mean ? 'Rectangle Handle' : 'Curved Handle')
-          });
-        }
-        
-        // Check Rectangle vs Circle
-        if (result.comparisons.rectVsCircle.pValue === "< 0.05" || 
-            result.comparisons.rectVsCircle.pValue === "< 0.01" || 
-            result.comparisons.rectVsCircle.interpretation === "Medium" || 
-            result.comparisons.rectVsCircle.interpretation === "Large") {
-          significantComparisons.push({
-            metricName: result.metric,
-            comparison: 'Rectangle vs Circle',
-            effect: result.comparisons.rectVsCircle.interpretation,
-            pValue: result.comparisons.rectVsCircle.pValue,
-            meanDiff: Math.abs(result.rectangle.mean - result.circle.mean).toFixed(2),
-            better: result.metric === 'Number of Attempts' ? 
-              (result.rectangle.mean < result.circle.mean ? 'Rectangle Handle' : 'Circle Undergrip Handle') :
-              (result.rectangle.mean > result.circle.mean ? 'Rectangle Handle' : 'Circle Undergrip Handle')
-          });
-        }
-        
-        // Check Curved vs Circle
-        if (result.comparisons.curvedVsCircle.pValue === "< 0.05" || 
-            result.comparisons.curvedVsCircle.pValue === "< 0.01" || 
-            result.comparisons.curvedVsCircle.interpretation === "Medium" || 
-            result.comparisons.curvedVsCircle.interpretation === "Large") {
-          significantComparisons.push({
-            metricName: result.metric,
-            comparison: 'Curved vs Circle',
-            effect: result.comparisons.curvedVsCircle.interpretation,
-            pValue: result.comparisons.curvedVsCircle.pValue,
-            meanDiff: Math.abs(result.curved.mean - result.circle.mean).toFixed(2),
-            better: result.metric === 'Number of Attempts' ? 
-              (result.curved.mean < result.circle.mean ? 'Curved Handle' : 'Circle Undergrip Handle') :
-              (result.curved.mean > result.circle.mean ? 'Curved Handle' : 'Circle Undergrip Handle')
-          });
-        }
-        
-        return significantComparisons;
-      })
+    // Filter for metrics with at least medium effect size or significant adjusted p-value;
+    // pairwise p-values only count when the omnibus test for the metric is significant
+    return applyCorrection(statisticalResults)
+      .map(result => result.comparisons
+        .filter(comparison =>
+          (result.omnibus.significant && comparison.adjustedPValue !== null && comparison.adjustedPValue < 0.05) ||
+          comparison.interpretation === "Medium" ||
+          comparison.interpretation === "Large")
+        .map(comparison => ({
+          metricName: result.metric,
+          comparison: comparison.label,
+          effect: comparison.interpretation,
+          pValue: comparison.pValue,
+          adjustedPValue: comparison.adjustedPValue,
+          meanDiff: Math.abs(result.designs[comparison.a].mean - result.designs[comparison.b].mean).toFixed(2),
+          better: betterDesign(result, comparison.a, comparison.b)
+        })))
       .flat();
   };
 
@@ -545,15 +613,42 @@ const BioreactorHandleAnalysis = () => {
     // 1. Overall best handle based on aggregate score
     const bestHandle = Object.entries(aggregateScores.average).reduce(
       (best, [handle, score]) => (score > best.score) ? {handle, score} : best, 
-      {handle: '', score: 0}
+      {handle: '', score: -Infinity}
     ).handle;
     
     insights.push({
       key: 'overall-best',
       title: 'Overall Best Handle',
-      description: `Based on weighted aggregate scores across all metrics, the ${bestHandle} performs best with an average score of ${aggregateScores.average[bestHandle].toFixed(2)}/5.`
+      description: `Based on weighted aggregate scores across all metrics, the ${bestHandle} performs best with an average score of ${formatAggregate(aggregateScores.average[bestHandle])}.`
     });
     
+    // How often the best handle keeps its lead when the weights are perturbed
+    if (weightSensitivity) {
+      const bestDesign = designs.find(design => design.name === bestHandle);
+      const uniform = weightSensitivity.scenarios.find(scenario => scenario.id === 'uniform');
+      const narrow = weightSensitivity.scenarios.find(scenario => scenario.id === 'narrow');
+      insights.push({
+        key: 'weight-robustness',
+        title: 'Robustness to Metric Weights',
+        description: `The ${bestHandle} stays on top in ${(narrow.winFrequency[bestDesign.id] * 100).toFixed(0)}% of small random changes to the metric weights and in ${(uniform.winFrequency[bestDesign.id] * 100).toFixed(0)}% of completely random weightings.`
+      });
+    }
+    
+    // Probability that the best-scoring handle really is best
+    if (bayesianResults && bayesianResults.aggregate) {
+      const posterior = bayesianResults.aggregate;
+      const likeliest = _.maxBy(posterior.designs, 'pBest');
+      const metricsLed = bayesianResults.metrics.filter(result =>
+        result.posterior && _.maxBy(result.posterior.designs, 'pBest').id === likeliest.id
+      );
+      
+      insights.push({
+        key: 'probability-best',
+        title: 'Probability of Being Best',
+        description: `A Bayesian model of the aggregate scores gives the ${likeliest.name} a ${(likeliest.pBest * 100).toFixed(0)}% probability of being the best handle. It is also the most likely best handle on ${metricsLed.length} of ${bayesianResults.metrics.length} individual metrics.`
+      });
+    }
+    
     // 2. Most preferred handle by direct ranking
     const mostPreferredHandle = Object.entries(aggregateScores.topChoiceCounts).reduce(
       (best, [handle, count]) => (count > best.count) ? {handle, count} : best, 
@@ -584,17 +679,17 @@ const BioreactorHandleAnalysis = () => {
     Object.entries(demographicBreakdown).forEach(([factor, breakdown]) => {
       if (Object.keys(breakdown).length > 1) {
         // Find the demographic group with the strongest preference for each handle
-        handleTypes.forEach(handleType => {
+        designs.forEach(design => {
           const bestGroup = Object.entries(breakdown).reduce(
-            (best, [group, data]) => (data[handleType] < best.rank) ? {group, rank: data[handleType]} : best,
-            {group: '', rank: 5}
+            (best, [group, data]) => (data[design.name] < best.rank) ? {group, rank: data[design.name]} : best,
+            {group: '', rank: Infinity}
           );
           
           if (bestGroup.group) {
             demographicInsights.push({
               factor,
               group: bestGroup.group,
-              handle: handleType,
+              handle: design.name,
               rank: bestGroup.rank
             });
           }
@@ -606,7 +701,7 @@ const BioreactorHandleAnalysis = () => {
       // Pick the strongest demographic correlation
       const strongestDemographic = demographicInsights.reduce(
         (strongest, insight) => (insight.rank < strongest.rank) ? insight : strongest,
-        {rank: 5}
+        {rank: Infinity}
       );
       
       insights.push({
@@ -617,30 +712,31 @@ const BioreactorHandleAnalysis = () => {
     }
     
     // 5. Areas for improvement
-    // Find the weakest metrics for the top handle
-    const topHandleMetrics = statisticalResults.map(result => {
-      const handleData = result.rectangle.mean > result.curved.mean && result.rectangle.mean > result.circle.mean
-        ? {handle: 'Rectangle Handle', score: result.rectangle.mean}
-        : result.curved.mean > result.rectangle.mean && result.curved.mean > result.circle.mean
-          ? {handle: 'Curved Handle', score: result.curved.mean}
-          : {handle: 'Circle Undergrip Handle', score: result.circle.mean};
-      
-      return {
-        metric: result.metric,
-        ...handleData
-      };
-    });
+    // Find the weakest rated metric for the best handle on each metric
+    const topHandleMetrics = statisticalResults
+      .filter(result => study.metricById[result.metricId].higherIsBetter)
+      .map(result => {
+        const best = _.maxBy(designs, design => result.designs[design.id].mean);
+        return {
+          metric: result.metric,
+          handle: best.name,
+          score: result.designs[best.id].mean,
+          max: study.metricScale(result.metricId).max
+        };
+      });
     
     const weakestMetric = topHandleMetrics.reduce(
-      (weakest, metric) => (metric.score < weakest.score) ? metric : weakest,
-      {score: 5}
+      (weakest, metric) => (metric.score / metric.max < weakest.score / weakest.max) ? metric : weakest,
+      {score: 1, max: 1}
     );
     
-    insights.push({
-      key: 'improvement-area',
-      title: 'Key Improvement Area',
-      description: `Even the top-performing handles could be improved in the ${weakestMetric.metric} metric, where the highest score was only ${weakestMetric.score.toFixed(1)}/5.`
-    });
+    if (weakestMetric.metric) {
+      insights.push({
+        key: 'improvement-area',
+        title: 'Key Improvement Area',
+        description: `Even the top-performing handles could be improved in the ${weakestMetric.metric} metric, where the highest score was only ${weakestMetric.score.toFixed(1)}/${weakestMetric.max}.`
+      });
+    }
     
     return insights;
   };
@@ -649,33 +745,32 @@ const BioreactorHandleAnalysis = () => {
   const prepareConfidenceData = () => {
     if (!statisticalResults) return [];
     
-    return statisticalResults.map(result => {
-      return [
-        {
-          name: 'Rectangle Handle',
-          metric: result.metric,
-          mean: result.rectangle.mean,
-          low: result.rectangle.ci[0],
-          high: result.rectangle.ci[1]
-        },
-        {
-          name: 'Curved Handle',
-          metric: result.metric,
-          mean: result.curved.mean,
-          low: result.curved.ci[0],
-          high: result.curved.ci[1]
-        },
-        {
-          name: 'Circle Undergrip Handle',
-          metric: result.metric,
-          mean: result.circle.mean,
-          low: result.circle.ci[0],
-          high: result.circle.ci[1]
-        }
-      ];
-    });
+    return statisticalResults.map(result => designs.map(design => ({
+      name: design.name,
+      metric: result.metric,
+      metricId: result.metricId,
+      mean: result.designs[design.id].mean,
+      low: result.designs[design.id].ci[0],
+      high: result.designs[design.id].ci[1]
+    })));
   };
 
+  // Derived results only rerun when their inputs change, not on every tab switch or filter keystroke.
+  // Hooks have to run before the early returns below.
+  const feedbackData = useMemo(processFeedback, [data, study]);
+  const feedbackThemes = useMemo(() => analyzeFeedback(feedbackData, study), [feedbackData, study]);
+  const sentiment = useMemo(() => analyzeSentiment(data, study), [data, study]);
+  const scoreAnswer = useMemo(() => sentimentScorer(study), [study]);
+  const correctedResults = useMemo(() => applyCorrection(statisticalResults), [statisticalResults, correctionMethod]);
+  const correctionLabel = CORRECTION_METHODS.find(m => m.id === correctionMethod).label;
+  const ciMethodLabel = CI_METHODS.find(m => m.id === analysisSettings.ciMethod).label;
+  const resultTables = useMemo(() => buildResultTables({
+    statisticalResults: correctedResults,
+    aggregateScores,
+    demographicBreakdown,
+    settings: { ciMethod: ciMethodLabel, correctionMethod: correctionLabel }
+  }, study), [correctedResults, aggregateScores, demographicBreakdown, ciMethodLabel, correctionLabel, study]);
+
   if (loading) return (
     <div className="p-4 flex items-center justify-center h-64">
       <div className="text-center">
@@ -685,70 +780,180 @@ const BioreactorHandleAnalysis = () => {
     </div>
   );
   
-  if (error) return <div className="p-4 text-center text-red-500 border border-red-300 rounded-lg bg-red-50">{error}</div>;
+  const dataImport = (
+    <DataImport
+      sourceName={dataSource.name}
+      isDemo={dataSource.isDemo}
+      onFileSelected={importFile}
+      onLoadDemo={loadDemoData}
+    />
+  );
+
+  if (error && data.length === 0) return (
+    <div className="p-4 max-w-7xl mx-auto">
+      <div className="p-4 mb-6 text-center text-red-500 border border-red-300 rounded-lg bg-red-50">{error}</div>
+      {dataImport}
+    </div>
+  );
 
+  const scaleMax = study.config.scale.max;
+  const aggregateNormalization = NORMALIZATION_METHODS.find(m => m.id === aggregateSettings.normalization);
+  const formatAggregate = (score) => aggregateNormalization.standardized ? `${score.toFixed(2)} SD` : `${score.toFixed(2)}/${scaleMax}`;
+  const designColor = (name) => (designs.find(d => d.name === name) || {}).color;
+  // Footnote baked into exported chart images
+  const chartNote = (n = data.length, detail) =>
+    `n = ${n} participant${n === 1 ? '' : 's'}${detail ? ` · ${detail}` : ''}\nSource: ${String(dataSource.name).split('/').pop()}`;
+  const metricAxisLabel = (metric) => {
+    if (metric.measurement) return `Mean ${metric.name.toLowerCase()}`;
+    const scale = study.metricScale(metric.id);
+    return `Mean rating (${scale.min}–${scale.max})`;
+  };
+  const cohortOptions = filterOptions(eligibleData, study);
+  const cohortCriteria = describeFilter(cohortFilter, cohortOptions);
+  const listwiseDropped = missingDataReport ? missingDataReport.droppedParticipants : 0;
+  const outsideCohort = eligibleData.length - data.length - listwiseDropped;
   const rankingData = prepareRankingData();
   const metricsData = prepareMetricsData();
   const attributeVotesData = prepareAttributeVotesData();
-  const feedbackData = processFeedback();
   const demographics = demographicsData();
   const significantDifferences = findSignificantDifferences();
   const insights = generateInsights();
   const confidenceData = prepareConfidenceData();
+  const exportMetadata = {
+    study: study.config.title,
+    dataSource: dataSource.name,
+    participants: data.length,
+    cohort: isFilterActive(cohortFilter) ? cohortCriteria : null,
+    settings: {
+      confidenceIntervals: ciMethodLabel,
+      multipleComparisonCorrection: correctionLabel,
+      seed: analysisSettings.seed,
+      missingData: analysisSettings.missingData,
+      aggregate: aggregateSettings
+    },
+    missingData: missingDataReport
+  };
+  const recommendations = (
+    <Recommendations
+      bestDesign={bestHandle(metricsData, aggregateScores)}
+      hybridDesign={_.maxBy(designs, d => _.sumBy(attributeVotesData, d.name)).name}
+    />
+  );
+
+  if (showReport) return (
+    <StudyReport
+      study={study}
+      sourceName={dataSource.name}
+      audit={{
+        responses: rawData.length,
+        excluded: {
+          consent: participation.exclusions.filter(reason => reason === 'consent').length,
+          withdrawn: participation.exclusions.filter(reason => reason === 'withdrawn').length
+        },
+        quarantined: rowDecisions.filter((decision, index) => decision === 'quarantine' && !participation.exclusions[index]).length,
+        outsideCohort,
+        cohort: isFilterActive(cohortFilter) ? cohortCriteria : null,
+        listwiseDropped,
+        included: data.length
+      }}
+      methods={{
+        ciMethod: ciMethodLabel,
+        correction: correctionLabel,
+        missingData: missingDataReport,
+        normalization: aggregateNormalization.label,
+        weights: aggregateSettings.weights,
+        seed: analysisSettings.seed
+      }}
+      insights={insights}
+      results={correctedResults || []}
+      rankingData={rankingData}
+      metricsData={metricsData}
+      aggregateScores={aggregateScores}
+      formatAggregate={formatAggregate}
+      feedback={feedbackData}
+      feedbackThemes={feedbackThemes}
+      recommendations={recommendations}
+      onClose={() => setShowReport(false)}
+    />
+  );
 
   return (
-    <div className="p-4 max-w-7xl mx-auto">
-      <h1 className="text-3xl font-bold mb-2">Bioreactor Handle Preference Analysis</h1>
-      <p className="mb-6 text-gray-600">Analysis of {data.length} participant responses comparing three handle designs: Rectangle, Curved, and Circle Undergrip.</p>
-      
-      <div className="flex mb-4 overflow-x-auto border-b">
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'overview' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('overview')}>
-          Overview
-        </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'insights' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('insights')}>
-          Key Insights
-        </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'stats' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('stats')}>
-          Statistical Analysis
-        </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'metrics' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('metrics')}>
-          Performance Metrics
-        </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'attributes' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('attributes')}>
-          Best Attributes
-        </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'feedback' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('feedback')}>
-          Qualitative Feedback
+    <div ref={pageRef} className="p-4 max-w-7xl mx-auto">
+      <h1 className="text-3xl font-bold mb-2">{study.config.title}</h1>
+      <p className="mb-6 text-gray-600">Analysis of {data.length} participant responses comparing {designs.length} {study.config.designNoun} designs: {designs.map(d => d.shortName).join(', ')}.</p>
+
+      {dataImport}
+      {error && <div className="p-4 mb-6 text-red-500 border border-red-300 rounded-lg bg-red-50">{error}</div>}
+      <PrivacyNotice privacy={privacy} withdrawals={participation.withdrawals} sourceName={dataSource.name} />
+      <DataQuality
+        validation={validation}
+        decisions={rowDecisions}
+        exclusions={participation.exclusions}
+        participantIds={rawData.map(row => row[study.participantIdColumn])}
+        onDecisionChange={updateRowDecision}
+      />
+      <AnalysisSettings settings={analysisSettings} designNoun={study.config.designNoun} onChange={setAnalysisSettings} />
+      <CohortFilter
+        options={cohortOptions}
+        filter={cohortFilter}
+        criteria={cohortCriteria}
+        includedCount={data.length}
+        eligibleCount={eligibleData.length}
+        onChange={updateCohortFilter}
+      />
+      <div className="flex justify-end gap-2 mb-2">
+        <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={() => setShowReport(true)}>
+          Generate Report
         </button>
-        <button 
-          className={`px-4 py-2 whitespace-nowrap ${tab === 'demographics' ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
-          onClick={() => setTab('demographics')}>
-          Demographics
+        <button
+          className="px-3 py-1 border rounded bg-white hover:bg-gray-50 disabled:opacity-50"
+          disabled={exportingCharts}
+          onClick={downloadAllCharts}>
+          {exportingCharts ? 'Preparing charts…' : 'Download all charts'}
         </button>
+        <ExportMenu tables={resultTables} metadata={exportMetadata} sourceName={dataSource.name} />
+      </div>
+      
+      <div className="flex mb-4 overflow-x-auto border-b">
+        {TABS.map(({ id, label }) => (
+          <button
+            key={id}
+            className={`px-4 py-2 whitespace-nowrap ${tab === id ? 'bg-blue-100 border-b-2 border-blue-500' : ''}`}
+            onClick={() => setTab(id)}>
+            {label}
+          </button>
+        ))}
       </div>
 
       {tab === 'overview' && (
         <div>
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
             <h2 className="text-xl font-semibold mb-2">Study Overview</h2>
-            <p className="mb-2">This analysis examines user preferences for three different bioreactor handle designs, based on data from {data.length} participants.</p>
+            <p className="mb-2">This analysis examines user preferences for {designs.length} different {study.config.designNoun} designs, based on data from {data.length} participants.</p>
             <p className="mb-0"><span className="font-semibold">Note:</span> The small sample size (n={data.length}) means results should be interpreted with caution. Statistical significance may be limited.</p>
           </div>
+
+          <ParticipantAudit
+            exclusions={participation.exclusions}
+            participantIds={rawData.map(row => row[study.participantIdColumn])}
+            decisions={rowDecisions}
+            includedCount={data.length}
+            outsideCohort={outsideCohort}
+            listwiseDropped={listwiseDropped}
+            consentChecked={participation.consentChecked}
+            withdrawals={participation.withdrawals}
+            unmatchedWithdrawals={participation.unmatchedWithdrawals}
+            onWithdraw={withdrawParticipant}
+            onRestore={(code) => updateWithdrawals(participation.withdrawals.filter(c => c !== code))}
+          />
           
           <h2 className="text-xl font-semibold mb-3">Handle Preference Rankings</h2>
-          <div className="h-80 mb-6">
+          <ChartFrame
+            title="Handle Preference Rankings"
+            xLabel="Handle"
+            yLabel="Participants"
+            note={chartNote()}
+            className="h-80 mb-6">
             <ResponsiveContainer width="100%" height={300}>
               <BarChart
                 data={rankingData}
@@ -759,24 +964,24 @@ const BioreactorHandleAnalysis = () => {
                 <YAxis />
                 <Tooltip />
                 <Legend />
-                <Bar dataKey="firstChoice" name="Ranked 1st" fill="#0088FE" />
-                <Bar dataKey="secondChoice" name="Ranked 2nd" fill="#00C49F" />
-                <Bar dataKey="thirdChoice" name="Ranked 3rd" fill="#FFBB28" />
+                {designs.map((design, i) => (
+                  <Bar key={i} dataKey={`rank${i + 1}`} name={`Ranked ${ordinal(i + 1)}`} fill={COLORS[i]} />
+                ))}
               </BarChart>
             </ResponsiveContainer>
-          </div>
+          </ChartFrame>
 
           <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-            {handleTypes.map((handle, index) => {
-              const scoreKey = `Handle Preference Ranking  [${handle}]`;
+            {designs.map((design, index) => {
+              const handle = design.name;
+              const scoreKey = study.rankingColumn(design.id);
               const avgRank = _.meanBy(data, scoreKey);
               const firstPlaceCount = data.filter(row => row[scoreKey] === 1).length;
               const percentFirst = ((firstPlaceCount / data.length) * 100).toFixed(1);
               
               // Calculate confidence interval
               const ranks = data.map(row => row[scoreKey]).filter(Boolean);
-              const stdDev = math.std(ranks);
-              const ci = calculateCI(avgRank, stdDev, ranks.length);
+              const ci = calculateCI(ranks, { method: analysisSettings.ciMethod, seed: analysisSettings.seed });
               
               return (
                 <div key={handle} className="border p-4 rounded shadow">
@@ -790,38 +995,59 @@ const BioreactorHandleAnalysis = () => {
             })}
           </div>
 
+          <h2 className="text-xl font-semibold mb-3">Preference Ranking Analysis</h2>
+          <RankingAnalysis analysis={rankAnalysis} designs={designs} designNoun={study.config.designNoun} chartNote={chartNote} />
+
           <h2 className="text-xl font-semibold mb-3">Aggregate Performance Score</h2>
           <p className="mb-3 text-sm text-gray-600">
-            Combined score based on all metrics (Positioning, Attempts, Comfort, Security, Ease, Intuitiveness, Satisfaction)
+            Weighted combination of all metrics ({study.metrics.map(m => m.shortName).join(', ')}) using {aggregateNormalization.label.toLowerCase()}
           </p>
+          <MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} />
           
           {aggregateScores && (
-            <div className="h-64 mb-6">
+            <ChartFrame
+              title="Aggregate Performance Score"
+              xLabel="Handle"
+              yLabel={aggregateNormalization.standardized ? 'Mean score (SD units)' : `Mean score (1–${scaleMax})`}
+              note={chartNote(aggregateScores.detail.length, aggregateNormalization.label)}
+              className="h-64 mb-6">
               <ResponsiveContainer width="100%" height={300}>
                 <BarChart
-                  data={[
-                    {name: 'Rectangle Handle', score: aggregateScores.average['Rectangle Handle'], color: COLORS[0]},
-                    {name: 'Curved Handle', score: aggregateScores.average['Curved Handle'], color: COLORS[1]},
-                    {name: 'Circle Undergrip Handle', score: aggregateScores.average['Circle Undergrip Handle'], color: COLORS[2]}
-                  ]}
+                  data={designs.map(design => ({name: design.name, score: aggregateScores.average[design.name], color: design.color}))}
                   margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
                 >
                   <CartesianGrid strokeDasharray="3 3" />
                   <XAxis dataKey="name" />
-                  <YAxis domain={[0, 5]} />
-                  <Tooltip />
+                  <YAxis domain={aggregateNormalization.standardized ? ['auto', 'auto'] : [0, scaleMax]} />
+                  <Tooltip formatter={(value) => formatAggregate(value)} />
                   <Bar dataKey="score" name="Aggregate Score" fill={(d) => d.color} />
                 </BarChart>
               </ResponsiveContainer>
-            </div>
+            </ChartFrame>
           )}
 
+          <AggregateWeights
+            metrics={study.metrics}
+            designs={designs}
+            designNoun={study.config.designNoun}
+            settings={aggregateSettings}
+            defaults={defaultAggregateSettings(studyConfig.metrics)}
+            onChange={setAggregateSettings}
+            sensitivity={weightSensitivity}
+            chartNote={chartNote}
+          />
+
           <h2 className="text-xl font-semibold mb-3">Key Findings</h2>
           <ul className="list-disc pl-5 mb-6 space-y-2">
-            <li>The {_.minBy(metricsData, m => _.meanBy(data, `Handle Preference Ranking  [${m.name}]`)).name} received the best average ranking.</li>
-            <li>The {_.maxBy(metricsData, 'Comfort').name} scored highest for comfort ({_.maxBy(metricsData, 'Comfort').Comfort.toFixed(1)}/5).</li>
-            <li>The {_.maxBy(metricsData, 'Satisfaction').name} had the highest overall satisfaction ({_.maxBy(metricsData, 'Satisfaction').Satisfaction.toFixed(1)}/5).</li>
-            <li>The {_.minBy(metricsData, 'Attempts').name} required the fewest attempts on average ({_.minBy(metricsData, 'Attempts').Attempts.toFixed(1)}).</li>
+            <li>The {_.minBy(designs, d => _.meanBy(data, study.rankingColumn(d.id))).name} received the best average ranking.</li>
+            {study.metrics.filter(m => m.highlight).map(metric => {
+              const best = (metric.higherIsBetter ? _.maxBy : _.minBy)(metricsData, metric.shortName);
+              return (
+                <li key={metric.id}>
+                  The {best.name} {metric.higherIsBetter ? 'scored highest' : 'scored lowest'} for {metric.name.toLowerCase()} ({best[metric.shortName].toFixed(1)}{metric.higherIsBetter ? `/${study.metricScale(metric.id).max}` : ''}).
+                </li>
+              );
+            })}
             
             {significantDifferences.length > 0 && (
               <li className="font-semibold">
@@ -835,6 +1061,7 @@ const BioreactorHandleAnalysis = () => {
       {tab === 'insights' && (
         <div>
           <h2 className="text-xl font-semibold mb-4">Key Insights from Statistical Analysis</h2>
+          <MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} />
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
             {insights.map(insight => (
@@ -849,7 +1076,8 @@ const BioreactorHandleAnalysis = () => {
                       {insight.details.slice(0, 3).map((detail, i) => (
                         <li key={i}>
                           {detail.metricName}: {detail.better} performed better (difference: {detail.meanDiff}, 
-                          effect size: {detail.effect}, p-value: {detail.pValue})
+                          effect size: {detail.effect}, p-value: {formatPValue(detail.pValue)}
+                          {correctionMethod !== 'none' && <>, adjusted p: {formatPValue(detail.adjustedPValue)}</>})
                         </li>
                       ))}
                     </ul>
@@ -861,14 +1089,19 @@ const BioreactorHandleAnalysis = () => {
           
           <h2 className="text-xl font-semibold mb-3">Statistical Confidence Intervals</h2>
           <p className="mb-3 text-sm text-gray-600">
-            Showing 95% confidence intervals for key metrics. Wider intervals indicate greater uncertainty.
+            Showing 95% confidence intervals ({ciMethodLabel.toLowerCase()}) for key metrics. Wider intervals indicate greater uncertainty.
           </p>
           
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6 mb-6">
             {confidenceData.map((metricData, index) => (
               <div key={index} className="border rounded shadow p-4">
                 <h3 className="text-lg font-semibold mb-2">{metricData[0].metric}</h3>
-                <div className="h-64">
+                <ChartFrame
+                  title={`${metricData[0].metric}: 95% Confidence Intervals`}
+                  xLabel="Handle"
+                  yLabel="Mean score"
+                  note={chartNote(undefined, `error bars: 95% CI (${ciMethodLabel.toLowerCase()})`)}
+                  className="h-64">
                   <ResponsiveContainer width="100%" height={300}>
                     <ScatterChart
                       margin={{ top: 20, right: 30, left: 20, bottom: 5 }}
@@ -883,7 +1116,7 @@ const BioreactorHandleAnalysis = () => {
                         type="number" 
                         dataKey="mean" 
                         name="Score" 
-                        domain={[0, 5]}
+                        domain={[0, study.metricScale(metricData[0].metricId).max]}
                       />
                       <ZAxis range={[100, 100]} />
                       <Tooltip 
@@ -914,8 +1147,8 @@ const BioreactorHandleAnalysis = () => {
                       ))}
                     </ScatterChart>
                   </ResponsiveContainer>
-                </div>
-                <div className="text-xs text-gray-500 mt-2">Error bars represent 95% confidence intervals</div>
+                </ChartFrame>
+                <div className="text-xs text-gray-500 mt-2">Error bars represent 95% confidence intervals ({ciMethodLabel.toLowerCase()})</div>
               </div>
             ))}
           </div>
@@ -926,54 +1159,30 @@ const BioreactorHandleAnalysis = () => {
               <thead>
                 <tr className="bg-gray-100">
                   <th className="border px-4 py-2">Metric</th>
-                  <th className="border px-4 py-2">Rectangle vs Curved</th>
-                  <th className="border px-4 py-2">Rectangle vs Circle</th>
-                  <th className="border px-4 py-2">Curved vs Circle</th>
+                  {study.pairs.map(pair => (
+                    <th key={pair.key} className="border px-4 py-2">{pair.label}</th>
+                  ))}
                 </tr>
               </thead>
               <tbody>
                 {statisticalResults && statisticalResults.map((result, index) => (
                   <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                     <td className="border px-4 py-2 font-medium">{result.metric}</td>
-                    <td className="border px-4 py-2">
-                      <span className={
-                        result.comparisons.rectVsCurved.interpretation === 'Large' ? 'text-green-600 font-semibold' :
-                        result.comparisons.rectVsCurved.interpretation === 'Medium' ? 'text-blue-600 font-semibold' :
-                        result.comparisons.rectVsCurved.interpretation === 'Small' ? 'text-gray-600' :
-                        'text-gray-400'
-                      }>
-                        {result.comparisons.rectVsCurved.interpretation}
-                      </span>
-                      <span className="text-xs text-gray-500 ml-1">
-                        (d={result.comparisons.rectVsCurved.effectSize.toFixed(2)})
-                      </span>
-                    </td>
-                    <td className="border px-4 py-2">
-                      <span className={
-                        result.comparisons.rectVsCircle.interpretation === 'Large' ? 'text-green-600 font-semibold' :
-                        result.comparisons.rectVsCircle.interpretation === 'Medium' ? 'text-blue-600 font-semibold' :
-                        result.comparisons.rectVsCircle.interpretation === 'Small' ? 'text-gray-600' :
-                        'text-gray-400'
-                      }>
-                        {result.comparisons.rectVsCircle.interpretation}
-                      </span>
-                      <span className="text-xs text-gray-500 ml-1">
-                        (d={result.comparisons.rectVsCircle.effectSize.toFixed(2)})
-                      </span>
-                    </td>
-                    <td className="border px-4 py-2">
-                      <span className={
-                        result.comparisons.curvedVsCircle.interpretation === 'Large' ? 'text-green-600 font-semibold' :
-                        result.comparisons.curvedVsCircle.interpretation === 'Medium' ? 'text-blue-600 font-semibold' :
-                        result.comparisons.curvedVsCircle.interpretation === 'Small' ? 'text-gray-600' :
-                        'text-gray-400'
-                      }>
-                        {result.comparisons.curvedVsCircle.interpretation}
-                      </span>
-                      <span className="text-xs text-gray-500 ml-1">
-                        (d={result.comparisons.curvedVsCircle.effectSize.toFixed(2)})
-                      </span>
-                    </td>
+                    {result.comparisons.map(comparison => (
+                      <td key={comparison.key} className="border px-4 py-2">
+                        <span className={
+                          comparison.interpretation === 'Large' ? 'text-green-600 font-semibold' :
+                          comparison.interpretation === 'Medium' ? 'text-blue-600 font-semibold' :
+                          comparison.interpretation === 'Small' ? 'text-gray-600' :
+                          'text-gray-400'
+                        }>
+                          {comparison.interpretation}
+                        </span>
+                        <span className="text-xs text-gray-500 ml-1">
+                          (d<sub>z</sub>={comparison.effectSize.toFixed(2)})
+                        </span>
+                      </td>
+                    ))}
                   </tr>
                 ))}
               </tbody>
@@ -983,10 +1192,10 @@ const BioreactorHandleAnalysis = () => {
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
             <h3 className="text-lg font-semibold mb-2">Interpretation Guide</h3>
             <ul className="list-disc pl-5 space-y-1">
-              <li><span className="font-semibold text-green-600">Large effect (d ≥ 0.8):</span> Substantial practical significance</li>
-              <li><span className="font-semibold text-blue-600">Medium effect (0.5 ≤ d &lt; 0.8):</span> Moderate practical significance</li>
-              <li><span className="font-semibold text-gray-600">Small effect (0.2 ≤ d &lt; 0.5):</span> Small practical significance</li>
-              <li><span className="font-semibold text-gray-400">Negligible effect (d &lt; 0.2):</span> Minimal practical significance</li>
+              <li><span className="font-semibold text-green-600">Large effect (d<sub>z</sub> ≥ 0.8):</span> Substantial practical significance</li>
+              <li><span className="font-semibold text-blue-600">Medium effect (0.5 ≤ d<sub>z</sub> &lt; 0.8):</span> Moderate practical significance</li>
+              <li><span className="font-semibold text-gray-600">Small effect (0.2 ≤ d<sub>z</sub> &lt; 0.5):</span> Small practical significance</li>
+              <li><span className="font-semibold text-gray-400">Negligible effect (d<sub>z</sub> &lt; 0.2):</span> Minimal practical significance</li>
             </ul>
             <p className="mt-3 text-sm">
               <span className="font-semibold">Note:</span> Due to small sample size (n={data.length}), these results should be interpreted with caution. 
@@ -999,12 +1208,13 @@ const BioreactorHandleAnalysis = () => {
       {tab === 'stats' && (
         <div>
           <h2 className="text-xl font-semibold mb-3">Statistical Analysis</h2>
+          <MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} />
           
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
             <h3 className="text-lg font-semibold mb-2">Study Limitations</h3>
             <ul className="list-disc pl-5">
               <li>Small sample size (n={data.length}) limits statistical power</li>
-              <li>Confidence intervals are wide due to sample size</li>
+              <li>Confidence intervals are wide due to sample size (computed with the {ciMethodLabel.toLowerCase()} method)</li>
               <li>Results should be considered preliminary</li>
               <li>Effect sizes may be more informative than p-values for this sample</li>
             </ul>
@@ -1017,134 +1227,177 @@ const BioreactorHandleAnalysis = () => {
               <thead>
                 <tr className="bg-gray-100">
                   <th className="border px-4 py-2">Metric</th>
-                  <th className="border px-4 py-2">Rectangle Handle</th>
-                  <th className="border px-4 py-2">Curved Handle</th>
-                  <th className="border px-4 py-2">Circle Undergrip Handle</th>
+                  {designs.map(design => (
+                    <th key={design.id} className="border px-4 py-2">{design.name}</th>
+                  ))}
                 </tr>
               </thead>
               <tbody>
                 {statisticalResults && statisticalResults.map((result, index) => (
                   <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                    <td className="border px-4 py-2 font-medium">{result.metric}</td>
-                    <td className="border px-4 py-2">
-                      {result.rectangle.mean.toFixed(2)} ± {result.rectangle.stdDev.toFixed(2)}
-                      <div className="text-xs text-gray-500">
-                        95% CI: [{result.rectangle.ci[0].toFixed(2)}, {result.rectangle.ci[1].toFixed(2)}]
-                      </div>
-                    </td>
-                    <td className="border px-4 py-2">
-                      {result.curved.mean.toFixed(2)} ± {result.curved.stdDev.toFixed(2)}
-                      <div className="text-xs text-gray-500">
-                        95% CI: [{result.curved.ci[0].toFixed(2)}, {result.curved.ci[1].toFixed(2)}]
-                      </div>
-                    </td>
-                    <td className="border px-4 py-2">
-                      {result.circle.mean.toFixed(2)} ± {result.circle.stdDev.toFixed(2)}
-                      <div className="text-xs text-gray-500">
-                        95% CI: [{result.circle.ci[0].toFixed(2)}, {result.circle.ci[1].toFixed(2)}]
-                      </div>
+                    <td className="border px-4 py-2 font-medium">
+                      {result.metric}
+                      <MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} metricId={result.metricId} className="text-xs font-normal text-gray-500" />
                     </td>
+                    {designs.map(design => (
+                      <td key={design.id} className="border px-4 py-2">
+                        {result.designs[design.id].mean.toFixed(2)} ± {result.designs[design.id].stdDev.toFixed(2)}
+                        <div className="text-xs text-gray-500">
+                          95% CI: [{result.designs[design.id].ci[0].toFixed(2)}, {result.designs[design.id].ci[1].toFixed(2)}]
+                        </div>
+                      </td>
+                    ))}
                   </tr>
                 ))}
               </tbody>
             </table>
           </div>
           
-          <h3 className="text-lg font-semibold mb-3">Statistical Test Results</h3>
+          <h3 className="text-lg font-semibold mb-3">Omnibus Tests</h3>
           <p className="mb-3 text-sm text-gray-600">
-            Welch's t-tests were used to compare handles. Note that with a small sample size, effect sizes may be more informative than p-values.
+            Repeated-measures ANOVA and Friedman tests of whether the handles differ at all on each metric, using participants who rated every handle.
+            When Mauchly's test rejects sphericity (p &lt; 0.05) the Greenhouse-Geisser corrected p-value is used.
+            Pairwise comparisons below are only highlighted for metrics with a significant omnibus test.
           </p>
           
-          <div className="grid grid-cols-1 lg:grid-cols-3 gap-4 mb-6">
-            <div className="border rounded shadow overflow-hidden">
-              <div className="bg-gray-100 px-4 py-2 font-semibold">Rectangle vs. Curved</div>
-              <div className="p-4">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr>
-                      <th className="text-left pb-2">Metric</th>
-                      <th className="text-right pb-2">t-value</th>
-                      <th className="text-right pb-2">p-value</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {statisticalResults && statisticalResults.map((result, index) => (
-                      <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                        <td className="py-1">{result.metric}</td>
-                        <td className="text-right py-1">{result.comparisons.rectVsCurved.tValue.toFixed(2)}</td>
-                        <td className={`text-right py-1 ${
-                          result.comparisons.rectVsCurved.pValue === "< 0.01" ? "font-bold text-green-600" :
-                          result.comparisons.rectVsCurved.pValue === "< 0.05" ? "font-semibold text-blue-600" :
-                          "text-gray-600"
-                        }`}>
-                          {result.comparisons.rectVsCurved.pValue}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-            
-            <div className="border rounded shadow overflow-hidden">
-              <div className="bg-gray-100 px-4 py-2 font-semibold">Rectangle vs. Circle</div>
-              <div className="p-4">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr>
-                      <th className="text-left pb-2">Metric</th>
-                      <th className="text-right pb-2">t-value</th>
-                      <th className="text-right pb-2">p-value</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {statisticalResults && statisticalResults.map((result, index) => (
-                      <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                        <td className="py-1">{result.metric}</td>
-                        <td className="text-right py-1">{result.comparisons.rectVsCircle.tValue.toFixed(2)}</td>
-                        <td className={`text-right py-1 ${
-                          result.comparisons.rectVsCircle.pValue === "< 0.01" ? "font-bold text-green-600" :
-                          result.comparisons.rectVsCircle.pValue === "< 0.05" ? "font-semibold text-blue-600" :
-                          "text-gray-600"
-                        }`}>
-                          {result.comparisons.rectVsCircle.pValue}
-                        </td>
-                      </tr>
-                    ))}
-                  </tbody>
-                </table>
-              </div>
-            </div>
-            
-            <div className="border rounded shadow overflow-hidden">
-              <div className="bg-gray-100 px-4 py-2 font-semibold">Curved vs. Circle</div>
-              <div className="p-4">
-                <table className="w-full text-sm">
-                  <thead>
-                    <tr>
-                      <th className="text-left pb-2">Metric</th>
-                      <th className="text-right pb-2">t-value</th>
-                      <th className="text-right pb-2">p-value</th>
+          <div className="overflow-x-auto mb-6">
+            <table className="min-w-full border rounded text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border px-3 py-2">Metric</th>
+                  <th className="border px-3 py-2">n</th>
+                  <th className="border px-3 py-2">F (df)</th>
+                  <th className="border px-3 py-2">p-value</th>
+                  <th className="border px-3 py-2">Mauchly W (p)</th>
+                  <th className="border px-3 py-2">GG ε</th>
+                  <th className="border px-3 py-2">GG p-value</th>
+                  <th className="border px-3 py-2">η²<sub>p</sub></th>
+                  <th className="border px-3 py-2">Friedman χ² (df)</th>
+                  <th className="border px-3 py-2">p-value</th>
+                </tr>
+              </thead>
+              <tbody>
+                {statisticalResults && statisticalResults.map((result, index) => {
+                  const { anova, friedman, significant } = result.omnibus;
+                  return (
+                    <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="border px-3 py-2 font-medium">
+                        {result.metric}
+                        {significant && <span className="ml-1 text-green-600 font-bold">*</span>}
+                      </td>
+                      <td className="border px-3 py-2 text-center">{anova ? anova.n : 0}</td>
+                      {anova ? (
+                        <>
+                          <td className="border px-3 py-2 text-right">{anova.f.toFixed(2)} ({formatDf(anova.df1)}, {formatDf(anova.df2)})</td>
+                          <td className={`border px-3 py-2 text-right ${anova.sphericity && anova.sphericity.violated ? 'text-gray-400' : pValueClass(anova.pValue)}`}>
+                            {formatPValue(anova.pValue)}
+                          </td>
+                          <td className="border px-3 py-2 text-right">
+                            {anova.sphericity ? `${anova.sphericity.w.toFixed(2)} (${formatPValue(anova.sphericity.pValue)})` : 'N/A'}
+                          </td>
+                          <td className="border px-3 py-2 text-right">{anova.epsilon.toFixed(2)}</td>
+                          <td className={`border px-3 py-2 text-right ${anova.sphericity && anova.sphericity.violated ? pValueClass(anova.ggPValue) : 'text-gray-400'}`}>
+                            {formatPValue(anova.ggPValue)}
+                          </td>
+                          <td className="border px-3 py-2 text-right">{anova.partialEtaSquared.toFixed(2)}</td>
+                        </>
+                      ) : (
+                        <td className="border px-3 py-2 text-center text-gray-400" colSpan={6}>Not enough complete responses</td>
+                      )}
+                      {friedman ? (
+                        <>
+                          <td className="border px-3 py-2 text-right">{friedman.chiSquare.toFixed(2)} ({friedman.df})</td>
+                          <td className={`border px-3 py-2 text-right ${pValueClass(friedman.pValue)}`}>{formatPValue(friedman.pValue)}</td>
+                        </>
+                      ) : (
+                        <td className="border px-3 py-2 text-center text-gray-400" colSpan={2}>N/A</td>
+                      )}
                     </tr>
-                  </thead>
-                  <tbody>
-                    {statisticalResults && statisticalResults.map((result, index) => (
-                      <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                        <td className="py-1">{result.metric}</td>
-                        <td className="text-right py-1">{result.comparisons.curvedVsCircle.tValue.toFixed(2)}</td>
-                        <td className={`text-right py-1 ${
-                          result.comparisons.curvedVsCircle.pValue === "< 0.01" ? "font-bold text-green-600" :
-                          result.comparisons.curvedVsCircle.pValue === "< 0.05" ? "font-semibold text-blue-600" :
-                          "text-gray-600"
-                        }`}>
-                          {result.comparisons.curvedVsCircle.pValue}
-                        </td>
+                  );
+                })}
+              </tbody>
+            </table>
+            <div className="text-xs text-gray-500 mt-1">* Significant omnibus repeated-measures ANOVA (p &lt; 0.05)</div>
+          </div>
+          
+          <h3 className="text-lg font-semibold mb-3">Statistical Test Results</h3>
+          <p className="mb-3 text-sm text-gray-600">
+            Every participant rated every handle, so handles are compared with paired t-tests and Wilcoxon signed-rank tests
+            on each participant's difference, using participants with both ratings. Welch's t-test, which ignores the pairing,
+            is shown for reference. Note that with a small sample size, effect sizes may be more informative than p-values.
+          </p>
+          
+          <div className="flex flex-wrap items-center gap-2 mb-3 text-sm">
+            <label htmlFor="correction-method" className="font-medium">Multiple-comparison correction:</label>
+            <select
+              id="correction-method"
+              className="border rounded px-2 py-1"
+              value={correctionMethod}
+              onChange={(e) => setCorrectionMethod(e.target.value)}>
+              {CORRECTION_METHODS.map(method => (
+                <option key={method.id} value={method.id}>{method.label}</option>
+              ))}
+            </select>
+            <span className="text-gray-500">
+              Applied to the paired t-test p-values across all {correctedResults ? _.sumBy(correctedResults, r => r.comparisons.length) : 0} metric × handle-pair tests.
+            </span>
+          </div>
+          
+          <div className="grid grid-cols-1 gap-4 mb-6">
+            {study.pairs.map((pair, pairIndex) => (
+              <div key={pair.key} className="border rounded shadow overflow-hidden">
+                <div className="bg-gray-100 px-4 py-2 font-semibold">{study.designById[pair.a].shortName} vs. {study.designById[pair.b].shortName}</div>
+                <div className="p-4 overflow-x-auto">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr>
+                        <th className="text-left pb-2">Metric</th>
+                        <th className="text-right pb-2">n pairs</th>
+                        <th className="text-right pb-2">Mean diff.</th>
+                        <th className="text-right pb-2">Paired t</th>
+                        <th className="text-right pb-2">df</th>
+                        <th className="text-right pb-2">p-value</th>
+                        <th className="text-right pb-2">Adj. p ({correctionLabel})</th>
+                        <th className="text-right pb-2">d<sub>z</sub></th>
+                        <th className="text-right pb-2">Wilcoxon W</th>
+                        <th className="text-right pb-2">p-value</th>
+                        <th className="text-right pb-2 text-gray-400">Welch t</th>
+                        <th className="text-right pb-2 text-gray-400">df</th>
+                        <th className="text-right pb-2 text-gray-400">p-value</th>
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
+                    </thead>
+                    <tbody>
+                      {correctedResults && correctedResults.map((result, index) => {
+                        const comparison = result.comparisons[pairIndex];
+                        return (
+                          <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                            <td className="py-1">{result.metric}</td>
+                            <td className="text-right py-1">{comparison.paired.n}</td>
+                            <td className="text-right py-1">{comparison.paired.meanDiff.toFixed(2)}</td>
+                            <td className="text-right py-1">{comparison.paired.t.toFixed(2)}</td>
+                            <td className="text-right py-1">{formatDf(comparison.paired.df)}</td>
+                            <td className="text-right py-1 text-gray-600">
+                              {formatPValue(comparison.paired.pValue)}
+                            </td>
+                            <td className={`text-right py-1 ${result.omnibus.significant ? pValueClass(comparison.adjustedPValue) : 'text-gray-400'}`}>
+                              {formatPValue(comparison.adjustedPValue)}
+                            </td>
+                            <td className="text-right py-1">{comparison.paired.dz.toFixed(2)}</td>
+                            <td className="text-right py-1">{comparison.wilcoxon.w}</td>
+                            <td className={`text-right py-1 ${result.omnibus.significant ? pValueClass(comparison.wilcoxon.pValue) : 'text-gray-400'}`}>
+                              {formatPValue(comparison.wilcoxon.pValue)}
+                            </td>
+                            <td className="text-right py-1 text-gray-400">{comparison.welch.t.toFixed(2)}</td>
+                            <td className="text-right py-1 text-gray-400">{formatDf(comparison.welch.df)}</td>
+                            <td className="text-right py-1 text-gray-400">{formatPValue(comparison.welch.pValue)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                </div>
               </div>
-            </div>
+            ))}
           </div>
           
           {aggregateScores && (
@@ -1155,24 +1408,30 @@ const BioreactorHandleAnalysis = () => {
                   <thead>
                     <tr className="bg-gray-100">
                       <th className="border px-4 py-2">Participant ID</th>
-                      <th className="border px-4 py-2">Rectangle Score</th>
-                      <th className="border px-4 py-2">Curved Score</th>
-                      <th className="border px-4 py-2">Circle Score</th>
+                      {designs.map(design => (
+                        <th key={design.id} className="border px-4 py-2">{design.shortName} Score</th>
+                      ))}
                       <th className="border px-4 py-2">Top Choice</th>
                     </tr>
                   </thead>
                   <tbody>
                     {aggregateScores.detail.map((participant, index) => (
-                      <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
-                        <td className="border px-4 py-2">{participant.participantId}</td>
-                        <td className="border px-4 py-2">{participant.rectangleScore.toFixed(2)}</td>
-                        <td className="border px-4 py-2">{participant.curvedScore.toFixed(2)}</td>
-                        <td className="border px-4 py-2">{participant.circleScore ? participant.circleScore.toFixed(2) : 'N/A'}</td>
-                        <td className={`border px-4 py-2 font-medium ${
-                          participant.topChoice === 'Rectangle Handle' ? 'text-blue-600' :
-                          participant.topChoice === 'Curved Handle' ? 'text-green-600' :
-                          'text-yellow-600'
-                        }`}>
+                      <tr key={index} className={index === profileIndex ? 'bg-blue-50' : index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="border px-4 py-2">
+                          <button
+                            className="text-blue-600 hover:underline"
+                            aria-pressed={index === profileIndex}
+                            title="Open this participant's profile"
+                            onClick={() => setProfileIndex(index === profileIndex ? null : index)}>
+                            {participant.participantId}
+                          </button>
+                        </td>
+                        {designs.map(design => (
+                          <td key={design.id} className="border px-4 py-2">
+                            {participant.scores[design.name] !== null ? participant.scores[design.name].toFixed(2) : 'N/A'}
+                          </td>
+                        ))}
+                        <td className="border px-4 py-2 font-medium" style={{color: designColor(participant.topChoice)}}>
                           {participant.topChoice}
                         </td>
                       </tr>
@@ -1180,133 +1439,85 @@ const BioreactorHandleAnalysis = () => {
                   </tbody>
                 </table>
               </div>
+              <p className="text-sm text-gray-600 -mt-4 mb-4">Select a participant ID to see everything they answered.</p>
+
+              {profileIndex !== null && profileIndex < data.length && aggregateScores.detail.length === data.length && (
+                <ParticipantProfile
+                  study={study}
+                  data={data}
+                  index={profileIndex}
+                  score={aggregateScores.detail[profileIndex]}
+                  scoreAnswer={scoreAnswer}
+                  chartNote={chartNote}
+                  onNavigate={setProfileIndex}
+                />
+              )}
             </>
           )}
         </div>
       )}
 
+      {tab === 'bayes' && (
+        <BayesianAnalysis
+          analysis={bayesianResults}
+          designs={designs}
+          designNoun={study.config.designNoun}
+          note={<MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} />}
+          chartNote={chartNote}
+        />
+      )}
+
       {tab === 'metrics' && (
         <div>
           <h2 className="text-xl font-semibold mb-3">Performance Metrics Comparison</h2>
-          <p className="mb-4">Higher values are better for all metrics except "Attempts" (where lower is better).</p>
+          <MissingDataNote report={missingDataReport} designNoun={study.config.designNoun} />
+          <p className="mb-4">
+            Higher values are better for all metrics except {study.metrics.filter(m => !m.higherIsBetter).map(m => `"${m.shortName}"`).join(', ') || 'none'} (where lower is better).
+          </p>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Positioning Accuracy</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Accuracy" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-              <div className="text-xs text-gray-500 mt-2">Higher values indicate better positioning accuracy</div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Number of Attempts</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Attempts" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-              <div className="text-xs text-gray-500 mt-2">Lower values are better</div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Comfort</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Comfort" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Grip Security</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Security" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Ease of Use</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Ease" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Intuitiveness</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Intuitive" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow col-span-1 md:col-span-2">
-              <h3 className="text-lg font-semibold mb-2">Overall Satisfaction</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart data={metricsData}>
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis dataKey="name" />
-                    <YAxis domain={[0, 5]} />
-                    <Tooltip formatter={(value) => value.toFixed(2)} />
-                    <Bar dataKey="Satisfaction" fill={(d) => d.color} />
-                  </BarChart>
-                </ResponsiveContainer>
+            {study.metrics.map((metric, index) => (
+              <div
+                key={metric.id}
+                className={`border p-4 rounded shadow ${
+                  index === study.metrics.length - 1 && study.metrics.length % 2 === 1 ? 'col-span-1 md:col-span-2' : ''
+                }`}>
+                <h3 className="text-lg font-semibold mb-2">{metric.name}</h3>
+                <ChartFrame
+                  title={metric.name}
+                  xLabel="Handle"
+                  yLabel={metricAxisLabel(metric)}
+                  note={chartNote(undefined, `${metric.higherIsBetter ? 'higher' : 'lower'} values are better`)}
+                  className="h-64">
+                  <ResponsiveContainer width="100%" height={300}>
+                    <BarChart data={metricsData}>
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="name" />
+                      <YAxis domain={[0, study.metricScale(metric.id).max]} />
+                      <Tooltip formatter={(value) => value.toFixed(2)} />
+                      <Bar dataKey={metric.shortName} fill={(d) => d.color} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </ChartFrame>
+                <div className="text-xs text-gray-500 mt-2">{metric.higherIsBetter ? 'Higher' : 'Lower'} values are better</div>
               </div>
-            </div>
+            ))}
           </div>
           
           {confidenceData && (
             <div className="border p-4 rounded shadow mb-6">
               <h3 className="text-lg font-semibold mb-3">Metrics with Confidence Intervals</h3>
+              <p className="mb-3 text-xs text-gray-500">95% confidence intervals using the {ciMethodLabel.toLowerCase()} method.</p>
               <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
                 {confidenceData.slice(0, 4).map((metricData, index) => (
                   <div key={index}>
                     <h4 className="font-medium mb-2">{metricData[0].metric}</h4>
-                    <div className="h-56">
+                    <ChartFrame
+                      title={`${metricData[0].metric} with 95% Confidence Intervals`}
+                      xLabel="Handle"
+                      yLabel={metricAxisLabel(study.metricById[metricData[0].metricId])}
+                      note={chartNote(undefined, `error bars: 95% CI (${ciMethodLabel.toLowerCase()})`)}
+                      className="h-56">
                       <ResponsiveContainer width="100%" height={300}>
                         <BarChart
                           data={metricData}
@@ -1314,7 +1525,7 @@ const BioreactorHandleAnalysis = () => {
                         >
                           <CartesianGrid strokeDasharray="3 3" />
                           <XAxis dataKey="name" />
-                          <YAxis domain={[0, 5]} />
+                          <YAxis domain={[0, study.metricScale(metricData[0].metricId).max]} />
                           <Tooltip
                             formatter={(value, name, props) => {
                               if (name === 'mean') return [value.toFixed(2), 'Mean'];
@@ -1329,7 +1540,7 @@ const BioreactorHandleAnalysis = () => {
                           </Bar>
                         </BarChart>
                       </ResponsiveContainer>
-                    </div>
+                    </ChartFrame>
                   </div>
                 ))}
               </div>
@@ -1347,13 +1558,14 @@ const BioreactorHandleAnalysis = () => {
             {attributeVotesData.map((category) => (
               <div key={category.category} className="border p-4 rounded shadow">
                 <h3 className="text-lg font-semibold mb-2">{category.category}</h3>
-                <div className="h-64">
+                <ChartFrame
+                  title={category.category}
+                  xLabel="Handle"
+                  yLabel="Votes"
+                  note={chartNote()}
+                  className="h-64">
                   <ResponsiveContainer width="100%" height={300}>
-                    <BarChart data={[
-                      {name: 'Rectangle Handle', votes: category['Rectangle Handle'], color: COLORS[0]},
-                      {name: 'Curved Handle', votes: category['Curved Handle'], color: COLORS[1]},
-                      {name: 'Circle Undergrip Handle', votes: category['Circle Undergrip Handle'], color: COLORS[2]}
-                    ]}>
+                    <BarChart data={designs.map(design => ({name: design.name, votes: category[design.name], color: design.color}))}>
                       <CartesianGrid strokeDasharray="3 3" />
                       <XAxis dataKey="name" />
                       <YAxis domain={[0, data.length]} />
@@ -1361,7 +1573,7 @@ const BioreactorHandleAnalysis = () => {
                       <Bar dataKey="votes" fill={(d) => d.color} />
                     </BarChart>
                   </ResponsiveContainer>
-                </div>
+                </ChartFrame>
               </div>
             ))}
           </div>
@@ -1372,30 +1584,25 @@ const BioreactorHandleAnalysis = () => {
               <thead>
                 <tr className="bg-gray-100">
                   <th className="border px-4 py-2">Attribute</th>
-                  <th className="border px-4 py-2">Rectangle Handle</th>
-                  <th className="border px-4 py-2">Curved Handle</th>
-                  <th className="border px-4 py-2">Circle Undergrip Handle</th>
+                  {designs.map(design => (
+                    <th key={design.id} className="border px-4 py-2">{design.name}</th>
+                  ))}
                   <th className="border px-4 py-2">Winner</th>
                 </tr>
               </thead>
               <tbody>
                 {attributeVotesData.map((category, index) => {
-                  const winner = ['Rectangle Handle', 'Curved Handle', 'Circle Undergrip Handle'].reduce(
-                    (best, current) => category[current] > category[best] ? current : best, 
-                    'Rectangle Handle'
+                  const winner = designs.map(d => d.name).reduce(
+                    (best, current) => category[current] > category[best] ? current : best
                   );
                   
                   return (
                     <tr key={index} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                       <td className="border px-4 py-2 font-medium">{category.category}</td>
-                      <td className="border px-4 py-2 text-center">{category['Rectangle Handle']}</td>
-                      <td className="border px-4 py-2 text-center">{category['Curved Handle']}</td>
-                      <td className="border px-4 py-2 text-center">{category['Circle Undergrip Handle']}</td>
-                      <td className={`border px-4 py-2 font-medium text-center ${
-                        winner === 'Rectangle Handle' ? 'text-blue-600' :
-                        winner === 'Curved Handle' ? 'text-green-600' :
-                        'text-yellow-600'
-                      }`}>
+                      {designs.map(design => (
+                        <td key={design.id} className="border px-4 py-2 text-center">{category[design.name]}</td>
+                      ))}
+                      <td className="border px-4 py-2 font-medium text-center" style={{color: designColor(winner)}}>
                         {winner}
                       </td>
                     </tr>
@@ -1411,180 +1618,77 @@ const BioreactorHandleAnalysis = () => {
         <div>
           <h2 className="text-xl font-semibold mb-3">Qualitative Feedback</h2>
           
-          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-            {/* Rectangle Handle Feedback */}
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Rectangle Handle</h3>
-              
-              <h4 className="font-medium mt-3">Likes:</h4>
-              <ul className="list-disc pl-5 mb-3">
-                {feedbackData.rectangleLikes.map((item, i) => (
-                  <li key={`rect-like-${i}`}>{item}</li>
-                ))}
-              </ul>
-              
-              <h4 className="font-medium mt-3">Suggested Improvements:</h4>
-              <ul className="list-disc pl-5">
-                {feedbackData.rectangleImprovements.map((item, i) => (
-                  <li key={`rect-imp-${i}`}>{item}</li>
-                ))}
-              </ul>
-            </div>
-            
-            {/* Curved Handle Feedback */}
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Curved Handle</h3>
-              
-              <h4 className="font-medium mt-3">Likes:</h4>
-              <ul className="list-disc pl-5 mb-3">
-                {feedbackData.curvedLikes.map((item, i) => (
-                  <li key={`curved-like-${i}`}>{item}</li>
-                ))}
-              </ul>
-              
-              <h4 className="font-medium mt-3">Suggested Improvements:</h4>
-              <ul className="list-disc pl-5">
-                {feedbackData.curvedImprovements.map((item, i) => (
-                  <li key={`curved-imp-${i}`}>{item}</li>
-                ))}
-              </ul>
-            </div>
-            
-            {/* Circle Undergrip Handle Feedback */}
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Circle Undergrip Handle</h3>
-              
-              <h4 className="font-medium mt-3">Likes:</h4>
-              <ul className="list-disc pl-5 mb-3">
-                {feedbackData.circleLikes.map((item, i) => (
-                  <li key={`circle-like-${i}`}>{item}</li>
-                ))}
-              </ul>
-              
-              <h4 className="font-medium mt-3">Suggested Improvements:</h4>
-              <ul className="list-disc pl-5">
-                {feedbackData.circleImprovements.map((item, i) => (
-                  <li key={`circle-imp-${i}`}>{item}</li>
-                ))}
-              </ul>
-            </div>
-          </div>
-          
-          <h3 className="text-lg font-semibold mb-2">Additional Comments</h3>
-          {feedbackData.additionalComments.length > 0 ? (
-            <ul className="list-disc pl-5">
-              {feedbackData.additionalComments.map((item, i) => (
-                <li key={`comment-${i}`}>{item}</li>
-              ))}
-            </ul>
-          ) : (
-            <p>No additional comments provided.</p>
-          )}
-          
-          <div className="mt-6 bg-blue-50 border border-blue-200 rounded-lg p-4">
-            <h3 className="text-lg font-semibold mb-2">Qualitative Feedback Analysis</h3>
-            <p className="mb-2">Common themes from participant feedback:</p>
-            <ul className="list-disc pl-5">
-              <li><strong>Rectangle Handle:</strong> Basic functionality but lacks comfort and ergonomics</li>
-              <li><strong>Curved Handle:</strong> Improved grip and comfort over rectangle design</li>
-              <li><strong>Circle Undergrip Handle:</strong> Most intuitive design with the best grip security</li>
-              <li>Participants frequently mentioned the need for rounded edges across all designs</li>
-              <li>Comfort and ease of grip were consistently identified as key factors</li>
-            </ul>
-          </div>
+          <p className="mb-4 text-sm text-gray-600">
+            Search every free-text answer, narrow it down by {study.config.designNoun}, question, rating or participant
+            demographics, and expand an answer to see that participant’s ratings.
+          </p>
+          <FeedbackExplorer study={study} data={data} scoreAnswer={scoreAnswer} />
+
+          <FeedbackThemes themes={feedbackThemes} chartNote={chartNote} />
+
+          <SentimentAnalysis study={study} sentiment={sentiment} chartNote={chartNote} />
         </div>
       )}
 
+      {tab === 'coding' && (
+        <CodingWorkspace
+          key={dataSource.name}
+          study={study}
+          data={eligibleData}
+          cohortFilter={cohortFilter}
+          sourceName={dataSource.name}
+          participantIds={codingParticipantIds(privacy ? privacy.key : [], dataSource.name)}
+        />
+      )}
+
       {tab === 'demographics' && demographics && (
         <div>
           <h2 className="text-xl font-semibold mb-3">Participant Demographics</h2>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Gender</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <PieChart>
-                    <Pie
-                      data={Object.entries(demographics.genderCount).map(([key, value]) => ({ name: key, value }))}
-                      dataKey="value"
-                      nameKey="name"
-                      cx="50%"
-                      cy="50%"
-                      outerRadius={80}
-                      label={({name, percent}) => `${name}: ${(percent * 100).toFixed(0)}%`}
-                    >
-                      {Object.keys(demographics.genderCount).map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <Tooltip />
-                  </PieChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Hand Dominance</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <PieChart>
-                    <Pie
-                      data={Object.entries(demographics.handednessCount).map(([key, value]) => ({ name: key, value }))}
-                      dataKey="value"
-                      nameKey="name"
-                      cx="50%"
-                      cy="50%"
-                      outerRadius={80}
-                      label={({name, percent}) => `${name}: ${(percent * 100).toFixed(0)}%`}
-                    >
-                      {Object.keys(demographics.handednessCount).map((entry, index) => (
-                        <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
-                      ))}
-                    </Pie>
-                    <Tooltip />
-                  </PieChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Experience Level</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart
-                    data={Object.entries(demographics.experienceCount).map(([key, value]) => ({ name: key, count: value }))}
-                    layout="vertical"
-                    margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis type="number" />
-                    <YAxis dataKey="name" type="category" width={150} />
-                    <Tooltip />
-                    <Bar dataKey="count" fill="#8884d8" />
-                  </BarChart>
-                </ResponsiveContainer>
-              </div>
-            </div>
-            
-            <div className="border p-4 rounded shadow">
-              <h3 className="text-lg font-semibold mb-2">Height Distribution</h3>
-              <div className="h-64">
-                <ResponsiveContainer width="100%" height={300}>
-                  <BarChart
-                    data={Object.entries(demographics.heightCount).map(([key, value]) => ({ name: key, count: value }))}
-                    layout="vertical"
-                    margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
-                  >
-                    <CartesianGrid strokeDasharray="3 3" />
-                    <XAxis type="number" />
-                    <YAxis dataKey="name" type="category" width={150} />
-                    <Tooltip />
-                    <Bar dataKey="count" fill="#8884d8" />
-                  </BarChart>
-                </ResponsiveContainer>
+            {demographics.map(factor => (
+              <div key={factor.id} className="border p-4 rounded shadow">
+                <h3 className="text-lg font-semibold mb-2">{factor.name}</h3>
+                <ChartFrame
+                  title={`Participants by ${factor.name}`}
+                  xLabel={factor.chart === 'pie' ? undefined : 'Participants'}
+                  note={chartNote()}
+                  className="h-64">
+                  <ResponsiveContainer width="100%" height={300}>
+                    {factor.chart === 'pie' ? (
+                      <PieChart>
+                        <Pie
+                          data={Object.entries(factor.counts).map(([key, value]) => ({ name: key, value }))}
+                          dataKey="value"
+                          nameKey="name"
+                          cx="50%"
+                          cy="50%"
+                          outerRadius={80}
+                          label={({name, percent}) => `${name}: ${(percent * 100).toFixed(0)}%`}
+                        >
+                          {Object.keys(factor.counts).map((entry, index) => (
+                            <Cell key={`cell-${index}`} fill={COLORS[index % COLORS.length]} />
+                          ))}
+                        </Pie>
+                        <Tooltip />
+                      </PieChart>
+                    ) : (
+                      <BarChart
+                        data={Object.entries(factor.counts).map(([key, value]) => ({ name: key, count: value }))}
+                        layout="vertical"
+                        margin={{ top: 5, right: 30, left: 20, bottom: 5 }}
+                      >
+                        <CartesianGrid strokeDasharray="3 3" />
+                        <XAxis type="number" />
+                        <YAxis dataKey="name" type="category" width={150} />
+                        <Tooltip />
+                        <Bar dataKey="count" fill="#8884d8" />
+                      </BarChart>
+                    )}
+                  </ResponsiveContainer>
+                </ChartFrame>
               </div>
-            </div>
+            ))}
           </div>
           
           {demographicBreakdown && (
@@ -1600,9 +1704,9 @@ const BioreactorHandleAnalysis = () => {
                           <tr className="bg-gray-50">
                             <th className="px-4 py-2 text-left">Group</th>
                             <th className="px-4 py-2 text-center">Count</th>
-                            <th className="px-4 py-2 text-center">Rectangle Rank</th>
-                            <th className="px-4 py-2 text-center">Curved Rank</th>
-                            <th className="px-4 py-2 text-center">Circle Rank</th>
+                            {designs.map(design => (
+                              <th key={design.id} className="px-4 py-2 text-center">{design.shortName} Rank</th>
+                            ))}
                           </tr>
                         </thead>
                         <tbody>
@@ -1610,9 +1714,9 @@ const BioreactorHandleAnalysis = () => {
                             <tr key={group} className={i % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
                               <td className="px-4 py-2">{group}</td>
                               <td className="px-4 py-2 text-center">{data.count}</td>
-                              <td className="px-4 py-2 text-center">{data['Rectangle Handle'].toFixed(1)}</td>
-                              <td className="px-4 py-2 text-center">{data['Curved Handle'].toFixed(1)}</td>
-                              <td className="px-4 py-2 text-center">{data['Circle Undergrip Handle'].toFixed(1)}</td>
+                              {designs.map(design => (
+                                <td key={design.id} className="px-4 py-2 text-center">{data[design.name].toFixed(1)}</td>
+                              ))}
                             </tr>
                           ))}
                         </tbody>
@@ -1637,23 +1741,21 @@ const BioreactorHandleAnalysis = () => {
           )}
         </div>
       )}
+
+      {tab === 'compare' && (
+        <CohortComparison
+          study={study}
+          options={filterOptions(data, study)}
+          cohorts={comparisonCohorts}
+          onChange={setComparisonCohorts}
+          comparison={cohortComparison}
+          correctionLabel={correctionLabel}
+          chartNote={chartNote}
+        />
+      )}
       
       <div className="mt-8 p-4 border-t">
-        <h2 className="text-xl font-semibold mb-3">Recommendations</h2>
-        <ul className="list-disc pl-5 space-y-2">
-          <li>
-            <strong>Primary Recommendation:</strong> Based on the combined metrics and user feedback, the {bestHandle(metricsData, aggregateScores)} appears to be the most promising design. It scored highest in overall satisfaction and had the most consistent performance across metrics.
-          </li>
-          <li>
-            <strong>Design Improvements:</strong> Regardless of which handle is selected, participants consistently suggested rounder edges and improved grip security.
-          </li>
-          <li>
-            <strong>Future Testing:</strong> Consider a larger participant pool (20+ users) with more diverse hand sizes and laboratory experience levels.
-          </li>
-          <li>
-            <strong>Hybrid Design:</strong> Consider developing a prototype that combines the best features of the {attributeVotesData.find(d => d.category === 'Grip Security')?.['Circle Undergrip Handle'] > attributeVotesData.find(d => d.category === 'Grip Security')?.['Curved Handle'] ? 'Circle Undergrip' : 'Curved'} handle with the ergonomic benefits identified in user feedback.
-          </li>
-        </ul>
+        {recommendations}
       </div>
       
       <div className="text-xs text-gray-500 text-center mt-8">
@@ -1665,14 +1767,27 @@ const BioreactorHandleAnalysis = () => {
 
 // Helper function to determine the best handle
 const bestHandle = (metricsData, aggregateScores) => {
-  if (!aggregateScores) return "Circle Undergrip Handle"; // Default if aggregateScores not available yet
+  if (!aggregateScores) return metricsData.length > 0 ? metricsData[0].name : ''; // Default if aggregateScores not available yet
   
   const bestAggregate = Object.entries(aggregateScores.average).reduce(
     (best, [handle, score]) => (score > best.score) ? {handle, score} : best, 
-    {handle: '', score: 0}
+    {handle: '', score: -Infinity}
   ).handle;
   
   return bestAggregate;
 };
 
+// Helper function to highlight significant p-values
+const pValueClass = (p) => {
+  if (p !== null && p < 0.01) return "font-bold text-green-600";
+  if (p !== null && p < 0.05) return "font-semibold text-blue-600";
+  return "text-gray-600";
+};
+
+// Helper function to format a rank as 1st, 2nd, 3rd...
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  return n + ((n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th'));
+};
+
 export default BioreactorHandleAnalysis;
\ No newline at end of file
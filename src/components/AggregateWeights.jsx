@@ -0,0 +1,130 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import { NORMALIZATION_METHODS } from '../utils/aggregate';
+import ChartFrame from './ChartFrame';
+
+const AggregateWeights = ({ metrics, designs, designNoun, settings, defaults, onChange, sensitivity, chartNote }) => {
+  const totalWeight = metrics.reduce((sum, metric) => sum + (settings.weights[metric.id] || 0), 0);
+  const normalization = NORMALIZATION_METHODS.find(method => method.id === settings.normalization);
+
+  const updateWeight = (metricId, value) => {
+    const weight = parseFloat(value);
+    onChange({
+      ...settings,
+      weights: { ...settings.weights, [metricId]: Number.isFinite(weight) && weight > 0 ? weight : 0 }
+    });
+  };
+
+  const chartData = sensitivity ? sensitivity.scenarios.map(scenario => ({
+    name: scenario.label,
+    ...Object.fromEntries(designs.map(design => [design.name, scenario.winFrequency[design.id] * 100]))
+  })) : [];
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+      <div className="border p-4 rounded shadow">
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold">Metric Weights</h3>
+          <button
+            className="text-sm px-3 py-1 border rounded hover:bg-gray-100"
+            onClick={() => onChange(defaults)}>
+            Reset to defaults
+          </button>
+        </div>
+
+        <table className="min-w-full text-sm mb-3">
+          <thead>
+            <tr className="border-b">
+              <th className="text-left pb-2">Metric</th>
+              <th className="text-right pb-2">Weight</th>
+              <th className="text-right pb-2">Share</th>
+            </tr>
+          </thead>
+          <tbody>
+            {metrics.map(metric => {
+              const weight = settings.weights[metric.id] || 0;
+              return (
+                <tr key={metric.id}>
+                  <td className="py-1">
+                    {metric.name}
+                    {!metric.higherIsBetter && <span className="text-xs text-gray-500"> (lower is better)</span>}
+                  </td>
+                  <td className="text-right py-1">
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.1"
+                      aria-label={`${metric.name} weight`}
+                      className="border rounded px-2 py-1 w-20 text-right"
+                      value={weight}
+                      onChange={(e) => updateWeight(metric.id, e.target.value)}
+                    />
+                  </td>
+                  <td className="text-right py-1 text-gray-600">
+                    {totalWeight > 0 ? `${((weight / totalWeight) * 100).toFixed(0)}%` : '—'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <label className="flex items-center gap-2 text-sm mb-1">
+          Normalization:
+          <select
+            className="border rounded px-2 py-1"
+            value={settings.normalization}
+            onChange={(e) => onChange({ ...settings, normalization: e.target.value })}>
+            {NORMALIZATION_METHODS.map(method => (
+              <option key={method.id} value={method.id}>{method.label}</option>
+            ))}
+          </select>
+        </label>
+        <p className="text-xs text-gray-500">
+          {normalization.description(designNoun)} Ratings still missing after the missing-data policy are left out of a participant's
+          {' '}score and the remaining weights rescaled.
+        </p>
+      </div>
+
+      <div className="border p-4 rounded shadow">
+        <h3 className="text-lg font-semibold mb-2">Weight Sensitivity</h3>
+        {sensitivity ? (
+          <>
+            <p className="text-sm text-gray-600 mb-2">
+              How often each {designNoun} has the best aggregate score when the weights are randomly perturbed.
+            </p>
+            <ChartFrame
+              title="Weight Sensitivity"
+              xLabel="Weight perturbation"
+              yLabel="Best aggregate score (% of draws)"
+              note={chartNote(undefined, `${sensitivity.draws} Dirichlet weight draws per scenario (seed ${sensitivity.seed})`)}
+              className="h-56">
+              <ResponsiveContainer width="100%" height={220}>
+                <BarChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis domain={[0, 100]} unit="%" />
+                  <Tooltip formatter={(value) => `${value.toFixed(1)}%`} />
+                  <Legend />
+                  {designs.map(design => (
+                    <Bar key={design.id} dataKey={design.name} stackId="wins" fill={design.color} />
+                  ))}
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+            <ul className="text-xs text-gray-500 mt-2 space-y-1">
+              {sensitivity.scenarios.map(scenario => (
+                <li key={scenario.id}><span className="font-medium">{scenario.label}:</span> {scenario.description}.</li>
+              ))}
+              <li>Based on {sensitivity.draws} Dirichlet weight draws per scenario (seed {sensitivity.seed}).</li>
+            </ul>
+          </>
+        ) : (
+          <p className="text-sm text-gray-500">At least two metrics are needed to vary the weights.</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AggregateWeights;
@@ -0,0 +1,51 @@
+import React from 'react';
+import { CI_METHODS } from '../utils/statistics';
+import { MISSING_DATA_POLICIES } from '../utils/missingData';
+
+const AnalysisSettings = ({ settings, designNoun, onChange }) => {
+  const update = (key, value) => onChange({ ...settings, [key]: value });
+
+  return (
+    <div className="flex flex-wrap items-center gap-4 mb-6 text-sm border rounded-lg p-3 bg-gray-50">
+      <span className="font-semibold">Analysis settings</span>
+
+      <label className="flex items-center gap-2">
+        Confidence intervals:
+        <select
+          className="border rounded px-2 py-1 bg-white"
+          value={settings.ciMethod}
+          onChange={(e) => update('ciMethod', e.target.value)}>
+          {CI_METHODS.map(method => (
+            <option key={method.id} value={method.id}>{method.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label
+        className="flex items-center gap-2"
+        title={MISSING_DATA_POLICIES.find(policy => policy.id === settings.missingData).description(designNoun)}>
+        Missing data:
+        <select
+          className="border rounded px-2 py-1 bg-white"
+          value={settings.missingData}
+          onChange={(e) => update('missingData', e.target.value)}>
+          {MISSING_DATA_POLICIES.map(policy => (
+            <option key={policy.id} value={policy.id}>{policy.label}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="flex items-center gap-2" title="Used by the bootstrap intervals and the ranking model">
+        Bootstrap seed:
+        <input
+          type="number"
+          className="border rounded px-2 py-1 w-24 bg-white"
+          value={settings.seed}
+          onChange={(e) => update('seed', parseInt(e.target.value, 10) || 0)}
+        />
+      </label>
+    </div>
+  );
+};
+
+export default AnalysisSettings;
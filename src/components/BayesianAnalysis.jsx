@@ -0,0 +1,187 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, Cell, LineChart, Line } from 'recharts';
+import ChartFrame from './ChartFrame';
+
+const AGGREGATE = 'aggregate';
+
+const formatPercent = (p) => `${(p * 100).toFixed(0)}%`;
+
+const formatInterval = ([low, high]) => `[${low.toFixed(2)}, ${high.toFixed(2)}]`;
+
+const BayesianAnalysis = ({ analysis, designs, designNoun, note, chartNote }) => {
+  const [selected, setSelected] = useState(AGGREGATE);
+
+  if (!analysis) return null;
+
+  // The aggregate score comes first, followed by every metric with enough data
+  const rows = [
+    { id: AGGREGATE, name: 'Aggregate Score', posterior: analysis.aggregate },
+    ...analysis.metrics.map(result => ({ id: result.metricId, name: result.metric, posterior: result.posterior }))
+  ];
+  const current = rows.find(row => row.id === selected) || rows[0];
+  const posterior = current.posterior;
+  // Every posterior shares the same number of draws and seed
+  const reference = (rows.find(row => row.posterior) || {}).posterior;
+
+  return (
+    <div className="mb-6">
+      <h2 className="text-xl font-semibold mb-3">Bayesian Analysis</h2>
+      {note}
+      <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6 text-sm">
+        <p className="mb-2">
+          Instead of asking whether a difference is statistically significant, this view asks how probable it is that each
+          {' '}{designNoun} is the best. Each participant's ratings of the {designs.length} {designNoun}s are modeled as a multivariate
+          {' '}normal sample with a noninformative (Jeffreys) prior, so the posterior accounts for participants rating every {designNoun}.
+        </p>
+        <p className="mb-0">
+          Results come from {reference ? reference.draws : 0} Monte Carlo draws from the posterior
+          {reference ? ` (seed ${reference.seed})` : ''}. Credible intervals are 95% equal-tailed intervals;
+          {' '}for metrics where lower is better, "best" means the lowest mean.
+        </p>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-2">Probability Each {_.upperFirst(designNoun)} Is Best</h3>
+      <div className="overflow-x-auto mb-6">
+        <table className="min-w-full border rounded text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-4 py-2">Measure</th>
+              <th className="border px-4 py-2">n</th>
+              {designs.map(design => (
+                <th key={design.id} className="border px-4 py-2">{design.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map((row, i) => {
+              const topProbability = row.posterior ? Math.max(...row.posterior.designs.map(d => d.pBest)) : null;
+              return (
+                <tr key={row.id} className={i % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  <td className="border px-4 py-2 font-medium">
+                    {row.name}
+                    {row.posterior && !row.posterior.higherIsBetter && <span className="text-xs text-gray-500"> (lower is better)</span>}
+                  </td>
+                  <td className="border px-4 py-2 text-center">{row.posterior ? row.posterior.n : '—'}</td>
+                  {row.posterior ? row.posterior.designs.map(design => (
+                    <td key={design.id} className="border px-4 py-2 text-center">
+                      <div className={design.pBest === topProbability ? 'font-semibold text-green-600' : ''}>
+                        {formatPercent(design.pBest)}
+                      </div>
+                      <div className="text-xs text-gray-500">
+                        {design.posteriorMean.toFixed(2)} {formatInterval(design.credibleInterval)}
+                      </div>
+                    </td>
+                  )) : (
+                    <td colSpan={designs.length} className="border px-4 py-2 text-center text-gray-500">
+                      Too few participants rated every {designNoun}
+                    </td>
+                  )}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <p className="text-xs text-gray-500 mb-6">
+        Each cell shows the posterior probability of being best, then the posterior mean and its 95% credible interval.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <label htmlFor="bayes-measure" className="font-semibold">Posterior detail for:</label>
+        <select
+          id="bayes-measure"
+          className="border rounded px-2 py-1"
+          value={current.id}
+          onChange={(e) => setSelected(e.target.value)}>
+          {rows.map(row => (
+            <option key={row.id} value={row.id} disabled={!row.posterior}>{row.name}</option>
+          ))}
+        </select>
+      </div>
+
+      {posterior && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div className="border p-4 rounded shadow">
+            <h3 className="text-lg font-semibold mb-2">Posterior Distribution of the Mean</h3>
+            <ChartFrame
+              title={`${current.name}: Posterior Distribution of the Mean`}
+              xLabel="Mean"
+              yLabel="Posterior density"
+              note={chartNote(posterior.n, `${posterior.draws} posterior draws (seed ${posterior.seed})`)}
+              className="h-64">
+              <ResponsiveContainer width="100%" height={250}>
+                <LineChart data={posterior.density} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="x" type="number" domain={['dataMin', 'dataMax']} tickFormatter={(x) => x.toFixed(1)} />
+                  <YAxis tick={false} />
+                  <Tooltip labelFormatter={(x) => `Mean ${x.toFixed(2)}`} formatter={(value) => value.toFixed(3)} />
+                  <Legend />
+                  {designs.map(design => (
+                    <Line key={design.id} type="monotone" dataKey={design.name} stroke={design.color} dot={false} strokeWidth={2} />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          </div>
+
+          <div className="border p-4 rounded shadow">
+            <h3 className="text-lg font-semibold mb-2">Probability of Being Best</h3>
+            <ChartFrame
+              title={`${current.name}: Probability of Being Best`}
+              xLabel={_.upperFirst(designNoun)}
+              yLabel="Posterior probability"
+              note={chartNote(posterior.n, `${posterior.draws} posterior draws (seed ${posterior.seed})`)}
+              className="h-64">
+              <ResponsiveContainer width="100%" height={250}>
+                <BarChart
+                  data={posterior.designs.map(design => ({ name: design.name, pBest: design.pBest }))}
+                  margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" />
+                  <YAxis domain={[0, 1]} tickFormatter={formatPercent} />
+                  <Tooltip formatter={(value) => formatPercent(value)} />
+                  <Bar dataKey="pBest" name="P(best)">
+                    {designs.map(design => (
+                      <Cell key={design.id} fill={design.color} />
+                    ))}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          </div>
+
+          <div className="md:col-span-2 overflow-x-auto">
+            <table className="min-w-full border rounded text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border px-4 py-2">Comparison</th>
+                  <th className="border px-4 py-2">Mean Difference</th>
+                  <th className="border px-4 py-2">95% Credible Interval</th>
+                  <th className="border px-4 py-2">P(first {designNoun} is better)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {posterior.differences.map((difference, i) => (
+                  <tr key={difference.key} className={i % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="border px-4 py-2">{difference.label}</td>
+                    <td className="border px-4 py-2 text-center">{difference.mean.toFixed(2)}</td>
+                    <td className="border px-4 py-2 text-center">{formatInterval(difference.credibleInterval)}</td>
+                    <td className={`border px-4 py-2 text-center ${difference.probability >= 0.95 || difference.probability <= 0.05 ? 'font-semibold' : ''}`}>
+                      {formatPercent(difference.probability)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <p className="text-xs text-gray-500 mt-2">
+              Differences are first {designNoun} minus second {designNoun}. Probabilities near 0% or 100% indicate a clear winner.
+            </p>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BayesianAnalysis;
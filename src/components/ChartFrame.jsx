@@ -0,0 +1,47 @@
+import React, { useRef, useState } from 'react';
+import { composeChartSvg, svgToPng, chartFileName } from '../utils/chartExport';
+import { downloadFile } from '../utils/download';
+
+const ChartFrame = ({ title, xLabel, yLabel, note, className = '', children }) => {
+  const frameRef = useRef(null);
+  const [error, setError] = useState(null);
+  const options = { title, xLabel, yLabel, note };
+
+  const exportChart = async (format) => {
+    setError(null);
+    const image = composeChartSvg(frameRef.current, options);
+    if (!image) {
+      setError('The chart has not been drawn yet.');
+      return;
+    }
+    try {
+      if (format === 'svg') {
+        downloadFile(`${chartFileName(title)}.svg`, image.svg, 'image/svg+xml');
+      } else {
+        downloadFile(`${chartFileName(title)}.png`, await svgToPng(image));
+      }
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div ref={frameRef} className={`relative ${className}`} data-chart-export={JSON.stringify(options)}>
+      <div className="absolute top-0 right-0 z-10 flex gap-1 text-xs">
+        {['svg', 'png'].map(format => (
+          <button
+            key={format}
+            className="px-2 py-0.5 border rounded bg-white text-gray-600 hover:bg-gray-50"
+            title={`Download ${title} as ${format.toUpperCase()}`}
+            onClick={() => exportChart(format)}>
+            {format.toUpperCase()}
+          </button>
+        ))}
+      </div>
+      {error && <div className="absolute top-6 right-0 z-10 text-xs text-red-600 bg-white">{error}</div>}
+      {children}
+    </div>
+  );
+};
+
+export default ChartFrame;
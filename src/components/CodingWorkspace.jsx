@@ -0,0 +1,356 @@
+import React, { useState, useEffect, useRef } from 'react';
+import _ from 'lodash';
+import { collectComments, loadCoding, saveCoding, addCode, removeCode, appliedCodes, codingTextChanged, toggleCode, confirmCodingText, unmatchedCodings, codeCounts, codesByRating, codesByGroup, codingToJson, codingsToCsv, mergeCodingFile } from '../utils/coding';
+import { applyCohortFilter, filterOptions } from '../utils/cohort';
+import { readFileAsText } from '../utils/dataLoader';
+import { downloadFile, fileBaseName } from '../utils/download';
+
+const formatMean = (summary) => (summary.n > 0 ? `${summary.mean.toFixed(2)} (n=${summary.n})` : 'N/A');
+
+// data holds every participant left after consent and validation, so codings are matched against all of them;
+// only the comments of the current cohort are shown and summarized
+const CodingWorkspace = ({ study, data, cohortFilter, sourceName, participantIds }) => {
+  const [coding, setCoding] = useState(() => loadCoding(sourceName));
+  const [newCode, setNewCode] = useState({ name: '', description: '' });
+  const [question, setQuestion] = useState('all');
+  const [uncodedOnly, setUncodedOnly] = useState(false);
+  const [crossTab, setCrossTab] = useState(study.metrics[0].id);
+  const [importMessage, setImportMessage] = useState(null);
+  const inputRef = useRef(null);
+
+  useEffect(() => {
+    saveCoding(sourceName, coding);
+  }, [sourceName, coding]);
+
+  const { codebook, codings } = coding;
+  const allComments = collectComments(data, study, { participantIds });
+  const cohortRows = applyCohortFilter(data, study, cohortFilter);
+  const inCohort = new Set(cohortRows);
+  const comments = allComments.filter(comment => inCohort.has(comment.row));
+  const questions = _.uniqBy(comments, 'questionId').map(({ questionId, question: label }) => ({ questionId, label }));
+  const visible = comments.filter(comment =>
+    (question === 'all' || comment.questionId === question) && (!uncodedOnly || !appliedCodes(codings, comment).length));
+  const codedCount = comments.filter(comment => appliedCodes(codings, comment).length > 0).length;
+  const changedCount = comments.filter(comment => codingTextChanged(codings, comment)).length;
+  const unmatched = unmatchedCodings(allComments, codings);
+  const outsideCohort = allComments.filter(comment => !inCohort.has(comment.row) && appliedCodes(codings, comment).length > 0).length;
+
+  const counts = codeCounts(comments, codings, codebook);
+  const metric = study.metricById[crossTab];
+  const factor = metric ? null : filterOptions(cohortRows, study).factors.find(f => f.id === crossTab);
+  const byRating = metric ? codesByRating(comments, codings, codebook, cohortRows, study, metric.id) : null;
+  const byGroup = factor ? codesByGroup(comments, codings, codebook, factor, study) : null;
+  const baseName = `${fileBaseName(sourceName)}-coding`;
+
+  const submitCode = (e) => {
+    e.preventDefault();
+    setCoding({ ...coding, codebook: addCode(codebook, newCode.name, newCode.description) });
+    setNewCode({ name: '', description: '' });
+  };
+
+  const deleteCode = (code) => {
+    const uses = counts.find(count => count.code.id === code.id).total;
+    if (uses > 0 && !window.confirm(`Remove "${code.name}" from the codebook and from ${uses} comment${uses === 1 ? '' : 's'}?`)) return;
+    setCoding(removeCode(coding, code.id));
+  };
+
+  const importFile = async (file) => {
+    if (!file) return;
+    try {
+      const merged = mergeCodingFile(await readFileAsText(file), coding);
+      setCoding(merged);
+      setImportMessage({ error: false, text: `Imported ${file.name}: ${merged.codebook.length} codes, ${Object.keys(merged.codings).length} coded comments.` });
+    } catch (err) {
+      setImportMessage({ error: true, text: `Could not import ${file.name}. ${err.message}` });
+    }
+  };
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-2">Qualitative Coding</h2>
+      <p className="mb-4 text-sm text-gray-600">
+        Define a codebook and tag each comment with one or more codes. Codes are saved in this browser against the
+        participant’s ID (as a hash) and question, so they survive reloads and reordered rows; export them to share with
+        another analyst or keep a backup.
+      </p>
+      {(changedCount > 0 || unmatched > 0 || outsideCohort > 0) && (
+        <div className="bg-yellow-50 border border-yellow-300 rounded p-3 mb-4 text-sm">
+          {changedCount > 0 && (
+            <p>
+              {changedCount} coded comment{changedCount === 1 ? ' has' : 's have'} different text from when {changedCount === 1 ? 'it was' : 'they were'} coded.
+              Check the codes on the comments marked “text changed”.
+            </p>
+          )}
+          {unmatched > 0 && (
+            <p>
+              {unmatched} saved coding{unmatched === 1 ? '' : 's'} match{unmatched === 1 ? 'es' : ''} no comment in this file, because the
+              participant’s row was removed or excluded, their ID changed or their answer was cleared. {unmatched === 1 ? 'It is' : 'They are'} kept
+              but not counted.
+            </p>
+          )}
+          {outsideCohort > 0 && (
+            <p>
+              {outsideCohort} coded comment{outsideCohort === 1 ? ' is' : 's are'} from participants outside the current cohort filter, so{' '}
+              {outsideCohort === 1 ? 'it is' : 'they are'} hidden and not counted until the filter is cleared.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <div className="border p-4 rounded shadow text-sm">
+          <h3 className="text-lg font-semibold mb-2">Codebook</h3>
+          {codebook.length === 0 && <p className="text-gray-500 mb-2">No codes yet. Add the first one below.</p>}
+          <ul className="space-y-2 mb-3">
+            {counts.map(({ code, total }) => (
+              <li key={code.id} className="flex items-start justify-between gap-2">
+                <div>
+                  <span className="inline-block w-3 h-3 rounded-full mr-2" style={{ backgroundColor: code.color }} />
+                  <span className="font-medium">{code.name}</span>
+                  <span className="text-gray-500"> ({total})</span>
+                  {code.description && <div className="text-xs text-gray-500 ml-5">{code.description}</div>}
+                </div>
+                <button className="text-xs text-red-600 hover:underline" onClick={() => deleteCode(code)}>Remove</button>
+              </li>
+            ))}
+          </ul>
+          <form onSubmit={submitCode} className="space-y-2">
+            <input
+              className="border rounded px-2 py-1 w-full"
+              placeholder="Code name, e.g. grip comfort"
+              aria-label="Code name"
+              value={newCode.name}
+              onChange={(e) => setNewCode({ ...newCode, name: e.target.value })}
+            />
+            <input
+              className="border rounded px-2 py-1 w-full"
+              placeholder="Description (optional)"
+              aria-label="Code description"
+              value={newCode.description}
+              onChange={(e) => setNewCode({ ...newCode, description: e.target.value })}
+            />
+            <button type="submit" className="px-3 py-1 border rounded bg-white hover:bg-gray-50" disabled={!newCode.name.trim()}>
+              Add code
+            </button>
+          </form>
+
+          <div className="border-t mt-4 pt-3">
+            <div className="font-semibold mb-1">Share</div>
+            <div className="flex flex-wrap gap-2">
+              <button
+                className="px-3 py-1 border rounded bg-white hover:bg-gray-50"
+                onClick={() => downloadFile(`${baseName}.json`, codingToJson(coding, sourceName), 'application/json')}>
+                Export codebook
+              </button>
+              <button
+                className="px-3 py-1 border rounded bg-white hover:bg-gray-50 disabled:text-gray-400"
+                disabled={codedCount === 0}
+                onClick={() => downloadFile(`${baseName}.csv`, codingsToCsv(comments, coding), 'text/csv')}>
+                Codings (CSV)
+              </button>
+              <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={() => inputRef.current && inputRef.current.click()}>
+                Import…
+              </button>
+              <input
+                ref={inputRef}
+                type="file"
+                accept=".json,application/json"
+                className="hidden"
+                onChange={(e) => {
+                  importFile(e.target.files[0]);
+                  e.target.value = '';
+                }}
+              />
+            </div>
+            {importMessage && (
+              <p className={`text-xs mt-2 ${importMessage.error ? 'text-red-600' : 'text-gray-600'}`}>{importMessage.text}</p>
+            )}
+            <p className="text-xs text-gray-500 mt-2">
+              The export holds the codebook and the codes applied to each comment; importing merges it into the current coding.
+            </p>
+          </div>
+        </div>
+
+        <div className="md:col-span-2 border p-4 rounded shadow text-sm">
+          <div className="flex flex-wrap items-center justify-between gap-2 mb-3">
+            <h3 className="text-lg font-semibold">Comments</h3>
+            <span className="text-gray-600">{codedCount} of {comments.length} coded</span>
+          </div>
+          <div className="flex flex-wrap items-center gap-4 mb-3">
+            <label className="flex items-center gap-2">
+              Question:
+              <select className="border rounded px-2 py-1 bg-white" value={question} onChange={(e) => setQuestion(e.target.value)}>
+                <option value="all">All questions</option>
+                {questions.map(q => <option key={q.questionId} value={q.questionId}>{q.label}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={uncodedOnly} onChange={(e) => setUncodedOnly(e.target.checked)} />
+              Uncoded only
+            </label>
+          </div>
+
+          {visible.length === 0 ? (
+            <p className="text-gray-500">{comments.length === 0 ? 'There are no comments to code.' : 'Every comment shown here is coded.'}</p>
+          ) : (
+            <ul className="space-y-3 max-h-[32rem] overflow-y-auto pr-1">
+              {visible.map(comment => {
+                const applied = appliedCodes(codings, comment);
+                const changed = codingTextChanged(codings, comment);
+                return (
+                  <li key={comment.key} className={`border rounded p-3 ${changed ? 'bg-yellow-50 border-yellow-300' : 'bg-gray-50'}`}>
+                    <div className="text-xs text-gray-500 mb-1">
+                      {comment.participant} · {comment.question}
+                      {changed && (
+                        <>
+                          {' · '}<span className="text-yellow-700 font-medium">text changed since coded</span>{' '}
+                          <button className="text-blue-600 hover:underline" onClick={() => setCoding({ ...coding, codings: confirmCodingText(codings, comment) })}>
+                            Keep codes
+                          </button>
+                        </>
+                      )}
+                    </div>
+                    <p className="mb-2">“{comment.text}”</p>
+                    <div className="flex flex-wrap gap-1">
+                      {codebook.map(code => {
+                        const active = applied.includes(code.id);
+                        return (
+                          <button
+                            key={code.id}
+                            aria-pressed={active}
+                            className="px-2 py-0.5 rounded-full border text-xs"
+                            style={active ? { backgroundColor: code.color, borderColor: code.color, color: '#fff' } : { borderColor: code.color, color: code.color }}
+                            onClick={() => setCoding({ ...coding, codings: toggleCode(codings, comment, code.id) })}>
+                            {code.name}
+                          </button>
+                        );
+                      })}
+                      {codebook.length === 0 && <span className="text-xs text-gray-400">Add codes to the codebook to tag this comment.</span>}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+        </div>
+      </div>
+
+      {codebook.length > 0 && (
+        <>
+          <div className="border p-4 rounded shadow mb-6 overflow-x-auto">
+            <h3 className="text-lg font-semibold mb-2">Code Counts by {_.upperFirst(study.config.designNoun)}</h3>
+            <table className="min-w-full border text-sm">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border px-4 py-2 text-left">Code</th>
+                  {study.designs.map(design => (
+                    <th key={design.id} className="border px-4 py-2">{design.shortName}: likes / improvements</th>
+                  ))}
+                  <th className="border px-4 py-2">Additional comments</th>
+                  <th className="border px-4 py-2">Total</th>
+                </tr>
+              </thead>
+              <tbody>
+                {counts.map(({ code, total, byQuestion }, index) => (
+                  <tr key={code.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="border px-4 py-2 font-medium">{code.name}</td>
+                    {study.designs.map(design => (
+                      <td key={design.id} className="border px-4 py-2 text-center">
+                        {byQuestion[`likes:${design.id}`] || 0} / {byQuestion[`improvements:${design.id}`] || 0}
+                      </td>
+                    ))}
+                    <td className="border px-4 py-2 text-center">{byQuestion.additional || 0}</td>
+                    <td className="border px-4 py-2 text-center font-medium">{total}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="border p-4 rounded shadow mb-6 overflow-x-auto text-sm">
+            <div className="flex flex-wrap items-center justify-between gap-2 mb-2">
+              <h3 className="text-lg font-semibold">Codes Cross-Tabulated</h3>
+              <label className="flex items-center gap-2">
+                Against:
+                <select className="border rounded px-2 py-1 bg-white" value={crossTab} onChange={(e) => setCrossTab(e.target.value)}>
+                  <optgroup label="Ratings">
+                    {study.metrics.map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+                  </optgroup>
+                  <optgroup label="Demographics">
+                    {study.demographics.map(d => <option key={d.id} value={d.id}>{d.name}</option>)}
+                  </optgroup>
+                </select>
+              </label>
+            </div>
+
+            {byRating && (
+              <>
+                <table className="min-w-full border">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-4 py-2 text-left">Code</th>
+                      {study.designs.map(design => (
+                        <th key={design.id} className="border px-4 py-2">{design.shortName}: coded / not coded</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {byRating.map(({ code, designs }, index) => (
+                      <tr key={code.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="border px-4 py-2 font-medium">{code.name}</td>
+                        {designs.map(entry => (
+                          <td key={entry.designId} className="border px-4 py-2 text-center">
+                            {formatMean(entry.coded)} / {formatMean(entry.uncoded)}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  Mean {metric.name.toLowerCase()} of each {study.config.designNoun} among participants whose comments on it carry
+                  the code, against everyone else, from the ratings as recorded. {metric.higherIsBetter ? 'Higher is better.' : 'Lower is better.'}
+                </p>
+              </>
+            )}
+
+            {byGroup && (
+              <>
+                <table className="min-w-full border">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-4 py-2 text-left">Code</th>
+                      {factor.groups.map(group => (
+                        <th key={group.value} className="border px-4 py-2">{group.value} (n={group.count})</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {byGroup.map(({ code, counts: groupCounts }, index) => (
+                      <tr key={code.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="border px-4 py-2 font-medium">{code.name}</td>
+                        {factor.groups.map(group => {
+                          const count = groupCounts[group.value] || 0;
+                          return (
+                            <td key={group.value} className="border px-4 py-2 text-center">
+                              {count} ({((count / group.count) * 100).toFixed(0)}%)
+                            </td>
+                          );
+                        })}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                <p className="text-xs text-gray-500 mt-2">
+                  Participants in each {factor.name.toLowerCase()} group with the code on any of their comments, and their share of the group.
+                </p>
+              </>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CodingWorkspace;
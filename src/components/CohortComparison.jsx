@@ -0,0 +1,205 @@
+import React from 'react';
+import _ from 'lodash';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer } from 'recharts';
+import CohortCriteria from './CohortCriteria';
+import ChartFrame from './ChartFrame';
+import { EMPTY_FILTER, describeFilter, isFilterActive } from '../utils/cohort';
+import { splitByFactor } from '../utils/cohortComparison';
+import { formatPValue, formatDf, interpretCohenD } from '../utils/statistics';
+
+const COHORT_NAMES = ['Cohort A', 'Cohort B'];
+const COHORT_COLORS = ['#3b82f6', '#f59e0b'];
+
+const formatStat = (stats) => (stats.n > 0 ? `${stats.mean.toFixed(2)} ± ${stats.stdDev.toFixed(2)} (n=${stats.n})` : 'N/A');
+const formatSigned = (value, digits = 2) => (value === null || value === undefined ? 'N/A' : `${value > 0 ? '+' : ''}${value.toFixed(digits)}`);
+
+const CohortComparison = ({ study, options, cohorts, onChange, comparison, correctionLabel, chartNote }) => {
+  const labels = cohorts.map(filter => (isFilterActive(filter) ? describeFilter(filter, options).join(' · ') : 'All participants'));
+  const updateCohort = (index, filter) => onChange(cohorts.map((current, i) => (i === index ? filter : current)));
+  const splitFactors = options.factors.filter(factor => factor.groups.length > 1);
+  const designLabel = _.upperFirst(study.config.designNoun);
+
+  const quickSplit = (factorId) => {
+    const factor = options.factors.find(f => f.id === factorId);
+    if (factor) onChange(splitByFactor(factor));
+  };
+
+  const problem = (() => {
+    if (!comparison) return null;
+    if (comparison.overlap > 0) {
+      return `${comparison.overlap} participant${comparison.overlap === 1 ? ' is' : 's are'} in both cohorts. Define two separate cohorts to compare them.`;
+    }
+    if (comparison.sizes.some(size => size < 2)) return 'Each cohort needs at least two participants.';
+    return null;
+  })();
+
+  return (
+    <div>
+      <h2 className="text-xl font-semibold mb-2">Cohort Comparison</h2>
+      <p className="mb-4 text-sm text-gray-600">
+        Compare two groups of participants on every metric and the ranking. The interaction tests ask whether the differences
+        between {study.config.designNoun}s depend on the cohort.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+        <label className="flex items-center gap-2">
+          Quick split by:
+          <select className="border rounded px-2 py-1 bg-white" value="" onChange={(e) => quickSplit(e.target.value)}>
+            <option value="">Choose a factor…</option>
+            {splitFactors.map(factor => (
+              <option key={factor.id} value={factor.id}>{factor.name}</option>
+            ))}
+          </select>
+        </label>
+        <span className="text-xs text-gray-500">Largest group against the rest, or lower against upper half for ordered factors.</span>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        {cohorts.map((filter, i) => (
+          <div key={COHORT_NAMES[i]} className="border p-4 rounded shadow text-sm" style={{ borderTop: `4px solid ${COHORT_COLORS[i]}` }}>
+            <div className="flex items-center justify-between mb-1">
+              <h3 className="text-lg font-semibold">{COHORT_NAMES[i]}</h3>
+              <span className="text-base font-semibold">n = {comparison ? comparison.sizes[i] : 0}</span>
+            </div>
+            <p className="mb-3 text-gray-600">{labels[i]}</p>
+            <CohortCriteria options={options} filter={filter} onChange={(next) => updateCohort(i, next)} className="mb-2" />
+            {isFilterActive(filter) && (
+              <button className="text-xs text-blue-600 hover:underline" onClick={() => updateCohort(i, EMPTY_FILTER)}>Clear</button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      {problem && <div className="p-4 mb-6 text-sm border border-yellow-300 rounded-lg bg-yellow-50">{problem}</div>}
+
+      {comparison && comparison.measures && comparison.measures.map(measure => {
+        const chartData = measure.designs.map(entry => ({
+          name: study.designById[entry.designId].shortName,
+          [COHORT_NAMES[0]]: entry.cohorts[0].n > 0 ? entry.cohorts[0].mean : null,
+          [COHORT_NAMES[1]]: entry.cohorts[1].n > 0 ? entry.cohorts[1].mean : null
+        }));
+        const { anova, permutation } = measure;
+
+        return (
+          <div key={measure.id} className="border p-4 rounded shadow mb-6">
+            <h3 className="text-lg font-semibold mb-1">{measure.name}</h3>
+            <p className="text-xs text-gray-500 mb-3">{measure.higherIsBetter ? 'Higher is better' : 'Lower is better'}</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+              <ChartFrame
+                title={`${measure.name} by Cohort`}
+                xLabel={designLabel}
+                yLabel={measure.id === 'ranking' ? 'Mean rank (1 = best)' : `Mean ${measure.name.toLowerCase()}`}
+                note={chartNote(comparison.sizes[0] + comparison.sizes[1], `${COHORT_NAMES[0]}: ${labels[0]} (n = ${comparison.sizes[0]}) vs ${COHORT_NAMES[1]}: ${labels[1]} (n = ${comparison.sizes[1]})`)}
+                className="h-64">
+                <ResponsiveContainer width="100%" height={250}>
+                  <BarChart data={chartData} margin={{ top: 20, right: 20, left: 0, bottom: 5 }}>
+                    <CartesianGrid strokeDasharray="3 3" />
+                    <XAxis dataKey="name" />
+                    <YAxis />
+                    <Tooltip formatter={(value) => (value === null ? 'N/A' : value.toFixed(2))} />
+                    <Legend />
+                    {COHORT_NAMES.map((name, i) => <Bar key={name} dataKey={name} fill={COHORT_COLORS[i]} />)}
+                  </BarChart>
+                </ResponsiveContainer>
+              </ChartFrame>
+
+              <div className="text-sm">
+                <table className="min-w-full border mb-3">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-4 py-2 text-left">{designLabel}</th>
+                      <th className="border px-4 py-2">{COHORT_NAMES[0]}</th>
+                      <th className="border px-4 py-2">{COHORT_NAMES[1]}</th>
+                      <th className="border px-4 py-2">A − B</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {measure.designs.map((entry, index) => (
+                      <tr key={entry.designId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="border px-4 py-2">{study.designById[entry.designId].shortName}</td>
+                        <td className="border px-4 py-2 text-center">{formatStat(entry.cohorts[0])}</td>
+                        <td className="border px-4 py-2 text-center">{formatStat(entry.cohorts[1])}</td>
+                        <td className="border px-4 py-2 text-center">
+                          {entry.cohorts[0].n > 0 && entry.cohorts[1].n > 0 ? formatSigned(entry.cohorts[0].mean - entry.cohorts[1].mean) : 'N/A'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+
+                <h4 className="font-semibold mb-1">{designLabel} × cohort interaction</h4>
+                {anova ? (
+                  <ul className="list-disc pl-5 space-y-1">
+                    <li>
+                      Mixed ANOVA: F({anova.interaction.df1}, {anova.interaction.df2}) = {anova.interaction.f.toFixed(2)},
+                      p = {formatPValue(anova.interaction.pValue)} (Greenhouse-Geisser p = {formatPValue(anova.interaction.ggPValue)},
+                      ε = {anova.epsilon.toFixed(2)}), partial η² = {anova.interaction.partialEtaSquared.toFixed(2)}
+                    </li>
+                    {permutation && (
+                      <li>Permutation test: p = {formatPValue(permutation.pValue)} ({permutation.iterations} permutations of cohort labels)</li>
+                    )}
+                    <li className="text-gray-600">
+                      Cohort main effect: F({anova.groups.df1}, {anova.groups.df2}) = {anova.groups.f.toFixed(2)}, p = {formatPValue(anova.groups.pValue)}
+                    </li>
+                  </ul>
+                ) : (
+                  <p className="text-gray-500">Not enough complete responses in both cohorts to test the interaction.</p>
+                )}
+              </div>
+            </div>
+
+            <h4 className="font-semibold mb-1 text-sm">Difference of differences</h4>
+            <div className="overflow-x-auto">
+              <table className="min-w-full border text-sm">
+                <thead>
+                  <tr className="bg-gray-100">
+                    <th className="border px-4 py-2 text-left">Comparison</th>
+                    <th className="border px-4 py-2">{COHORT_NAMES[0]} difference</th>
+                    <th className="border px-4 py-2">{COHORT_NAMES[1]} difference</th>
+                    <th className="border px-4 py-2">Difference of differences [95% CI]</th>
+                    <th className="border px-4 py-2">d</th>
+                    <th className="border px-4 py-2">Welch t (df)</th>
+                    <th className="border px-4 py-2">p</th>
+                    <th className="border px-4 py-2">Adjusted p</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {measure.contrasts.map((contrast, index) => (
+                    <tr key={contrast.pair.key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                      <td className="border px-4 py-2">{contrast.pair.label}</td>
+                      <td className="border px-4 py-2 text-center">{formatSigned(contrast.cohortMeans[0])}</td>
+                      <td className="border px-4 py-2 text-center">{formatSigned(contrast.cohortMeans[1])}</td>
+                      <td className="border px-4 py-2 text-center">
+                        {contrast.did === undefined ? 'N/A' : `${formatSigned(contrast.did)} [${contrast.ci[0].toFixed(2)}, ${contrast.ci[1].toFixed(2)}]`}
+                      </td>
+                      <td className="border px-4 py-2 text-center">
+                        {contrast.d === null || contrast.d === undefined ? 'N/A' : `${formatSigned(contrast.d)} (${interpretCohenD(Math.abs(contrast.d))})`}
+                      </td>
+                      <td className="border px-4 py-2 text-center">
+                        {contrast.did === undefined ? 'N/A' : `${contrast.t.toFixed(2)} (${formatDf(contrast.df)})`}
+                      </td>
+                      <td className="border px-4 py-2 text-center">{formatPValue(contrast.pValue ?? null)}</td>
+                      <td className="border px-4 py-2 text-center">{formatPValue(contrast.adjustedPValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        );
+      })}
+
+      {comparison && comparison.measures && (
+        <p className="text-xs text-gray-500 mb-6">
+          Each cohort difference is the mean within-participant difference between the two {study.config.designNoun}s (first minus second).
+          The difference of differences is Cohort A's difference minus Cohort B's, with a Welch interval, and d divides it by the pooled SD
+          of the participant differences. Adjusted p-values use the {correctionLabel} method across every measure and pair.
+          With small cohorts, prefer the permutation test, which does not assume normality.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CohortComparison;
@@ -0,0 +1,79 @@
+import React from 'react';
+import { normalizeFilter } from '../utils/cohort';
+
+const CohortCriteria = ({ options, filter, onChange, className = '' }) => {
+  const apply = (next) => onChange(normalizeFilter(next));
+
+  const toggleGroup = (factorId, value) => {
+    const current = filter.groups[factorId] || [];
+    const values = current.includes(value) ? current.filter(v => v !== value) : [...current, value];
+    apply({ ...filter, groups: { ...filter.groups, [factorId]: values } });
+  };
+
+  const setBound = (factorId, bound, value) => {
+    const range = { min: null, max: null, ...filter.ranges[factorId], [bound]: value === '' ? null : parseFloat(value) };
+    apply({ ...filter, ranges: { ...filter.ranges, [factorId]: range } });
+  };
+
+  const setDate = (bound, value) => apply({ ...filter, dates: { ...filter.dates, [bound]: value } });
+
+  return (
+    <div className={`grid grid-cols-1 md:grid-cols-3 gap-4 ${className}`}>
+      {options.factors.map(factor => (
+        <fieldset key={factor.id}>
+          <legend className="font-medium mb-1">{factor.name}</legend>
+          {factor.ordered ? (
+            <div className="flex items-center gap-2">
+              {['min', 'max'].map(bound => (
+                <select
+                  key={bound}
+                  className="border rounded px-2 py-1 bg-white flex-1"
+                  aria-label={`${factor.name} ${bound === 'min' ? 'from' : 'to'}`}
+                  value={filter.ranges[factor.id]?.[bound] ?? ''}
+                  onChange={(e) => setBound(factor.id, bound, e.target.value)}>
+                  <option value="">{bound === 'min' ? 'Lowest' : 'Highest'}</option>
+                  {factor.groups.map(group => (
+                    <option key={group.value} value={group.order}>{group.value}</option>
+                  ))}
+                </select>
+              ))}
+            </div>
+          ) : (
+            factor.groups.map(group => (
+              <label key={group.value} className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={(filter.groups[factor.id] || []).includes(group.value)}
+                  onChange={() => toggleGroup(factor.id, group.value)}
+                />
+                {group.value} <span className="text-gray-500">({group.count})</span>
+              </label>
+            ))
+          )}
+        </fieldset>
+      ))}
+
+      {options.dates && (
+        <fieldset>
+          <legend className="font-medium mb-1">Response date</legend>
+          <div className="flex items-center gap-2">
+            {['from', 'to'].map(bound => (
+              <input
+                key={bound}
+                type="date"
+                className="border rounded px-2 py-1 flex-1"
+                aria-label={`Responses ${bound}`}
+                min={options.dates.min}
+                max={options.dates.max}
+                value={filter.dates[bound]}
+                onChange={(e) => setDate(bound, e.target.value)}
+              />
+            ))}
+          </div>
+        </fieldset>
+      )}
+    </div>
+  );
+};
+
+export default CohortCriteria;
@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+import CohortCriteria from './CohortCriteria';
+import { EMPTY_FILTER, isFilterActive } from '../utils/cohort';
+
+const CohortFilter = ({ options, filter, criteria, includedCount, eligibleCount, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [message, setMessage] = useState(null);
+  const active = isFilterActive(filter);
+
+  const clear = () => setMessage(onChange(EMPTY_FILTER));
+
+  return (
+    <div className={`mb-6 border rounded-lg text-sm ${active ? 'border-amber-300 bg-amber-50' : 'bg-gray-50'}`}>
+      <div className="flex flex-wrap items-center gap-3 p-3">
+        <span className="font-semibold">Cohort</span>
+        <span className={active ? 'font-medium text-amber-900' : 'text-gray-600'}>
+          {active ? criteria.join(' · ') : 'All participants'}
+        </span>
+        <span className="ml-auto text-base font-semibold">
+          n = {includedCount}{active && <span className="font-normal text-gray-600"> of {eligibleCount} participants</span>}
+        </span>
+        {active && (
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={clear}>
+            Clear filter
+          </button>
+        )}
+        <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" aria-expanded={open} onClick={() => setOpen(!open)}>
+          {open ? 'Hide filter' : 'Filter cohort'}
+        </button>
+      </div>
+      {message && <p className="px-3 pb-2 text-xs text-red-600">{message}</p>}
+
+      {open && (
+        <div className="p-3 border-t bg-white rounded-b-lg">
+          <CohortCriteria options={options} filter={filter} onChange={(next) => setMessage(onChange(next))} className="mb-3" />
+          <p className="text-xs text-gray-500">
+            Unchecked groups keep everyone. Every tab, chart, export and the report use only the participants in the cohort.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CohortFilter;
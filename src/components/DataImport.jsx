@@ -0,0 +1,67 @@
+import React, { useRef, useState } from 'react';
+import { ACCEPTED_FILE_TYPES } from '../utils/dataLoader';
+
+const DataImport = ({ sourceName, isDemo, onFileSelected, onLoadDemo }) => {
+  const inputRef = useRef(null);
+  const [dragActive, setDragActive] = useState(false);
+
+  const handleFiles = (files) => {
+    if (files && files.length > 0) {
+      onFileSelected(files[0]);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleFiles(e.dataTransfer.files);
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setDragActive(true);
+  };
+
+  return (
+    <div
+      className={`border-2 border-dashed rounded-lg p-4 mb-6 flex flex-wrap items-center justify-between gap-3 ${
+        dragActive ? 'border-blue-500 bg-blue-50' : 'border-gray-300'
+      }`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setDragActive(false)}
+      onDrop={handleDrop}
+    >
+      <div className="text-sm">
+        <div>
+          <span className="font-semibold">Data source:</span> {sourceName}
+          {isDemo && <span className="ml-2 text-xs text-gray-500">(demo dataset)</span>}
+        </div>
+        <div className="text-gray-500">Drop a CSV or TSV export of the survey responses here to analyze it.</div>
+      </div>
+      <div className="flex gap-2">
+        <button
+          className="px-3 py-1 border rounded bg-white hover:bg-gray-50"
+          onClick={() => inputRef.current && inputRef.current.click()}>
+          Choose File
+        </button>
+        {!isDemo && (
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={onLoadDemo}>
+            Load Demo Data
+          </button>
+        )}
+        <input
+          ref={inputRef}
+          type="file"
+          accept={ACCEPTED_FILE_TYPES}
+          className="hidden"
+          onChange={(e) => {
+            handleFiles(e.target.files);
+            e.target.value = '';
+          }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default DataImport;
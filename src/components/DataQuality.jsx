@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { ISSUE_TYPES, ROW_DECISIONS } from '../utils/validation';
+
+const severityClass = (severity) => (severity === 'error' ? 'text-red-600' : 'text-yellow-700');
+
+const DataQuality = ({ validation, decisions, exclusions, participantIds, onDecisionChange }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (!validation) return null;
+
+  const flaggedRows = validation.rows
+    .map((issues, index) => ({ index, issues }))
+    // Rows excluded for consent or withdrawal are not reviewed
+    .filter(row => row.issues.length > 0 && !exclusions[row.index]);
+  const counts = Object.fromEntries(ROW_DECISIONS.map(decision => [
+    decision.id,
+    flaggedRows.filter(row => decisions[row.index] === decision.id).length
+  ]));
+  const errorCount = flaggedRows.filter(row => row.issues.some(issue => issue.severity === 'error')).length;
+  const eligibleCount = validation.rows.filter((_issues, index) => !exclusions[index]).length;
+  const clean = flaggedRows.length === 0 && validation.datasetIssues.length === 0;
+
+  return (
+    <div className={`border rounded-lg p-3 mb-6 text-sm ${clean ? 'bg-green-50 border-green-200' : 'bg-yellow-50 border-yellow-200'}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div>
+          <span className="font-semibold">Data Quality:</span>{' '}
+          {clean ? (
+            `all ${eligibleCount} rows passed validation.`
+          ) : (
+            <>
+              {flaggedRows.length} of {eligibleCount} rows flagged ({errorCount} with errors) —
+              {' '}{counts.fix} fixed, {counts.accept} accepted as recorded, {counts.quarantine} quarantined.
+            </>
+          )}
+        </div>
+        {!clean && (
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={() => setExpanded(!expanded)}>
+            {expanded ? 'Hide details' : 'Review rows'}
+          </button>
+        )}
+      </div>
+
+      {expanded && (
+        <div className="mt-3">
+          {validation.datasetIssues.length > 0 && (
+            <ul className="list-disc pl-5 mb-3 text-red-600">
+              {validation.datasetIssues.map((issue, i) => <li key={i}>{issue.message}</li>)}
+            </ul>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full border rounded bg-white">
+              <thead>
+                <tr className="bg-gray-100">
+                  <th className="border px-4 py-2">Row</th>
+                  <th className="border px-4 py-2">Participant ID</th>
+                  <th className="border px-4 py-2">Issues</th>
+                  <th className="border px-4 py-2">Decision</th>
+                </tr>
+              </thead>
+              <tbody>
+                {flaggedRows.map((row, i) => (
+                  <tr key={row.index} className={i % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                    <td className="border px-4 py-2 text-center">{row.index + 1}</td>
+                    <td className="border px-4 py-2">{participantIds[row.index] ?? '—'}</td>
+                    <td className="border px-4 py-2">
+                      <ul className="space-y-1">
+                        {row.issues.map((issue, j) => (
+                          <li key={j}>
+                            <span className={`font-medium ${severityClass(issue.severity)}`}>{ISSUE_TYPES[issue.type].label}:</span>{' '}
+                            {issue.message}
+                            {issue.fix && <span className="text-xs text-gray-500"> (fix: {issue.fix.description.toLowerCase()})</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    </td>
+                    <td className="border px-4 py-2">
+                      <div className="flex gap-1">
+                        {ROW_DECISIONS.map(decision => {
+                          const unavailable = decision.id === 'fix' && !row.issues.some(issue => issue.fix);
+                          return (
+                            <button
+                              key={decision.id}
+                              title={decision.description}
+                              disabled={unavailable}
+                              className={`px-2 py-1 border rounded text-xs ${
+                                decisions[row.index] === decision.id ? 'bg-blue-100 border-blue-500' : 'bg-white hover:bg-gray-50'
+                              } ${unavailable ? 'opacity-40 cursor-not-allowed' : ''}`}
+                              onClick={() => onDecisionChange(row.index, decision.id)}>
+                              {decision.label}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="text-xs text-gray-500 mt-2">
+            Row numbers count data rows after the header. Every statistic on this page uses the rows and fixes chosen here.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataQuality;
@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { tableToCsv, resultsToJson } from '../utils/resultsExport';
+import { createWorkbook, XLSX_MIME_TYPE } from '../utils/xlsx';
+import { downloadFile, fileBaseName } from '../utils/download';
+
+const ExportMenu = ({ tables, metadata, sourceName }) => {
+  const [open, setOpen] = useState(false);
+  const baseName = `${fileBaseName(sourceName)}-results`;
+
+  const exportCsv = (table) => downloadFile(`${baseName}-${table.id}.csv`, tableToCsv(table), 'text/csv');
+  const exportJson = () => downloadFile(`${baseName}.json`, resultsToJson(tables, metadata), 'application/json');
+  const exportXlsx = () => downloadFile(
+    `${baseName}.xlsx`,
+    createWorkbook(tables.filter(table => table.rows.length > 0).map(table => ({ name: table.name, rows: table.rows }))),
+    XLSX_MIME_TYPE
+  );
+
+  return (
+    <div className="relative">
+      <button
+        className="px-3 py-1 border rounded bg-white hover:bg-gray-50"
+        aria-expanded={open}
+        onClick={() => setOpen(!open)}>
+        Export results ▾
+      </button>
+
+      {open && (
+        <div className="absolute right-0 z-10 mt-1 w-72 border rounded-lg shadow bg-white p-3 text-sm">
+          <div className="font-semibold mb-1">All results</div>
+          <div className="flex gap-2 mb-3">
+            <button className="px-3 py-1 border rounded hover:bg-gray-50" onClick={exportXlsx}>Excel workbook (.xlsx)</button>
+            <button className="px-3 py-1 border rounded hover:bg-gray-50" onClick={exportJson}>JSON</button>
+          </div>
+
+          <div className="font-semibold mb-1">Single table (CSV)</div>
+          <ul className="space-y-1">
+            {tables.map(table => (
+              <li key={table.id} className="flex items-center justify-between">
+                <span>{table.name}</span>
+                <button
+                  className="text-xs text-blue-600 hover:underline disabled:text-gray-400 disabled:no-underline"
+                  disabled={table.rows.length === 0}
+                  onClick={() => exportCsv(table)}>
+                  {table.rows.length > 0 ? `CSV (${table.rows.length} rows)` : 'No rows'}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <p className="text-xs text-gray-500 mt-2">
+            Exports use pseudonymized participant codes and the current analysis, weighting and correction settings.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
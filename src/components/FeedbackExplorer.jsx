@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import _ from 'lodash';
+import CohortCriteria from './CohortCriteria';
+import SentimentBadge from './SentimentBadge';
+import { collectComments } from '../utils/coding';
+import { filterOptions, isFilterActive } from '../utils/cohort';
+import { defaultFeedbackQuery, exploreFeedback, searchTerms, highlightText, participantRatings } from '../utils/feedbackExplorer';
+
+const KINDS = [
+  { id: 'likes', label: 'Likes' },
+  { id: 'improvements', label: 'Improvements' },
+  { id: 'additional', label: 'General comments' }
+];
+
+const toggle = (values, value) => (values.includes(value) ? values.filter(v => v !== value) : [...values, value]);
+const formatRating = (value) => (value === null ? '—' : Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+const FeedbackExplorer = ({ study, data, scoreAnswer }) => {
+  const [query, setQuery] = useState(() => defaultFeedbackQuery(study));
+  const update = (changes) => setQuery({ ...query, ...changes });
+
+  const comments = collectComments(data, study, { includeNonAnswers: true });
+  const results = exploreFeedback(comments, data, study, query);
+  const terms = searchTerms(query.text);
+  const options = filterOptions(data, study);
+  const metric = study.metricById[query.rating.metricId];
+  const scale = study.metricScale(metric.id);
+  const scaleValues = _.range(scale.min, scale.max + 1);
+  const total = query.hideNonAnswers ? comments.filter(comment => !comment.nonAnswer).length : comments.length;
+  const isDefault = _.isEqual(query, defaultFeedbackQuery(study));
+
+  const setBound = (bound, value) => update({ rating: { ...query.rating, [bound]: value === '' ? null : parseFloat(value) } });
+
+  return (
+    <div className="mb-6">
+      <div className="border p-4 rounded shadow mb-4 text-sm">
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <input
+            type="search"
+            className="border rounded px-3 py-1 flex-1 min-w-[16rem]"
+            placeholder='Search comments, e.g. grip "larger hands"'
+            aria-label="Search comments"
+            value={query.text}
+            onChange={(e) => update({ text: e.target.value })}
+          />
+          <button
+            className="px-3 py-1 border rounded bg-white hover:bg-gray-50 disabled:text-gray-400"
+            disabled={isDefault}
+            onClick={() => setQuery(defaultFeedbackQuery(study))}>
+            Clear filters
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <fieldset>
+            <legend className="font-medium mb-1">{_.upperFirst(study.config.designNoun)}</legend>
+            {study.designs.map(design => (
+              <label key={design.id} className="flex items-center gap-2">
+                <input type="checkbox" checked={query.designs.includes(design.id)} onChange={() => update({ designs: toggle(query.designs, design.id) })} />
+                {design.name}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend className="font-medium mb-1">Question</legend>
+            {KINDS.map(kind => (
+              <label key={kind.id} className="flex items-center gap-2">
+                <input type="checkbox" checked={query.kinds.includes(kind.id)} onChange={() => update({ kinds: toggle(query.kinds, kind.id) })} />
+                {kind.label}
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset>
+            <legend className="font-medium mb-1">Rating</legend>
+            <select
+              className="border rounded px-2 py-1 bg-white w-full mb-2"
+              aria-label="Rating metric"
+              value={query.rating.metricId}
+              onChange={(e) => update({ rating: { metricId: e.target.value, min: null, max: null } })}>
+              {study.metrics.filter(m => !m.measurement).map(m => <option key={m.id} value={m.id}>{m.name}</option>)}
+            </select>
+            <div className="flex items-center gap-2">
+              {['min', 'max'].map(bound => (
+                <select
+                  key={bound}
+                  className="border rounded px-2 py-1 bg-white flex-1"
+                  aria-label={`${metric.name} ${bound === 'min' ? 'from' : 'to'}`}
+                  value={query.rating[bound] ?? ''}
+                  onChange={(e) => setBound(bound, e.target.value)}>
+                  <option value="">{bound === 'min' ? 'Lowest' : 'Highest'}</option>
+                  {scaleValues.map(value => <option key={value} value={value}>{value}</option>)}
+                </select>
+              ))}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">General comments use the participant’s mean across {study.config.designNoun}s.</p>
+          </fieldset>
+
+          <fieldset>
+            <legend className="font-medium mb-1">Answers</legend>
+            <label className="flex items-center gap-2">
+              <input type="checkbox" checked={query.hideNonAnswers} onChange={(e) => update({ hideNonAnswers: e.target.checked })} />
+              Hide blank and “N/A” / “None” answers
+            </label>
+          </fieldset>
+        </div>
+
+        <details className="mt-3" open={isFilterActive(query.cohort) || undefined}>
+          <summary className="cursor-pointer font-medium">Participant demographics{isFilterActive(query.cohort) ? ' (filtered)' : ''}</summary>
+          <CohortCriteria options={options} filter={query.cohort} onChange={(cohort) => update({ cohort })} className="mt-2" />
+        </details>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-2">Showing {results.length} of {total} answers</p>
+
+      {results.length === 0 ? (
+        <p className="text-sm text-gray-500">No answers match these filters.</p>
+      ) : (
+        <ul className="space-y-3">
+          {results.map(comment => (
+            <li key={comment.key} className="border rounded p-3 text-sm">
+              <p className="mb-1">
+                {comment.text ? (
+                  <>
+                    “{highlightText(comment.text, terms).map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text))}”
+                    {!comment.nonAnswer && <SentimentBadge sentiment={scoreAnswer(comment.text)} />}
+                  </>
+                ) : (
+                  <span className="text-gray-400">(blank)</span>
+                )}
+              </p>
+              <details>
+                <summary className="cursor-pointer text-xs text-gray-500">
+                  {highlightText(comment.participant, terms).map((part, i) => (part.match ? <mark key={i}>{part.text}</mark> : part.text))}
+                  {' · '}{comment.question}{' · '}{metric.name} {formatRating(comment.rating)}
+                </summary>
+                <table className="mt-2 border text-xs">
+                  <thead>
+                    <tr className="bg-gray-100">
+                      <th className="border px-2 py-1 text-left">{comment.participant}’s ratings</th>
+                      {study.designs.map(design => (
+                        <th key={design.id} className={`border px-2 py-1 ${design.id === comment.designId ? 'bg-yellow-100' : ''}`}>{design.shortName}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {participantRatings(comment.row, study).map(({ metric: rated, values }, index) => (
+                      <tr key={rated.id} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                        <td className="border px-2 py-1">{rated.name}</td>
+                        {study.designs.map(design => (
+                          <td key={design.id} className={`border px-2 py-1 text-center ${design.id === comment.designId ? 'bg-yellow-50 font-medium' : ''}`}>
+                            {formatRating(values[design.id])}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </details>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default FeedbackExplorer;
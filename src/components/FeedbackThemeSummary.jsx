@@ -0,0 +1,37 @@
+import React from 'react';
+
+const describeThemes = (result, limit = 3) => result.themes
+  .slice(0, limit)
+  .map(theme => `${theme.label} (${theme.count} of ${result.answered})`)
+  .join('; ');
+
+const FeedbackThemeSummary = ({ themes }) => {
+  const hasThemes = themes.designs.some(design => design.likes.themes.length > 0 || design.improvements.themes.length > 0);
+  if (!hasThemes) {
+    return <p className="mb-0">Too few answers repeat the same words to identify common themes yet.</p>;
+  }
+
+  return (
+    <ul className="list-disc pl-5">
+      {themes.designs.map(design => (
+        <li key={design.id}>
+          <strong>{design.name}:</strong>{' '}
+          {design.likes.themes.length > 0 ? `liked for ${describeThemes(design.likes)}` : 'no common likes'}
+          {' · '}
+          {design.improvements.themes.length > 0 ? `suggested ${describeThemes(design.improvements)}` : 'no common improvements'}
+        </li>
+      ))}
+      {themes.shared.map(theme => (
+        <li key={theme.term}>
+          Improvements about <strong>{theme.label}</strong> were raised for {theme.designs.length} designs
+          ({theme.designs.map(design => `${design.name}: ${design.count}`).join(', ')})
+        </li>
+      ))}
+      {themes.additionalComments.themes.length > 0 && (
+        <li><strong>Additional comments:</strong> {describeThemes(themes.additionalComments)}</li>
+      )}
+    </ul>
+  );
+};
+
+export default FeedbackThemeSummary;
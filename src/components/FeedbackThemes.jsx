@@ -0,0 +1,106 @@
+import React from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer } from 'recharts';
+import ChartFrame from './ChartFrame';
+import FeedbackThemeSummary from './FeedbackThemeSummary';
+
+const QUESTIONS = [
+  { key: 'likes', label: 'Likes', color: '#10b981' },
+  { key: 'improvements', label: 'Suggested improvements', color: '#f59e0b' }
+];
+
+const ThemeList = ({ result, title, color, chartNote }) => {
+  if (result.answered === 0) {
+    return <p className="text-sm text-gray-500 mb-3">No answers{result.nonAnswers > 0 ? ` (${result.nonAnswers} said none)` : ''}.</p>;
+  }
+
+  return (
+    <div className="mb-4">
+      {result.themes.length > 0 ? (
+        <ChartFrame
+          title={title}
+          xLabel="Answers mentioning the theme"
+          note={chartNote(result.answered, `${result.answered} answer${result.answered === 1 ? '' : 's'}, ${result.nonAnswers} "none" or blank`)}
+          className="mb-2">
+          <ResponsiveContainer width="100%" height={result.themes.length * 32 + 50}>
+            <BarChart data={result.themes} layout="vertical" margin={{ top: 20, right: 20, left: 10, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis type="number" allowDecimals={false} domain={[0, result.answered]} />
+              <YAxis type="category" dataKey="label" width={130} tick={{ fontSize: 12 }} />
+              <Tooltip formatter={(value) => [`${value} of ${result.answered} answers`, 'Mentions']} />
+              <Bar dataKey="count" fill={color} />
+            </BarChart>
+          </ResponsiveContainer>
+        </ChartFrame>
+      ) : (
+        <p className="text-sm text-gray-500 mb-2">No theme is mentioned in more than one answer.</p>
+      )}
+
+      {result.themes.map(theme => (
+        <details key={theme.id} className="text-sm mb-1">
+          <summary className="cursor-pointer">
+            <span className="font-medium">{theme.label}</span>
+            <span className="text-gray-500"> — {theme.count} of {result.answered} ({(theme.share * 100).toFixed(0)}%)</span>
+          </summary>
+          <ul className="list-disc pl-8 text-gray-700">
+            {theme.quotes.map((quote, i) => <li key={i}>“{quote}”</li>)}
+          </ul>
+        </details>
+      ))}
+      {result.other.length > 0 && (
+        <details className="text-sm mb-1">
+          <summary className="cursor-pointer text-gray-600">Other answers ({result.other.length})</summary>
+          <ul className="list-disc pl-8 text-gray-700">
+            {result.other.map((quote, i) => <li key={i}>“{quote}”</li>)}
+          </ul>
+        </details>
+      )}
+      {result.keywords.length > 0 && (
+        <p className="text-xs text-gray-500 mt-2">
+          Keywords: {result.keywords.slice(0, 8).map(keyword => `${keyword.term} (${keyword.count})`).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+};
+
+const FeedbackThemes = ({ themes, chartNote }) => (
+  <div className="mt-6">
+    <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
+      <h3 className="text-lg font-semibold mb-2">Qualitative Feedback Analysis</h3>
+      <p className="mb-2">Common themes from participant feedback:</p>
+      <FeedbackThemeSummary themes={themes} />
+      <p className="text-xs text-gray-600 mt-2">
+        Themes are found automatically: answers are split into words, reduced to their base form and grouped by shared
+        or related words. A theme needs at least two answers; expand it to read the supporting quotes.
+      </p>
+    </div>
+
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+      {themes.designs.map(design => (
+        <div key={design.id} className="border p-4 rounded shadow">
+          <h3 className="text-lg font-semibold mb-2">{design.name} Themes</h3>
+          {QUESTIONS.map(question => (
+            <div key={question.key}>
+              <h4 className="font-medium mb-1">{question.label}</h4>
+              <ThemeList
+                result={design[question.key]}
+                title={`${design.name}: ${question.label}`}
+                color={question.color}
+                chartNote={chartNote}
+              />
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+
+    {themes.additionalComments.answered > 0 && (
+      <div className="border p-4 rounded shadow mb-6">
+        <h3 className="text-lg font-semibold mb-2">Additional Comment Themes</h3>
+        <ThemeList result={themes.additionalComments} title="Additional Comments" color="#6366f1" chartNote={chartNote} />
+      </div>
+    )}
+  </div>
+);
+
+export default FeedbackThemes;
@@ -0,0 +1,16 @@
+import React from 'react';
+import { MISSING_DATA_POLICIES, describeMissingData } from '../utils/missingData';
+
+const MissingDataNote = ({ report, designNoun, metricId, className = 'text-xs text-gray-500 mb-3' }) => {
+  if (!report) return null;
+
+  const policy = MISSING_DATA_POLICIES.find(p => p.id === report.policy);
+  return (
+    <p className={className} title={policy.description(designNoun)}>
+      Missing data — {describeMissingData(report, metricId)}
+      {!metricId && ` (of ${report.totalCells} ratings)`}
+    </p>
+  );
+};
+
+export default MissingDataNote;
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { EXCLUSION_REASONS } from '../utils/consent';
+
+const ParticipantAudit = ({ exclusions, participantIds, decisions, includedCount, outsideCohort, listwiseDropped, consentChecked, withdrawals, unmatchedWithdrawals = 0, onWithdraw, onRestore }) => {
+  const [entry, setEntry] = useState('');
+  const [message, setMessage] = useState(null);
+
+  // Row numbers (1-based) for each exclusion reason
+  const excludedRows = Object.fromEntries(Object.keys(EXCLUSION_REASONS).map(reason => [
+    reason,
+    exclusions.map((excluded, index) => (excluded === reason ? index + 1 : null)).filter(row => row !== null)
+  ]));
+  const quarantinedCount = decisions.filter((decision, index) => decision === 'quarantine' && !exclusions[index]).length;
+
+  const submit = (e) => {
+    e.preventDefault();
+    setMessage(onWithdraw(entry));
+    setEntry('');
+  };
+
+  const describeRows = (rows) => rows
+    .map(row => (participantIds[row - 1] ? `row ${row} (${participantIds[row - 1]})` : `row ${row}`))
+    .join(', ');
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+      <div className="border p-4 rounded shadow">
+        <h3 className="text-lg font-semibold mb-2">Participant Audit</h3>
+        <table className="min-w-full text-sm">
+          <tbody>
+            <tr className="border-b">
+              <td className="py-1">Responses in file</td>
+              <td className="py-1 text-right font-medium">{exclusions.length}</td>
+            </tr>
+            {Object.entries(EXCLUSION_REASONS).map(([reason, label]) => (
+              <tr key={reason} className="border-b">
+                <td className="py-1">
+                  Excluded: {label.toLowerCase()}
+                  {excludedRows[reason].length > 0 && (
+                    <div className="text-xs text-gray-500">{describeRows(excludedRows[reason])}</div>
+                  )}
+                </td>
+                <td className="py-1 text-right font-medium">−{excludedRows[reason].length}</td>
+              </tr>
+            ))}
+            <tr className="border-b">
+              <td className="py-1">Quarantined during data review</td>
+              <td className="py-1 text-right font-medium">−{quarantinedCount}</td>
+            </tr>
+            {outsideCohort > 0 && (
+              <tr className="border-b">
+                <td className="py-1">Outside the cohort filter</td>
+                <td className="py-1 text-right font-medium">−{outsideCohort}</td>
+              </tr>
+            )}
+            {listwiseDropped > 0 && (
+              <tr className="border-b">
+                <td className="py-1">Removed by listwise deletion of missing ratings</td>
+                <td className="py-1 text-right font-medium">−{listwiseDropped}</td>
+              </tr>
+            )}
+            <tr>
+              <td className="py-1 font-semibold">Included in analyses</td>
+              <td className="py-1 text-right font-semibold">{includedCount}</td>
+            </tr>
+          </tbody>
+        </table>
+        {!consentChecked && (
+          <p className="text-xs text-red-600 mt-2">The consent column was not found in this file, so consent could not be checked.</p>
+        )}
+      </div>
+
+      <div className="border p-4 rounded shadow">
+        <h3 className="text-lg font-semibold mb-2">Withdrawals</h3>
+        <form className="flex gap-2 mb-2" onSubmit={submit}>
+          <input
+            type="text"
+            className="border rounded px-2 py-1 flex-1 text-sm"
+            placeholder="Participant code or original ID"
+            aria-label="Participant to withdraw"
+            value={entry}
+            onChange={(e) => setEntry(e.target.value)}
+          />
+          <button type="submit" className="px-3 py-1 border rounded bg-white hover:bg-gray-50 text-sm">Withdraw</button>
+        </form>
+        {message && <p className="text-xs text-red-600 mb-2">{message}</p>}
+        {unmatchedWithdrawals > 0 && (
+          <p className="text-xs p-2 mb-2 border border-yellow-300 rounded bg-yellow-50">
+            {unmatchedWithdrawals} saved withdrawal{unmatchedWithdrawals === 1 ? ' does' : 's do'} not match any participant ID in this file.
+            Check that the participant's row was not removed or their ID changed; if they are still in the data, withdraw them again.
+          </p>
+        )}
+
+        {withdrawals.length > 0 ? (
+          <ul className="text-sm space-y-1 mb-2">
+            {withdrawals.map(code => (
+              <li key={code} className="flex items-center justify-between">
+                <span>{code}</span>
+                <button className="text-xs text-blue-600 hover:underline" onClick={() => { setMessage(null); onRestore(code); }}>Restore</button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-sm text-gray-500 mb-2">No participants have withdrawn.</p>
+        )}
+        <p className="text-xs text-gray-500">
+          Withdrawn participants are dropped from every analysis, export and key file. The list is remembered in this browser for this data source, by participant ID rather than code, so it survives reordered files.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default ParticipantAudit;
@@ -0,0 +1,166 @@
+import React, { useEffect, useRef } from 'react';
+import _ from 'lodash';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell } from 'recharts';
+import ChartFrame from './ChartFrame';
+import SentimentBadge from './SentimentBadge';
+import { participantProfile } from '../utils/participantProfile';
+import { getMetricValue } from '../utils/study';
+
+const formatValue = (value) => (value === null || value === undefined ? 'N/A' : Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+const ParticipantProfile = ({ study, data, index, score, scoreAnswer, chartNote, onNavigate }) => {
+  const panelRef = useRef(null);
+
+  useEffect(() => {
+    if (panelRef.current && panelRef.current.scrollIntoView) panelRef.current.scrollIntoView({ block: 'nearest' });
+  }, [index]);
+
+  const profile = participantProfile(data, index, study, score);
+  const studyMean = (metricId, designId) => {
+    const values = data.map(row => getMetricValue(study, row, metricId, designId)).filter(value => value !== null);
+    return values.length > 0 ? _.mean(values) : null;
+  };
+  const designLabel = _.upperFirst(study.config.designNoun);
+  const answered = profile.comments.filter(comment => !comment.nonAnswer);
+
+  return (
+    <div ref={panelRef} className="border-2 border-blue-200 rounded-lg p-4 mb-6" aria-label={`Profile of ${profile.participantId}`}>
+      <div className="flex flex-wrap items-center justify-between gap-2 mb-4">
+        <h3 className="text-lg font-semibold">
+          Participant {profile.participantId}
+          <span className="text-sm font-normal text-gray-500"> ({index + 1} of {data.length})</span>
+        </h3>
+        <div className="flex gap-2 text-sm">
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50 disabled:text-gray-400" disabled={index === 0} onClick={() => onNavigate(index - 1)}>
+            ‹ Previous
+          </button>
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50 disabled:text-gray-400" disabled={index === data.length - 1} onClick={() => onNavigate(index + 1)}>
+            Next ›
+          </button>
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={() => onNavigate(null)}>Close</button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4 text-sm">
+        <div>
+          <h4 className="font-semibold mb-1">Demographics</h4>
+          <dl className="grid grid-cols-2 gap-x-2">
+            {profile.demographics.map(entry => (
+              <React.Fragment key={entry.id}>
+                <dt className="text-gray-600">{entry.name}</dt>
+                <dd>{entry.value ?? 'Not reported'}</dd>
+              </React.Fragment>
+            ))}
+          </dl>
+        </div>
+
+        <div>
+          <h4 className="font-semibold mb-1">Ranking</h4>
+          <ol className="list-decimal pl-5">
+            {profile.ranking.map(entry => (
+              <li key={entry.designId} style={{ color: study.designById[entry.designId].color }}>
+                <span className="text-gray-800">{study.designById[entry.designId].name}</span>
+                <span className="text-gray-500"> (rank {entry.rank ?? 'N/A'})</span>
+              </li>
+            ))}
+          </ol>
+          <p className="mt-2">
+            Ranked first: <strong>{profile.rankedTop ?? 'no single first choice'}</strong>
+            <br />
+            Highest aggregate score: <strong>{profile.topChoice ?? 'N/A'}</strong>
+          </p>
+          {profile.topChoiceAgrees === false && (
+            <p className="mt-1 text-yellow-700">Their ranking disagrees with the {study.config.designNoun} their ratings score highest.</p>
+          )}
+          {profile.topChoiceAgrees === true && <p className="mt-1 text-green-700">Their ranking agrees with their ratings.</p>}
+        </div>
+
+        <div>
+          <h4 className="font-semibold mb-1">Attribute votes</h4>
+          <ul className="space-y-1">
+            {profile.votes.map(entry => (
+              <li key={entry.name}>
+                <span className="text-gray-600">{entry.name}:</span>{' '}
+                <span className="font-medium" style={{ color: study.designs.find(d => d.name === entry.vote)?.color }}>{entry.vote ?? 'No answer'}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+
+      <h4 className="font-semibold mb-2 text-sm">Ratings</h4>
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-2">
+        {profile.ratings.map(({ metric, values }) => {
+          const scale = metric.measurement ? null : study.metricScale(metric.id);
+          const chartData = study.designs.map(design => ({ name: design.shortName, value: values[design.id], color: design.color }));
+          return (
+            <ChartFrame
+              key={metric.id}
+              title={`${profile.participantId}: ${metric.name}`}
+              xLabel={designLabel}
+              note={chartNote(1, metric.higherIsBetter ? 'higher is better' : 'lower is better')}
+              className="border rounded p-2">
+              <div className="text-xs font-medium mb-1 pr-16">{metric.name}</div>
+              <ResponsiveContainer width="100%" height={120}>
+                <BarChart data={chartData} margin={{ top: 5, right: 5, left: -25, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+                  <YAxis tick={{ fontSize: 10 }} domain={scale ? [0, scale.max] : [0, 'auto']} allowDecimals={false} />
+                  <Tooltip formatter={(value) => formatValue(value)} />
+                  <Bar dataKey="value" name={metric.name}>
+                    {chartData.map(entry => <Cell key={entry.name} fill={entry.color} />)}
+                  </Bar>
+                </BarChart>
+              </ResponsiveContainer>
+            </ChartFrame>
+          );
+        })}
+      </div>
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full border text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-4 py-2 text-left">Metric</th>
+              {study.designs.map(design => <th key={design.id} className="border px-4 py-2">{design.shortName}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {profile.ratings.map(({ metric, values }, rowIndex) => (
+              <tr key={metric.id} className={rowIndex % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                <td className="border px-4 py-2">{metric.name}</td>
+                {study.designs.map(design => (
+                  <td key={design.id} className="border px-4 py-2 text-center">
+                    {formatValue(values[design.id])}
+                    <span className="text-xs text-gray-500"> (all: {formatValue(studyMean(metric.id, design.id))})</span>
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-1">“All” is the mean of every analyzed participant, for comparison.</p>
+      </div>
+
+      <h4 className="font-semibold mb-1 text-sm">Comments</h4>
+      {answered.length > 0 ? (
+        <ul className="space-y-1 text-sm">
+          {answered.map(comment => (
+            <li key={comment.key}>
+              <span className="text-gray-500">{comment.question}:</span> “{comment.text}”
+              <SentimentBadge sentiment={scoreAnswer(comment.text)} />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="text-sm text-gray-500">No written comments.</p>
+      )}
+      {profile.comments.length > answered.length && (
+        <p className="text-xs text-gray-500 mt-1">
+          {profile.comments.length - answered.length} question{profile.comments.length - answered.length === 1 ? '' : 's'} left blank or answered “N/A” / “None”.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default ParticipantProfile;
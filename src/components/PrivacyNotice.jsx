@@ -0,0 +1,39 @@
+import React from 'react';
+import { pseudonymKeyToCsv } from '../utils/privacy';
+import { downloadFile, fileBaseName } from '../utils/download';
+
+const PrivacyNotice = ({ privacy, withdrawals, sourceName }) => {
+  if (!privacy) return null;
+
+  const { key, redactions } = privacy;
+  // Withdrawn participants are purged from the exported key as well
+  const exportedKey = key.filter(entry => !withdrawals.includes(entry.code));
+  const totalRedactions = redactions.name + redactions.idNumber + redactions.email;
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-2 border rounded-lg p-3 mb-6 text-sm bg-gray-50">
+      <div>
+        <span className="font-semibold">Privacy:</span>{' '}
+        {key.length > 0
+          ? `participant IDs are shown as codes ${key[0].code}–${key[key.length - 1].code}.`
+          : 'no participant IDs found.'}
+        {' '}
+        {totalRedactions > 0
+          ? `Redacted from feedback: ${redactions.name} name(s), ${redactions.idNumber} ID number(s), ${redactions.email} email address(es).`
+          : 'No names or ID numbers detected in feedback.'}
+        <div className="text-xs text-gray-500">
+          The key linking codes to original IDs stays in this browser session. Store it separately from any shared results.
+        </div>
+      </div>
+      {exportedKey.length > 0 && (
+        <button
+          className="px-3 py-1 border rounded bg-white hover:bg-gray-50"
+          onClick={() => downloadFile(`${fileBaseName(sourceName)}-pseudonym-key.csv`, pseudonymKeyToCsv(exportedKey), 'text/csv')}>
+          Download key file
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default PrivacyNotice;
@@ -0,0 +1,115 @@
+import React from 'react';
+import _ from 'lodash';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Cell, ErrorBar } from 'recharts';
+import { formatPValue } from '../utils/statistics';
+import ChartFrame from './ChartFrame';
+
+// Conventional labels for Kendall's coefficient of concordance
+const interpretKendallW = (w) => {
+  if (w < 0.1) return 'No agreement';
+  if (w < 0.3) return 'Weak agreement';
+  if (w < 0.5) return 'Moderate agreement';
+  return 'Strong agreement';
+};
+
+const RankingAnalysis = ({ analysis, designs, designNoun, chartNote }) => {
+  if (!analysis) {
+    return (
+      <p className="mb-6 text-sm text-gray-500">Not enough complete rankings to model preferences.</p>
+    );
+  }
+
+  const { friedman } = analysis;
+  const chartData = analysis.designs.map((design, i) => ({
+    name: design.name,
+    worth: design.worth,
+    error: [design.worth - design.worthCI[0], design.worthCI[1] - design.worth],
+    color: designs[i].color
+  }));
+
+  return (
+    <div className="mb-6">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+        <div className="border p-4 rounded shadow">
+          <h3 className="text-lg font-semibold mb-2">Agreement Between Participants</h3>
+          <p className="text-sm mb-1">
+            Friedman χ²({friedman.df}) = {friedman.chiSquare.toFixed(2)}, p = {formatPValue(friedman.pValue)}
+          </p>
+          <p className="text-sm mb-1">
+            Kendall's W = {analysis.kendallW.toFixed(2)} ({interpretKendallW(analysis.kendallW)})
+          </p>
+          <p className="text-xs text-gray-500">
+            Based on {analysis.n} participants who ranked every {designNoun}. W ranges from 0 (no consensus) to 1 (identical rankings).
+          </p>
+        </div>
+
+        <div className="border p-4 rounded shadow">
+          <h3 className="text-lg font-semibold mb-2">Plackett-Luce Worth Scores</h3>
+          <ChartFrame
+            title="Plackett-Luce Worth Scores"
+            xLabel={_.upperFirst(designNoun)}
+            yLabel="Worth (chance of ranking first)"
+            note={chartNote(analysis.n, `error bars: 95% bootstrap intervals (seed ${analysis.seed})`)}
+            className="h-56">
+            <ResponsiveContainer width="100%" height={220}>
+              <BarChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis domain={[0, 1]} />
+                <Tooltip formatter={(value) => value.toFixed(2)} />
+                <Bar dataKey="worth" name="Worth">
+                  {chartData.map((entry, i) => (
+                    <Cell key={`worth-${i}`} fill={entry.color} />
+                  ))}
+                  <ErrorBar dataKey="error" width={4} strokeWidth={2} stroke="#666" direction="y" />
+                </Bar>
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartFrame>
+          <div className="text-xs text-gray-500 mt-2">
+            Worths sum to 1; a {designNoun}'s worth is its chance of being ranked first. Error bars are 95% bootstrap
+            intervals ({analysis.bootstrapSamples} resamples, seed {analysis.seed}).
+          </div>
+        </div>
+      </div>
+
+      <h3 className="text-lg font-semibold mb-2">Probability Row {_.upperFirst(designNoun)} Is Preferred to Column {_.upperFirst(designNoun)}</h3>
+      <div className="overflow-x-auto">
+        <table className="min-w-full border rounded text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-4 py-2"></th>
+              {analysis.designs.map(design => (
+                <th key={design.id} className="border px-4 py-2">{design.name}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.designs.map((design, a) => (
+              <tr key={design.id} className={a % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                <td className="border px-4 py-2 font-medium">{design.name}</td>
+                {analysis.beats[a].map((cell, b) => (
+                  <td key={b} className="border px-4 py-2 text-center">
+                    {cell === null ? '—' : (
+                      <>
+                        <div className={cell.probability > 0.5 ? 'font-semibold text-green-600' : ''}>
+                          {(cell.probability * 100).toFixed(0)}%
+                        </div>
+                        <div className="text-xs text-gray-500">
+                          95% CI: [{(cell.ci[0] * 100).toFixed(0)}%, {(cell.ci[1] * 100).toFixed(0)}%]
+                        </div>
+                        <div className="text-xs text-gray-400">observed: {(cell.observed * 100).toFixed(0)}%</div>
+                      </>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default RankingAnalysis;
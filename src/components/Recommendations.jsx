@@ -0,0 +1,23 @@
+import React from 'react';
+
+const Recommendations = ({ bestDesign, hybridDesign }) => (
+  <>
+    <h2 className="text-xl font-semibold mb-3">Recommendations</h2>
+    <ul className="list-disc pl-5 space-y-2">
+      <li>
+        <strong>Primary Recommendation:</strong> Based on the combined metrics and user feedback, the {bestDesign} appears to be the most promising design. It scored highest in overall satisfaction and had the most consistent performance across metrics.
+      </li>
+      <li>
+        <strong>Design Improvements:</strong> Regardless of which handle is selected, participants consistently suggested rounder edges and improved grip security.
+      </li>
+      <li>
+        <strong>Future Testing:</strong> Consider a larger participant pool (20+ users) with more diverse hand sizes and laboratory experience levels.
+      </li>
+      <li>
+        <strong>Hybrid Design:</strong> Consider developing a prototype that combines the best features of the {hybridDesign} with the ergonomic benefits identified in user feedback.
+      </li>
+    </ul>
+  </>
+);
+
+export default Recommendations;
@@ -0,0 +1,153 @@
+import React from 'react';
+import _ from 'lodash';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ScatterChart, Scatter } from 'recharts';
+import ChartFrame from './ChartFrame';
+import SentimentBadge from './SentimentBadge';
+import { SENTIMENT_LABELS } from '../utils/sentiment';
+import { formatPValue } from '../utils/statistics';
+
+const formatTone = (summary) => (summary.n > 0 ? `${summary.mean > 0 ? '+' : ''}${summary.mean.toFixed(2)} (n=${summary.n})` : 'N/A');
+const formatSplit = (summary) => `${summary.positive} / ${summary.neutral} / ${summary.negative}`;
+const formatCorrelation = (correlation) =>
+  (correlation.rho === null ? `N/A (n=${correlation.n})` : `ρ = ${correlation.rho.toFixed(2)}, p = ${formatPValue(correlation.pValue)} (n=${correlation.n})`);
+
+const SentimentAnalysis = ({ study, sentiment, chartNote }) => {
+  const metric = study.metricById[sentiment.metricId];
+  const scale = study.metricScale(metric.id);
+  const designLabel = _.upperFirst(study.config.designNoun);
+  const answered = sentiment.answers.filter(answer => answer.designId).length;
+
+  const splitData = sentiment.designs.map(entry => ({
+    name: study.designById[entry.designId].shortName,
+    ..._.mapValues(SENTIMENT_LABELS, (_entry, label) => entry.all[label])
+  }));
+
+  return (
+    <div className="border p-4 rounded shadow mb-6">
+      <h3 className="text-lg font-semibold mb-1">Sentiment of Responses</h3>
+      <p className="text-sm text-gray-600 mb-4">
+        Each answer is scored from −1 (negative) to +1 (positive) with a word list: words like “comfortable” or “awkward”
+        carry a tone, negations such as “wouldn’t” reverse it and words like “very” strengthen it. The tone is compared with
+        the participant’s {metric.name.toLowerCase()} rating of the same {study.config.designNoun}. The scorer works offline and
+        misses sarcasm and context, so read the flagged answers rather than relying on the numbers alone.
+      </p>
+
+      <div className="overflow-x-auto mb-4">
+        <table className="min-w-full border text-sm">
+          <thead>
+            <tr className="bg-gray-100">
+              <th className="border px-4 py-2 text-left">{designLabel}</th>
+              <th className="border px-4 py-2">Likes tone</th>
+              <th className="border px-4 py-2">Improvements tone</th>
+              <th className="border px-4 py-2">All answers: positive / neutral / negative</th>
+              <th className="border px-4 py-2">Mean {metric.name.toLowerCase()}</th>
+              <th className="border px-4 py-2">Tone vs rating</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sentiment.designs.map((entry, index) => (
+              <tr key={entry.designId} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                <td className="border px-4 py-2 font-medium">{study.designById[entry.designId].name}</td>
+                <td className="border px-4 py-2 text-center">{formatTone(entry.likes)}</td>
+                <td className="border px-4 py-2 text-center">{formatTone(entry.improvements)}</td>
+                <td className="border px-4 py-2 text-center">{formatSplit(entry.all)}</td>
+                <td className="border px-4 py-2 text-center">
+                  {entry.rating.n > 0 ? `${entry.rating.mean.toFixed(2)} (n=${entry.rating.n})` : 'N/A'}
+                </td>
+                <td className="border px-4 py-2 text-center">{formatCorrelation(entry.correlation)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <p className="text-xs text-gray-500 mt-1">
+          Tone vs rating is the Spearman correlation between each participant’s mean tone about the {study.config.designNoun} and
+          their rating of it. Across every {study.config.designNoun}: {formatCorrelation(sentiment.correlation)}.
+          {sentiment.additionalComments.n > 0 && ` Additional comments: mean tone ${formatTone(sentiment.additionalComments)}.`}
+        </p>
+      </div>
+
+      {answered > 0 && (
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <ChartFrame
+            title={`Tone of Answers by ${designLabel}`}
+            xLabel={designLabel}
+            yLabel="Answers"
+            note={chartNote(undefined, `${answered} answers about a ${study.config.designNoun}`)}
+            className="h-64">
+            <ResponsiveContainer width="100%" height={250}>
+              <BarChart data={splitData} margin={{ top: 20, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="name" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                {Object.entries(SENTIMENT_LABELS).map(([key, { label, color }]) => (
+                  <Bar key={key} dataKey={key} name={label} stackId="tone" fill={color} />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          </ChartFrame>
+
+          <ChartFrame
+            title={`Tone vs ${metric.name}`}
+            xLabel={`${metric.name} (${scale.min}–${scale.max})`}
+            yLabel="Mean tone of answers"
+            note={chartNote(undefined, `one point per participant and ${study.config.designNoun}`)}
+            className="h-64">
+            <ResponsiveContainer width="100%" height={250}>
+              <ScatterChart margin={{ top: 20, right: 20, left: 0, bottom: 5 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis type="number" dataKey="rating" name={metric.name} domain={[scale.min, scale.max]} allowDecimals={false} />
+                <YAxis type="number" dataKey="score" name="Tone" domain={[-1, 1]} />
+                <Tooltip cursor={{ strokeDasharray: '3 3' }} formatter={(value) => (typeof value === 'number' ? value.toFixed(2) : value)} />
+                <Legend />
+                {sentiment.designs.map(entry => {
+                  const design = study.designById[entry.designId];
+                  return <Scatter key={design.id} name={design.shortName} data={entry.points} fill={design.color} />;
+                })}
+              </ScatterChart>
+            </ResponsiveContainer>
+          </ChartFrame>
+        </div>
+      )}
+
+      <h4 className="font-semibold mb-1">Tone and rating disagree</h4>
+      {sentiment.contradictions.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full border text-sm">
+            <thead>
+              <tr className="bg-gray-100">
+                <th className="border px-4 py-2 text-left">Participant</th>
+                <th className="border px-4 py-2 text-left">Question</th>
+                <th className="border px-4 py-2 text-left">Answer</th>
+                <th className="border px-4 py-2">{metric.name}</th>
+                <th className="border px-4 py-2 text-left">Follow up because</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sentiment.contradictions.map((answer, index) => (
+                <tr key={answer.key} className={index % 2 === 0 ? 'bg-white' : 'bg-gray-50'}>
+                  <td className="border px-4 py-2">{answer.participant}</td>
+                  <td className="border px-4 py-2">{answer.question}</td>
+                  <td className="border px-4 py-2">“{answer.text}”<SentimentBadge sentiment={answer} /></td>
+                  <td className="border px-4 py-2 text-center">{answer.rating}</td>
+                  <td className="border px-4 py-2">
+                    {answer.contradiction === 'positive-low' ? 'Positive answer, low rating' : 'Negative answer, high rating'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">No answer has a clear tone on the opposite side of its rating.</p>
+      )}
+      <p className="text-xs text-gray-500 mt-2">
+        Flagged when an answer scores at least ±{sentiment.contradictionScore} and the rating is on the other side of the
+        scale midpoint ({sentiment.midpoint}). Negative suggested improvements are expected and not flagged.
+      </p>
+    </div>
+  );
+};
+
+export default SentimentAnalysis;
@@ -0,0 +1,18 @@
+import React from 'react';
+import { SENTIMENT_LABELS } from '../utils/sentiment';
+
+const SentimentBadge = ({ sentiment }) => {
+  const { label, color } = SENTIMENT_LABELS[sentiment.label];
+  const words = sentiment.terms.map(term => `${term.word} (${term.valence > 0 ? '+' : ''}${term.valence.toFixed(1)})`).join(', ');
+
+  return (
+    <span
+      className="inline-block ml-2 px-1.5 rounded text-xs align-middle"
+      style={{ color, border: `1px solid ${color}` }}
+      title={words ? `Scored from: ${words}` : 'No words with a tone'}>
+      {label} {sentiment.score > 0 ? '+' : ''}{sentiment.score.toFixed(2)}
+    </span>
+  );
+};
+
+export default SentimentBadge;
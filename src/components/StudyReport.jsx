@@ -0,0 +1,317 @@
+import React, { useRef, useState } from 'react';
+import { BarChart, Bar, XAxis, YAxis, CartesianGrid, Legend, Cell } from 'recharts';
+import { formatPValue, formatDf } from '../utils/statistics';
+import { MISSING_DATA_POLICIES, describeMissingData } from '../utils/missingData';
+import FeedbackThemeSummary from './FeedbackThemeSummary';
+import { buildReportHtml } from '../utils/report';
+import { downloadFile, fileBaseName } from '../utils/download';
+import '../report.css';
+
+// Fixed chart sizes so the printed and saved report match regardless of window width
+const CHART_WIDTH = 680;
+const SMALL_CHART_WIDTH = 330;
+
+const Section = ({ title, children }) => (
+  <section className="report-page">
+    <h2 className="text-xl font-semibold mb-3">{title}</h2>
+    {children}
+  </section>
+);
+
+const StudyReport = ({
+  study,
+  sourceName,
+  audit,
+  methods,
+  insights,
+  results,
+  rankingData,
+  metricsData,
+  aggregateScores,
+  formatAggregate,
+  feedback,
+  feedbackThemes,
+  recommendations,
+  onClose
+}) => {
+  const reportRef = useRef(null);
+  const [generatedAt] = useState(() => new Date());
+  const { designs, metrics } = study;
+  const title = study.config.title;
+  const missingPolicy = MISSING_DATA_POLICIES.find(policy => policy.id === methods.missingData.policy);
+
+  const saveHtml = () => downloadFile(
+    `${fileBaseName(sourceName)}-report.html`,
+    buildReportHtml(reportRef.current, title),
+    'text/html'
+  );
+
+  return (
+    <div className="bg-gray-100 min-h-screen py-6">
+      <div className="report-toolbar flex flex-wrap items-center justify-between gap-2 max-w-3xl mx-auto mb-4 px-4 text-sm">
+        <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={onClose}>← Back to analysis</button>
+        <div className="flex gap-2">
+          <button
+            className="px-3 py-1 border rounded bg-white hover:bg-gray-50"
+            title="Opens the print dialog; choose “Save as PDF” as the destination"
+            onClick={() => window.print()}>
+            Print / Save as PDF
+          </button>
+          <button className="px-3 py-1 border rounded bg-white hover:bg-gray-50" onClick={saveHtml}>Download HTML</button>
+        </div>
+      </div>
+
+      <article ref={reportRef} className="study-report shadow">
+        <section className="report-page report-title-page">
+          <div className="text-sm uppercase tracking-wide text-gray-500 mb-2">Study report</div>
+          <h1 className="text-3xl font-bold mb-4">{title}</h1>
+          <p className="mb-1">
+            Comparison of {designs.length} {study.config.designNoun} designs: {designs.map(design => design.name).join(', ')}.
+          </p>
+          <p className="mb-1">{audit.included} participants analyzed from <span className="font-medium">{fileBaseName(sourceName)}</span>.</p>
+          {audit.cohort && <p className="mb-1">Cohort: {audit.cohort.join(' · ')}.</p>}
+          <p className="text-sm text-gray-500 mt-6">Generated {generatedAt.toLocaleString()}</p>
+        </section>
+
+        <Section title="Dataset Summary">
+          <table className="mb-4">
+            <tbody>
+              <tr><td>Responses in file</td><td className="text-right">{audit.responses}</td></tr>
+              <tr><td>Excluded: no consent</td><td className="text-right">−{audit.excluded.consent}</td></tr>
+              <tr><td>Excluded: withdrawn</td><td className="text-right">−{audit.excluded.withdrawn}</td></tr>
+              <tr><td>Quarantined during data review</td><td className="text-right">−{audit.quarantined}</td></tr>
+              {audit.outsideCohort > 0 && (
+                <tr><td>Outside the cohort filter</td><td className="text-right">−{audit.outsideCohort}</td></tr>
+              )}
+              {audit.listwiseDropped > 0 && (
+                <tr><td>Removed by listwise deletion of missing ratings</td><td className="text-right">−{audit.listwiseDropped}</td></tr>
+              )}
+              <tr className="font-semibold"><td>Included in analyses</td><td className="text-right">{audit.included}</td></tr>
+            </tbody>
+          </table>
+          <p className="mb-2">Missing data — {describeMissingData(methods.missingData)} (of {methods.missingData.totalCells} ratings).</p>
+          <p className="text-sm text-gray-600">
+            Participant IDs appear as pseudonymous codes and names, ID numbers and email addresses were redacted from free-text answers.
+          </p>
+        </Section>
+
+        <Section title="Methods">
+          <ul className="list-disc pl-5 space-y-2">
+            <li>
+              Each participant rated every design on {metrics.length} metrics ({metrics.map(metric => metric.name).join(', ')}) and ranked the designs.
+            </li>
+            <li>
+              Omnibus differences were tested with a repeated-measures ANOVA, using the Greenhouse-Geisser correction when Mauchly's test
+              rejected sphericity, and with the Friedman test.
+            </li>
+            <li>
+              Pairs of designs were compared with paired t-tests and Wilcoxon signed-rank tests; paired t-test p-values were adjusted
+              across all metric × pair comparisons with the {methods.correction} method. Effect sizes are Cohen's d<sub>z</sub>: the mean
+              paired difference divided by the standard deviation of the differences.
+            </li>
+            <li>95% confidence intervals use the {methods.ciMethod.toLowerCase()} method.</li>
+            <li>Missing ratings: {missingPolicy.label.toLowerCase()}. {missingPolicy.description(study.config.designNoun)}.</li>
+            <li>
+              The aggregate score is a weighted mean of the metrics using {methods.normalization.toLowerCase()}, with weights{' '}
+              {metrics.map(metric => `${metric.shortName} ${methods.weights[metric.id] ?? metric.weight}`).join(', ')}.
+            </li>
+            <li>Bootstrap intervals, ranking models and Bayesian posteriors use random seed {methods.seed}.</li>
+          </ul>
+        </Section>
+
+        <Section title="Overview">
+          <h3 className="text-lg font-semibold mb-2">Preference Rankings</h3>
+          <div className="report-figure mb-4">
+            <BarChart width={CHART_WIDTH} height={260} data={rankingData} margin={{ top: 10, right: 20, left: 0, bottom: 5 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="name" />
+              <YAxis allowDecimals={false} />
+              <Legend />
+              {designs.map((design, i) => (
+                <Bar key={design.id} dataKey={`rank${i + 1}`} name={`Ranked #${i + 1}`} fill={design.color} isAnimationActive={false} />
+              ))}
+            </BarChart>
+          </div>
+
+          {aggregateScores && (
+            <>
+              <h3 className="text-lg font-semibold mb-2">Aggregate Performance Score</h3>
+              <table className="mb-4">
+                <thead>
+                  <tr><th className="text-left">Design</th><th>Mean score</th><th>Top choice (participants)</th></tr>
+                </thead>
+                <tbody>
+                  {designs.map(design => (
+                    <tr key={design.id}>
+                      <td>{design.name}</td>
+                      <td className="text-right">{formatAggregate(aggregateScores.average[design.name])}</td>
+                      <td className="text-right">{aggregateScores.topChoiceCounts[design.name]}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </Section>
+
+        <Section title="Key Insights">
+          <ul className="space-y-3">
+            {insights.map(insight => (
+              <li key={insight.key}>
+                <div className="font-semibold">{insight.title}</div>
+                <div>{insight.description}</div>
+              </li>
+            ))}
+          </ul>
+        </Section>
+
+        <Section title="Statistical Analysis">
+          <h3 className="text-lg font-semibold mb-2">Descriptive Statistics</h3>
+          <table className="mb-4">
+            <thead>
+              <tr>
+                <th className="text-left">Metric</th>
+                {designs.map(design => <th key={design.id}>{design.name}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => (
+                <tr key={result.metricId}>
+                  <td>{result.metric}</td>
+                  {designs.map(design => {
+                    const stats = result.designs[design.id];
+                    return (
+                      <td key={design.id} className="text-right">
+                        {stats.mean.toFixed(2)} ± {stats.stdDev.toFixed(2)}
+                        <div className="text-xs text-gray-500">[{stats.ci[0].toFixed(2)}, {stats.ci[1].toFixed(2)}]</div>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500 mb-4">Mean ± SD with 95% confidence interval.</p>
+
+          <h3 className="text-lg font-semibold mb-2">Omnibus Tests</h3>
+          <table className="mb-4">
+            <thead>
+              <tr>
+                <th className="text-left">Metric</th>
+                <th>n</th>
+                <th>RM-ANOVA F (df)</th>
+                <th>p</th>
+                <th>η²<sub>p</sub></th>
+                <th>Friedman χ² (df)</th>
+                <th>p</th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.map(result => {
+                const { anova, friedman } = result.omnibus;
+                const corrected = anova && anova.sphericity && anova.sphericity.violated;
+                return (
+                  <tr key={result.metricId}>
+                    <td>{result.metric}</td>
+                    <td className="text-center">{anova ? anova.n : 0}</td>
+                    <td className="text-right">
+                      {anova ? `${anova.f.toFixed(2)} (${formatDf(corrected ? anova.ggDf1 : anova.df1)}, ${formatDf(corrected ? anova.ggDf2 : anova.df2)})` : 'N/A'}
+                    </td>
+                    <td className="text-right">{anova ? `${formatPValue(anova.reportedPValue)}${corrected ? ' (GG)' : ''}` : 'N/A'}</td>
+                    <td className="text-right">{anova ? anova.partialEtaSquared.toFixed(2) : 'N/A'}</td>
+                    <td className="text-right">{friedman ? `${friedman.chiSquare.toFixed(2)} (${friedman.df})` : 'N/A'}</td>
+                    <td className="text-right">{friedman ? formatPValue(friedman.pValue) : 'N/A'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          <h3 className="text-lg font-semibold mb-2">Pairwise Comparisons</h3>
+          <table className="mb-2">
+            <thead>
+              <tr>
+                <th className="text-left">Metric</th>
+                <th className="text-left">Comparison</th>
+                <th>Mean diff.</th>
+                <th>t (df)</th>
+                <th>p</th>
+                <th>Adjusted p</th>
+                <th>Wilcoxon p</th>
+                <th>Cohen's d<sub>z</sub></th>
+              </tr>
+            </thead>
+            <tbody>
+              {results.flatMap(result => result.comparisons.map(comparison => (
+                <tr key={`${result.metricId}-${comparison.key}`}>
+                  <td>{result.metric}</td>
+                  <td>{comparison.label}</td>
+                  <td className="text-right">{comparison.paired.meanDiff.toFixed(2)}</td>
+                  <td className="text-right">{comparison.paired.t.toFixed(2)} ({comparison.paired.df})</td>
+                  <td className="text-right">{formatPValue(comparison.pValue)}</td>
+                  <td className="text-right">{formatPValue(comparison.adjustedPValue)}</td>
+                  <td className="text-right">{formatPValue(comparison.wilcoxon.pValue)}</td>
+                  <td className="text-right">{comparison.effectSize.toFixed(2)} ({comparison.interpretation})</td>
+                </tr>
+              )))}
+            </tbody>
+          </table>
+          <p className="text-xs text-gray-500">Adjusted p-values use the {methods.correction} method.</p>
+        </Section>
+
+        <Section title="Performance Metrics">
+          <div className="grid grid-cols-2 gap-4">
+            {metrics.map(metric => (
+              <div key={metric.id} className="report-figure">
+                <h3 className="font-semibold mb-1">{metric.name}</h3>
+                <BarChart width={SMALL_CHART_WIDTH} height={200} data={metricsData} margin={{ top: 5, right: 10, left: 0, bottom: 5 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" tick={{ fontSize: 10 }} />
+                  <YAxis domain={[0, study.metricScale(metric.id).max]} />
+                  <Bar dataKey={metric.shortName} isAnimationActive={false}>
+                    {metricsData.map(entry => <Cell key={entry.name} fill={entry.color} />)}
+                  </Bar>
+                </BarChart>
+                <div className="text-xs text-gray-500">{metric.higherIsBetter ? 'Higher' : 'Lower'} values are better</div>
+              </div>
+            ))}
+          </div>
+        </Section>
+
+        <Section title="Qualitative Feedback">
+          <h3 className="text-lg font-semibold mb-1">Common Themes</h3>
+          <div className="mb-4">
+            <FeedbackThemeSummary themes={feedbackThemes} />
+          </div>
+          {feedback.designs.map(design => (
+            <div key={design.id} className="mb-4">
+              <h3 className="text-lg font-semibold mb-1">{design.name}</h3>
+              <h4 className="font-medium">Likes:</h4>
+              <ul className="list-disc pl-5 mb-2">
+                {design.likes.map((item, i) => <li key={i}>{item}</li>)}
+              </ul>
+              <h4 className="font-medium">Suggested Improvements:</h4>
+              <ul className="list-disc pl-5">
+                {design.improvements.map((item, i) => <li key={i}>{item}</li>)}
+              </ul>
+            </div>
+          ))}
+          <h3 className="text-lg font-semibold mb-1">Additional Comments</h3>
+          {feedback.additionalComments.length > 0 ? (
+            <ul className="list-disc pl-5">
+              {feedback.additionalComments.map((item, i) => <li key={i}>{item}</li>)}
+            </ul>
+          ) : (
+            <p>No additional comments provided.</p>
+          )}
+        </Section>
+
+        <section className="report-page">
+          {recommendations}
+        </section>
+      </article>
+    </div>
+  );
+};
+
+export default StudyReport;
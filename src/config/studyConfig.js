@@ -0,0 +1,104 @@
+// Declarative definition of the handle comparison study.
+//
+// Every tab reads designs, metrics and column names from here, so a study with
+// a different number of designs or metrics only needs a new config object.
+// Column headers are matched ignoring case and surrounding/repeated whitespace.
+
+/**
+ * @typedef {Object} DesignConfig
+ * @property {string} id - Stable key used in analysis results
+ * @property {string} name - Full name, as it appears in ranking headers and vote answers
+ * @property {string} shortName - Label used in comparison headings
+ * @property {string} color - Chart color
+ * @property {number} block - Which repeated block of metric columns belongs to this design
+ *   (0 for the first "Comfort" column, 1 for the second, ...)
+ */
+
+/**
+ * @typedef {Object} MetricConfig
+ * @property {string} id - Stable key used in analysis results
+ * @property {string} name - Display name
+ * @property {string} shortName - Compact label used as chart data key
+ * @property {string} column - Survey header holding this metric (repeated once per design)
+ * @property {boolean} higherIsBetter - Direction of the metric
+ * @property {{min: number, max: number}} [scale] - Response range, defaults to the study scale
+ * @property {boolean} [measurement] - Recorded measurement rather than a rating, so values
+ *   are not checked against the scale during validation
+ * @property {number} weight - Weight in the aggregate score
+ * @property {boolean} [highlight] - Listed under Key Findings on the Overview
+ */
+
+export const DEFAULT_STUDY_CONFIG = {
+  title: 'Bioreactor Handle Preference Analysis',
+  designNoun: 'handle',
+  scale: { min: 1, max: 5 },
+
+  designs: [
+    { id: 'rectangle', name: 'Rectangle Handle', shortName: 'Rectangle', color: '#0088FE', block: 0 },
+    { id: 'curved', name: 'Curved Handle', shortName: 'Curved', color: '#00C49F', block: 1 },
+    { id: 'circle', name: 'Circle Undergrip Handle', shortName: 'Circle', color: '#FFBB28', block: 2 }
+  ],
+
+  metrics: [
+    { id: 'accuracy', name: 'Positioning Accuracy', shortName: 'Accuracy', column: 'Positioning Accuracy', higherIsBetter: true, weight: 1.5, measurement: true },
+    { id: 'attempts', name: 'Number of Attempts', shortName: 'Attempts', column: 'Number of Attempts', higherIsBetter: false, weight: 1.0, highlight: true },
+    { id: 'comfort', name: 'Comfort', shortName: 'Comfort', column: 'Comfort', higherIsBetter: true, weight: 1.2, highlight: true },
+    { id: 'security', name: 'Grip Security', shortName: 'Security', column: 'Grip Security', higherIsBetter: true, weight: 1.0 },
+    { id: 'ease', name: 'Ease of Use', shortName: 'Ease', column: 'Ease of Use', higherIsBetter: true, weight: 1.0 },
+    { id: 'intuitive', name: 'Intuitiveness', shortName: 'Intuitive', column: 'Intuitiveness', higherIsBetter: true, weight: 0.8 },
+    { id: 'satisfaction', name: 'Overall Satisfaction', shortName: 'Satisfaction', column: 'Overall Satisfaction', higherIsBetter: true, weight: 1.5, highlight: true }
+  ],
+
+  columns: {
+    timestamp: 'Timestamp',
+    consent: 'Participant Consent',
+    participantId: 'Please enter your assigned participant ID:',
+    // {design} is replaced with the design name
+    ranking: 'Handle Preference Ranking [{design}]',
+    likes: 'What did you like most about the {design}?',
+    improvements: 'What improvements would you suggest for the {design}?',
+    additionalComments: 'Do you have any additional comments or suggestions about any of the handles or the bioreactor shelves in general?'
+  },
+
+  // Rows are only analyzed when the consent column contains this statement
+  consentStatement: 'I understand that my participation is voluntary and my responses will be used for product development purposes.',
+
+  // chart: how the Demographics tab plots the distribution ('pie' or 'bar'; omit to skip)
+  // ordered: groups follow the number in their label, so the cohort filter offers a min/max range
+  demographics: [
+    { id: 'age', name: 'Age Range', column: 'Age Range', ordered: true },
+    { id: 'gender', name: 'Gender', column: 'Gender', chart: 'pie' },
+    { id: 'handedness', name: 'Hand Dominance', column: 'Hand Dominance', chart: 'pie' },
+    { id: 'experience', name: 'Experience Level', column: 'Previous Experience with Laboratory Equipment', chart: 'bar', ordered: true },
+    { id: 'height', name: 'Height', column: 'Height', chart: 'bar', ordered: true }
+  ],
+
+  // Qualitative feedback themes. synonyms: groups of related words counted as one theme term
+  // (base forms; "rounder" and "curved" reduce to "round" and "curve"); stopwords: extra words to ignore
+  feedbackThemes: {
+    synonyms: [
+      ['round', 'curve', 'arc', 'edge', 'angle', 'sharp'],
+      ['wide', 'large', 'big', 'space', 'gap', 'room', 'height', 'size'],
+      ['comfortable', 'comfort', 'ergonomic', 'smooth'],
+      ['grip', 'hold', 'secure', 'rigid'],
+      ['easy', 'ease', 'intuitive', 'natural'],
+      ['finger', 'hand']
+    ],
+    stopwords: []
+  },
+
+  // Sentiment of free-text answers. ratingMetric: the rating each answer's tone is compared with;
+  // lexicon: extra or overriding word valences, from -3 (very negative) to +3 (very positive)
+  sentiment: {
+    ratingMetric: 'satisfaction',
+    lexicon: {}
+  },
+
+  // Questions answered by picking one design name
+  attributeVotes: [
+    'Most Accurate Positioning',
+    'Least Physical Strain',
+    'Most Appropriate for Bioreactor Shelves',
+    'Best for Extended Use'
+  ]
+};
@@ -0,0 +1,215 @@
+// Weighted aggregate score across metrics, and how sensitive its winner is to the weights
+
+import _ from 'lodash';
+import * as math from 'mathjs';
+import { getMetricValue } from './study';
+import { createRandom, randomDirichlet, DEFAULT_SEED } from './random';
+
+const SENSITIVITY_DRAWS = 2000;
+
+/**
+ * How metric values are put on a common footing before weighting.
+ * Every method flips lower-is-better metrics so that a higher score is always better; description(designNoun)
+ * explains a method in the study's own terms.
+ * Ratings still missing after the missing-data policy are left out of a participant's
+ * score and the remaining weights rescaled.
+ */
+export const NORMALIZATION_METHODS = [
+  {
+    id: 'raw',
+    label: 'Raw ratings',
+    description: () => 'Ratings are used as recorded; lower-is-better metrics are subtracted from the top of their scale.'
+  },
+  {
+    id: 'range',
+    label: 'Rescaled to the rating scale',
+    description: () => 'Each metric is mapped linearly from its own range onto the study rating scale: its declared scale, or for measurements the lowest to highest value observed.'
+  },
+  {
+    id: 'zscore',
+    label: 'Standardized (z-scores)',
+    standardized: true,
+    description: (designNoun) => `Each metric is expressed in standard deviations from its mean across all ${designNoun}s.`
+  }
+];
+
+/**
+ * Aggregate settings taken from the metric definitions
+ * @param {Object[]} metrics - Metric configs
+ * @returns {{weights: Object<string, number>, normalization: string}}
+ */
+export const defaultAggregateSettings = (metrics) => ({
+  weights: Object.fromEntries(metrics.map(metric => [metric.id, metric.weight])),
+  normalization: 'raw'
+});
+
+// Builds a function mapping (row, metric, design) to a direction-adjusted value, or null when missing
+const createNormalizer = (data, study, normalization) => {
+  if (normalization === 'raw') {
+    return (row, metric, design) => {
+      const value = getMetricValue(study, row, metric.id, design.id);
+      if (value === null || metric.higherIsBetter) return value;
+      return study.metricScale(metric.id).max - value;
+    };
+  }
+
+  if (normalization === 'range') {
+    const target = study.config.scale;
+    // Measurements without a declared scale use the range observed across every design
+    const ranges = Object.fromEntries(study.metrics.map(metric => {
+      if (metric.scale || !metric.measurement) return [metric.id, study.metricScale(metric.id)];
+      const values = data.flatMap(row => study.designs.map(design => getMetricValue(study, row, metric.id, design.id)))
+        .filter(v => v !== null);
+      return [metric.id, { min: _.min(values), max: _.max(values) }];
+    }));
+    return (row, metric, design) => {
+      const value = getMetricValue(study, row, metric.id, design.id);
+      const { min, max } = ranges[metric.id];
+      if (value === null || !(max > min)) return null;
+      const fraction = (value - min) / (max - min);
+      return target.min + (metric.higherIsBetter ? fraction : 1 - fraction) * (target.max - target.min);
+    };
+  }
+
+  // z-scores pool every design's ratings so the designs stay comparable
+  const moments = Object.fromEntries(study.metrics.map(metric => {
+    const values = data.flatMap(row => study.designs.map(design => getMetricValue(study, row, metric.id, design.id)))
+      .filter(v => v !== null);
+    return [metric.id, {
+      mean: values.length > 0 ? math.mean(values) : 0,
+      sd: values.length > 1 ? math.std(values) : 0
+    }];
+  }));
+  return (row, metric, design) => {
+    const value = getMetricValue(study, row, metric.id, design.id);
+    const { mean, sd } = moments[metric.id];
+    if (value === null || sd === 0) return null;
+    const z = (value - mean) / sd;
+    return metric.higherIsBetter ? z : -z;
+  };
+};
+
+// Weighted mean of the non-missing values, or null when nothing is left to weight
+const weightedMean = (values, weights) => {
+  let total = 0;
+  let weightTotal = 0;
+  values.forEach((value, i) => {
+    if (value === null) return;
+    total += weights[i] * value;
+    weightTotal += weights[i];
+  });
+  return weightTotal > 0 ? total / weightTotal : null;
+};
+
+// Normalized values as [participant][design][metric]
+const normalizeData = (data, study, normalization) => {
+  const normalize = createNormalizer(data, study, normalization);
+  return data.map(row => study.designs.map(design =>
+    study.metrics.map(metric => normalize(row, metric, design))
+  ));
+};
+
+const weightVector = (study, weights) => study.metrics.map(metric => Math.max(weights[metric.id] ?? metric.weight, 0));
+
+/**
+ * Scores every participant's rating of every design
+ * @param {Object[]} data - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {{weights: Object<string, number>, normalization: string}} settings - Aggregate settings
+ * @returns {Object[]} - { participantId, scores: {[designName]: number|null}, topChoice } per participant
+ */
+export const scoreParticipants = (data, study, settings) => {
+  const weights = weightVector(study, settings.weights);
+  const normalized = normalizeData(data, study, settings.normalization);
+
+  return data.map((row, p) => {
+    const designScores = Object.fromEntries(study.designs.map((design, d) => [
+      design.name,
+      weightedMean(normalized[p][d], weights)
+    ]));
+    const scored = study.designs.filter(design => designScores[design.name] !== null);
+
+    return {
+      participantId: row[study.participantIdColumn] || 'Unknown',
+      scores: designScores,
+      topChoice: scored.length > 0 ? _.maxBy(scored, design => designScores[design.name]).name : 'N/A'
+    };
+  });
+};
+
+/**
+ * Averages participant scores and counts top choices per design
+ * @param {Object[]} detail - Output of scoreParticipants
+ * @param {Object} study - Study from createStudy
+ * @returns {{average: Object<string, number>, topChoiceCounts: Object<string, number>, detail: Object[]}}
+ */
+export const summarizeScores = (detail, study) => {
+  const average = Object.fromEntries(study.designs.map(design => {
+    const scores = detail.map(s => s.scores[design.name]).filter(score => score !== null);
+    return [design.name, scores.length > 0 ? math.mean(scores) : NaN];
+  }));
+
+  const topChoiceCounts = Object.fromEntries(study.designs.map(design => [
+    design.name,
+    detail.filter(s => s.topChoice === design.name).length
+  ]));
+
+  return { average, topChoiceCounts, detail };
+};
+
+/**
+ * Scenarios for perturbing the weights. Concentration is the total Dirichlet
+ * concentration per metric; null means every weighting is equally likely.
+ */
+export const SENSITIVITY_SCENARIOS = [
+  { id: 'uniform', label: 'Any weighting', concentration: null, description: 'Weights drawn uniformly from all possible weightings' },
+  { id: 'broad', label: 'Broad perturbation', concentration: 2, description: 'Weights scattered widely around the current weights' },
+  { id: 'narrow', label: 'Narrow perturbation', concentration: 20, description: 'Weights kept close to the current weights' }
+];
+
+/**
+ * Monte Carlo sensitivity of the aggregate winner to the metric weights.
+ * Weights are drawn from Dirichlet distributions centered on the current weights
+ * and the design with the highest average score is recorded for each draw.
+ * @param {Object[]} data - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {{weights: Object<string, number>, normalization: string}} settings - Aggregate settings
+ * @param {number} seed - Seed for the weight draws
+ * @returns {Object|null} - { draws, seed, scenarios: [{...scenario, winFrequency: {[designId]: number}}] },
+ *   or null when there is nothing to score
+ */
+export const analyzeWeightSensitivity = (data, study, settings, seed = DEFAULT_SEED) => {
+  if (data.length === 0 || study.metrics.length < 2) return null;
+
+  const k = study.metrics.length;
+  const weights = weightVector(study, settings.weights);
+  const totalWeight = _.sum(weights);
+  const shares = weights.map(w => (totalWeight > 0 ? w / totalWeight : 1 / k));
+  const normalized = normalizeData(data, study, settings.normalization);
+  const random = createRandom(seed);
+
+  const scenarios = SENSITIVITY_SCENARIOS.map(scenario => {
+    // Zero weights get a vanishing concentration so the metric stays (almost) excluded
+    const alphas = scenario.concentration === null
+      ? new Array(k).fill(1)
+      : shares.map(share => Math.max(share * scenario.concentration * k, 1e-3));
+    const wins = new Array(study.designs.length).fill(0);
+
+    for (let draw = 0; draw < SENSITIVITY_DRAWS; draw++) {
+      const drawnWeights = randomDirichlet(random, alphas);
+      const averages = study.designs.map((_design, d) => {
+        const scores = normalized.map(participant => weightedMean(participant[d], drawnWeights))
+          .filter(score => score !== null);
+        return scores.length > 0 ? _.mean(scores) : -Infinity;
+      });
+      wins[averages.indexOf(Math.max(...averages))]++;
+    }
+
+    return {
+      ...scenario,
+      winFrequency: Object.fromEntries(study.designs.map((design, d) => [design.id, wins[d] / SENSITIVITY_DRAWS]))
+    };
+  });
+
+  return { draws: SENSITIVITY_DRAWS, seed, scenarios };
+};
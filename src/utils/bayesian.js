@@ -0,0 +1,139 @@
+// Bayesian comparison of the designs: posterior draws of the per-design means
+
+import _ from 'lodash';
+import * as math from 'mathjs';
+import { createRandom, randomNormal, randomGamma, quantile, DEFAULT_SEED } from './random';
+
+const POSTERIOR_DRAWS = 2000;
+const DENSITY_POINTS = 60;
+
+// Lower-triangular Cholesky factor of a symmetric positive-definite matrix
+const cholesky = (matrix) => {
+  const k = matrix.length;
+  const lower = matrix.map(() => new Array(k).fill(0));
+  for (let i = 0; i < k; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j];
+      for (let m = 0; m < j; m++) sum -= lower[i][m] * lower[j][m];
+      lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 0)) : sum / lower[j][j];
+    }
+  }
+  return lower;
+};
+
+// Lower-triangular factor F of a Wishart(df, scale) draw W = F F^T (Bartlett decomposition),
+// given the Cholesky factor of the scale matrix
+const randomWishartFactor = (random, df, scaleFactor) => {
+  const k = scaleFactor.length;
+  const bartlett = scaleFactor.map(() => new Array(k).fill(0));
+  for (let i = 0; i < k; i++) {
+    bartlett[i][i] = Math.sqrt(2 * randomGamma(random, (df - i) / 2));
+    for (let j = 0; j < i; j++) bartlett[i][j] = randomNormal(random);
+  }
+  return scaleFactor.map((row, i) => _.range(k).map(j =>
+    _.sum(_.range(j, i + 1).map(m => row[m] * bartlett[m][j]))
+  ));
+};
+
+// Solves F^T x = z for lower-triangular F by back substitution
+const solveTransposed = (factor, z) => {
+  const k = z.length;
+  const x = new Array(k).fill(0);
+  for (let i = k - 1; i >= 0; i--) {
+    let sum = z[i];
+    for (let m = i + 1; m < k; m++) sum -= factor[m][i] * x[m];
+    x[i] = sum / factor[i][i];
+  }
+  return x;
+};
+
+// Gaussian kernel density of each design's draws on a shared grid, for plotting
+const posteriorDensity = (samples, names) => {
+  const all = samples.flat();
+  const low = quantile(all, 0.001);
+  const high = quantile(all, 0.999);
+  const step = (high - low) / (DENSITY_POINTS - 1) || 1;
+  const bandwidths = samples.map(s => 1.06 * (math.std(s) || step) * Math.pow(s.length, -0.2));
+
+  return _.range(DENSITY_POINTS).map(p => {
+    const x = low + p * step;
+    const point = { x };
+    samples.forEach((s, i) => {
+      const h = bandwidths[i];
+      const total = _.sumBy(s, v => Math.exp(-0.5 * ((x - v) / h) ** 2));
+      point[names[i]] = total / (s.length * h * Math.sqrt(2 * Math.PI));
+    });
+    return point;
+  });
+};
+
+/**
+ * Posterior analysis of the design means under a multivariate normal model
+ * with the Jeffreys prior, so repeated ratings from one participant stay correlated.
+ * The precision is drawn from its Wishart posterior and the means given it.
+ * @param {number[][]} rows - One row per participant with a value for every design
+ * @param {Object[]} designs - Designs in column order
+ * @param {Object[]} pairs - Design pairs from getDesignPairs
+ * @param {Object} options - { higherIsBetter, seed, draws }
+ * @returns {Object|null} - Posterior summaries, or null when there are too few participants
+ */
+export const analyzePosterior = (rows, designs, pairs, { higherIsBetter = true, seed = DEFAULT_SEED, draws = POSTERIOR_DRAWS } = {}) => {
+  const n = rows.length;
+  const k = designs.length;
+  // The covariance posterior is proper only with more participants than designs
+  if (n <= k || k < 2) return null;
+
+  const means = _.range(k).map(j => _.meanBy(rows, row => row[j]));
+  const scatter = _.range(k).map(a => _.range(k).map(b =>
+    _.sumBy(rows, row => (row[a] - means[a]) * (row[b] - means[b]))
+  ));
+  // A small ridge keeps constant or perfectly correlated ratings invertible
+  const ridge = 1e-6 * (1 + _.sum(_.range(k).map(j => scatter[j][j])) / k);
+  const scaleFactor = cholesky(math.inv(scatter.map((row, a) => row.map((v, b) => a === b ? v + ridge : v))));
+
+  const random = createRandom(seed);
+  const samples = designs.map(() => []);
+  const bestCounts = new Array(k).fill(0);
+
+  for (let d = 0; d < draws; d++) {
+    // With precision W = F F^T, F^-T z / sqrt(n) has covariance W^-1 / n
+    const factor = randomWishartFactor(random, n - 1, scaleFactor);
+    const offset = solveTransposed(factor, designs.map(() => randomNormal(random)));
+    const mu = means.map((mean, j) => mean + offset[j] / Math.sqrt(n));
+
+    mu.forEach((value, j) => samples[j].push(value));
+    const best = higherIsBetter ? _.maxBy(_.range(k), j => mu[j]) : _.minBy(_.range(k), j => mu[j]);
+    bestCounts[best]++;
+  }
+
+  const indexOf = Object.fromEntries(designs.map((design, j) => [design.id, j]));
+
+  return {
+    n,
+    draws,
+    seed,
+    higherIsBetter,
+    designs: designs.map((design, j) => ({
+      id: design.id,
+      name: design.name,
+      sampleMean: means[j],
+      posteriorMean: _.mean(samples[j]),
+      credibleInterval: [quantile(samples[j], 0.025), quantile(samples[j], 0.975)],
+      pBest: bestCounts[j] / draws
+    })),
+    differences: pairs.map(pair => {
+      const a = samples[indexOf[pair.a]];
+      const b = samples[indexOf[pair.b]];
+      const diffs = a.map((v, i) => v - b[i]);
+      const aBetter = diffs.filter(diff => higherIsBetter ? diff > 0 : diff < 0).length;
+      return {
+        ...pair,
+        mean: _.mean(diffs),
+        credibleInterval: [quantile(diffs, 0.025), quantile(diffs, 0.975)],
+        // Posterior probability that a is better than b
+        probability: aBetter / draws
+      };
+    }),
+    density: posteriorDensity(samples, designs.map(design => design.name))
+  };
+};
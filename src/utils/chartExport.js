@@ -0,0 +1,146 @@
+// SVG and PNG export of rendered charts with their title, axis labels and footnote drawn in
+
+const FONT_FAMILY = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+const PADDING = 16;
+const TITLE_HEIGHT = 28;
+const LEGEND_HEIGHT = 22;
+const AXIS_LABEL_SIZE = 20;
+const FOOTNOTE_LINE_HEIGHT = 15;
+
+// Resolution multiplier for PNG exports
+export const PNG_SCALE = 3;
+
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * File-name-safe version of a chart title
+ * @param {string} title - Chart title
+ * @returns {string} - e.g. "positioning-accuracy"
+ */
+export const chartFileName = (title) => String(title).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+
+// Recharts draws its legend as HTML next to the SVG, so the entries are redrawn in the export
+const readLegend = (frame) => [...frame.querySelectorAll('.recharts-legend-item')].map(item => {
+  const icon = item.querySelector('path, rect, line');
+  const fill = icon && icon.getAttribute('fill');
+  return {
+    label: item.textContent.trim(),
+    color: fill && fill !== 'none' ? fill : (icon && icon.getAttribute('stroke')) || '#666'
+  };
+});
+
+const legendSvg = (items, y) => {
+  let x = PADDING;
+  return items.map(item => {
+    const entry = `<rect x="${x}" y="${y - 9}" width="10" height="10" fill="${escapeXml(item.color)}"/>` +
+      `<text x="${x + 14}" y="${y}" font-size="12" fill="#374151">${escapeXml(item.label)}</text>`;
+    // Approximate text width; legend labels are short
+    x += 14 + item.label.length * 6.5 + 16;
+    return entry;
+  }).join('');
+};
+
+/**
+ * Builds a standalone SVG of a rendered chart with its title, legend, axis labels and footnote
+ * @param {HTMLElement} frame - Element containing the Recharts chart
+ * @param {Object} options - Text drawn around the chart
+ * @param {string} options.title - Chart title
+ * @param {string} [options.xLabel] - Horizontal axis label
+ * @param {string} [options.yLabel] - Vertical axis label
+ * @param {string} [options.note] - Footnote, e.g. sample size and data source
+ * @returns {{svg: string, width: number, height: number}|null} - SVG markup and size, or null when nothing is drawn
+ */
+export const composeChartSvg = (frame, { title, xLabel, yLabel, note }) => {
+  const chart = frame.querySelector('svg.recharts-surface');
+  if (!chart) return null;
+
+  const chartWidth = parseFloat(chart.getAttribute('width')) || chart.clientWidth;
+  const chartHeight = parseFloat(chart.getAttribute('height')) || chart.clientHeight;
+  const legend = readLegend(frame);
+  const noteLines = note ? String(note).split('\n') : [];
+
+  const left = PADDING + (yLabel ? AXIS_LABEL_SIZE : 0);
+  const top = PADDING + TITLE_HEIGHT + (legend.length > 0 ? LEGEND_HEIGHT : 0);
+  const width = left + chartWidth + PADDING;
+  const height = top + chartHeight + (xLabel ? AXIS_LABEL_SIZE : 0) + noteLines.length * FOOTNOTE_LINE_HEIGHT + PADDING;
+
+  const clone = chart.cloneNode(true);
+  clone.setAttribute('x', left);
+  clone.setAttribute('y', top);
+  clone.removeAttribute('style');
+  clone.removeAttribute('class');
+  const chartMarkup = new XMLSerializer().serializeToString(clone);
+
+  const parts = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${escapeXml(FONT_FAMILY)}">`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    `<text x="${PADDING}" y="${PADDING + 18}" font-size="18" font-weight="600" fill="#111827">${escapeXml(title)}</text>`,
+    legend.length > 0 ? legendSvg(legend, PADDING + TITLE_HEIGHT + 14) : '',
+    chartMarkup,
+    yLabel
+      ? `<text transform="translate(${PADDING + 12}, ${top + chartHeight / 2}) rotate(-90)" text-anchor="middle" font-size="13" fill="#374151">${escapeXml(yLabel)}</text>`
+      : '',
+    xLabel
+      ? `<text x="${left + chartWidth / 2}" y="${top + chartHeight + 15}" text-anchor="middle" font-size="13" fill="#374151">${escapeXml(xLabel)}</text>`
+      : '',
+    ...noteLines.map((line, i) =>
+      `<text x="${PADDING}" y="${top + chartHeight + (xLabel ? AXIS_LABEL_SIZE : 0) + 12 + i * FOOTNOTE_LINE_HEIGHT}" font-size="11" fill="#6b7280">${escapeXml(line)}</text>`
+    ),
+    '</svg>'
+  ];
+
+  return { svg: parts.join(''), width, height };
+};
+
+/**
+ * Rasterizes an SVG at a higher pixel density
+ * @param {{svg: string, width: number, height: number}} image - Output of composeChartSvg
+ * @param {number} [scale=PNG_SCALE] - Pixels per SVG unit
+ * @returns {Promise<Blob>} - PNG image
+ */
+export const svgToPng = ({ svg, width, height }, scale = PNG_SCALE) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext('2d');
+    context.scale(scale, scale);
+    context.drawImage(image, 0, 0, width, height);
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('The chart could not be converted to PNG.'))), 'image/png');
+  };
+  image.onerror = () => reject(new Error('The chart could not be converted to PNG.'));
+  image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+});
+
+/**
+ * Renders every exportable chart inside a container as SVG and PNG files
+ * @param {HTMLElement} container - Element holding ChartFrame charts
+ * @param {string} folder - Folder name for the files inside the archive
+ * @returns {Promise<Object[]>} - Files as { name, content } ready for createZip
+ */
+export const collectChartFiles = async (container, folder) => {
+  const used = new Set();
+  const files = [];
+
+  for (const frame of container.querySelectorAll('[data-chart-export]')) {
+    const options = JSON.parse(frame.dataset.chartExport);
+    const image = composeChartSvg(frame, options);
+    if (!image) continue;
+
+    let name = chartFileName(options.title);
+    for (let i = 2; used.has(name); i++) name = `${chartFileName(options.title)}-${i}`;
+    used.add(name);
+
+    const png = await svgToPng(image);
+    files.push(
+      { name: `${folder}/${name}.svg`, content: image.svg },
+      { name: `${folder}/${name}.png`, content: new Uint8Array(await png.arrayBuffer()) }
+    );
+  }
+  return files;
+};
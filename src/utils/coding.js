@@ -0,0 +1,331 @@
+// Manual qualitative coding: a codebook, codes applied to each comment, and summaries of the coded comments
+
+import _ from 'lodash';
+import Papa from 'papaparse';
+import { getMetricValue } from './study';
+import { isNonAnswer } from './textAnalysis';
+import { hashText } from './privacy';
+
+const CODING_STORAGE_KEY = 'bmen354.coding';
+const CODING_FILE_TYPE = 'bmen354-coding';
+const CODING_FILE_VERSION = 1;
+
+const CODE_COLORS = ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+/**
+ * Identifies a comment across sessions: the participant's stable identifier and the question
+ * @param {string} participant - From codingParticipantIds, or the participant code when there is none
+ * @param {string} questionId - e.g. "improvements:circle" or "additional"
+ * @returns {string}
+ */
+export const codingKey = (participant, questionId) => `${participant}|${questionId}`;
+
+/**
+ * Stable identifiers for keying codings. Participant codes follow row order, so codings are saved against a hash
+ * of the original participant ID salted with the data source instead, and stay with the person when rows are
+ * reordered or removed.
+ * @param {Object[]} key - Pseudonym key of the loaded file, from pseudonymizeRows
+ * @param {string} sourceName - Data source the codings belong to
+ * @returns {Object<string, string>} - Identifier per participant code
+ */
+export const codingParticipantIds = (key, sourceName) =>
+  Object.fromEntries(key.map(entry => [entry.code, hashText(entry.originalId, `coding:${sourceName}`)]));
+
+// Saved with each coding so a comment whose text changed after it was coded can be flagged
+const commentTextHash = (text) => hashText(text, 'comment');
+
+/**
+ * Every free-text answer that can be coded. Blank and "None"-style answers are left out unless asked for.
+ * @param {Object[]} data - Analyzed survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {Object} [options]
+ * @param {boolean} [options.includeNonAnswers=false] - Keep blank and "None"-style answers too
+ * @param {Object<string, string>} [options.participantIds] - From codingParticipantIds; without them comments are
+ *   keyed by participant code
+ * @returns {Object[]} - { key, participant, questionId, kind ('likes', 'improvements' or 'additional'),
+ *   designId (null for additional comments), question (label), text, nonAnswer, row }
+ */
+export const collectComments = (data, study, { includeNonAnswers = false, participantIds = {} } = {}) => {
+  const questions = [
+    ...study.designs.flatMap(design => [
+      { questionId: `likes:${design.id}`, kind: 'likes', designId: design.id, question: `${design.shortName}: likes`, column: study.likesColumn(design.id) },
+      { questionId: `improvements:${design.id}`, kind: 'improvements', designId: design.id, question: `${design.shortName}: improvements`, column: study.improvementsColumn(design.id) }
+    ]),
+    { questionId: 'additional', kind: 'additional', designId: null, question: 'Additional comments', column: study.additionalCommentsColumn }
+  ];
+
+  return data.flatMap((row, index) => {
+    // Rows without an ID code are keyed by position, which only holds while the data is unchanged
+    const participant = row[study.participantIdColumn] || `row-${index + 1}`;
+    return questions
+      .map(({ column, ...question }) => {
+        const text = row[column] === null || row[column] === undefined ? '' : String(row[column]).trim();
+        return {
+          key: codingKey(participantIds[participant] || participant, question.questionId),
+          participant,
+          ...question,
+          text,
+          nonAnswer: isNonAnswer(text),
+          row
+        };
+      })
+      .filter(comment => includeNonAnswers || !comment.nonAnswer);
+  });
+};
+
+// Keeps the well-formed codings, limited to the given codes, that still carry a code
+const validCodings = (codings, knownIds) => _.pickBy(
+  _.mapValues(codings || {}, entry => (entry && Array.isArray(entry.codes) && typeof entry.textHash === 'string'
+    ? { codes: entry.codes.filter(id => knownIds.has(id)), textHash: entry.textHash }
+    : null)),
+  entry => entry && entry.codes.length > 0
+);
+
+/**
+ * Loads the codebook and the codings saved in this browser for a data source
+ * @param {string} sourceName - Data source the comments belong to
+ * @returns {{codebook: Object[], codings: Object<string, Object>}} - Codes as { id, name, description, color };
+ *   codings map a codingKey to { codes: [code ids], textHash } with a hash of the text that was coded
+ */
+export const loadCoding = (sourceName) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(CODING_STORAGE_KEY) || '{}');
+    const codebook = Array.isArray(saved.codebook) ? saved.codebook : [];
+    return {
+      codebook,
+      codings: validCodings(saved.codings && saved.codings[sourceName], new Set(codebook.map(code => code.id)))
+    };
+  } catch {
+    return { codebook: [], codings: {} };
+  }
+};
+
+/**
+ * Saves the codebook, shared by every data source, and the codings of one source
+ * @param {string} sourceName - Data source the codings belong to
+ * @param {{codebook: Object[], codings: Object<string, Object>}} coding - Current coding
+ */
+export const saveCoding = (sourceName, { codebook, codings }) => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(CODING_STORAGE_KEY) || '{}');
+    saved.codebook = codebook;
+    saved.codings = { ...saved.codings, [sourceName]: codings };
+    window.localStorage.setItem(CODING_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Storage can be unavailable (private browsing); the coding then lasts for this session only
+  }
+};
+
+/**
+ * Adds a code to the codebook
+ * @param {Object[]} codebook - Current codes
+ * @param {string} name - Code name, e.g. "clearance"
+ * @param {string} [description] - What the code covers
+ * @returns {Object[]} - New codebook; unchanged when the name is empty or already used
+ */
+export const addCode = (codebook, name, description = '') => {
+  const trimmed = name.trim();
+  if (!trimmed || codebook.some(code => code.name.toLowerCase() === trimmed.toLowerCase())) return codebook;
+
+  const base = _.kebabCase(trimmed) || 'code';
+  let id = base;
+  for (let i = 2; codebook.some(code => code.id === id); i++) id = `${base}-${i}`;
+  const color = CODE_COLORS[codebook.length % CODE_COLORS.length];
+  return [...codebook, { id, name: trimmed, description: description.trim(), color }];
+};
+
+/**
+ * Removes a code from the codebook and from every comment
+ * @param {{codebook: Object[], codings: Object<string, Object>}} coding - Current coding
+ * @param {string} codeId - Code to remove
+ * @returns {{codebook: Object[], codings: Object<string, Object>}}
+ */
+export const removeCode = ({ codebook, codings }, codeId) => ({
+  codebook: codebook.filter(code => code.id !== codeId),
+  codings: _.omitBy(
+    _.mapValues(codings, entry => ({ ...entry, codes: entry.codes.filter(id => id !== codeId) })),
+    entry => entry.codes.length === 0
+  )
+});
+
+/**
+ * Code ids applied to a comment
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object} comment - From collectComments
+ * @returns {string[]}
+ */
+export const appliedCodes = (codings, comment) => (codings[comment.key] ? codings[comment.key].codes : []);
+
+/**
+ * Whether a coded comment's text differs from the text it had when it was coded
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object} comment - From collectComments
+ * @returns {boolean}
+ */
+export const codingTextChanged = (codings, comment) =>
+  Boolean(codings[comment.key]) && codings[comment.key].textHash !== commentTextHash(comment.text);
+
+/**
+ * Applies or removes a code on one comment. The first code records the comment's text; later codes keep
+ * that record, so a changed text stays flagged until confirmCodingText.
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object} comment - From collectComments
+ * @param {string} codeId - Code to toggle
+ * @returns {Object<string, Object>}
+ */
+export const toggleCode = (codings, comment, codeId) => {
+  const entry = codings[comment.key];
+  const current = entry ? entry.codes : [];
+  const codes = current.includes(codeId) ? current.filter(id => id !== codeId) : [...current, codeId];
+  if (codes.length === 0) return _.omit(codings, comment.key);
+  return { ...codings, [comment.key]: { codes, textHash: entry ? entry.textHash : commentTextHash(comment.text) } };
+};
+
+/**
+ * Keeps a comment's codes for its current text, clearing the changed-text flag
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object} comment - From collectComments
+ * @returns {Object<string, Object>}
+ */
+export const confirmCodingText = (codings, comment) => (codings[comment.key]
+  ? { ...codings, [comment.key]: { ...codings[comment.key], textHash: commentTextHash(comment.text) } }
+  : codings);
+
+/**
+ * Saved codings that belong to no comment in the data: the participant's row was removed, their ID
+ * changed, or their answer was cleared
+ * @param {Object[]} comments - From collectComments
+ * @param {Object<string, Object>} codings - Current codings
+ * @returns {number}
+ */
+export const unmatchedCodings = (comments, codings) => {
+  const keys = new Set(comments.map(comment => comment.key));
+  return Object.keys(codings).filter(key => !keys.has(key)).length;
+};
+
+/**
+ * How often each code was applied, per design and question kind
+ * @param {Object[]} comments - From collectComments
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object[]} codebook - Current codes
+ * @returns {Object[]} - Per code: { code, total, byQuestion: {[questionId]: count} }
+ */
+export const codeCounts = (comments, codings, codebook) => codebook.map(code => {
+  const coded = comments.filter(comment => appliedCodes(codings, comment).includes(code.id));
+  return { code, total: coded.length, byQuestion: _.countBy(coded, 'questionId') };
+});
+
+/**
+ * Mean rating of each design among participants whose comments on that design carry a code, against those whose do not
+ * @param {Object[]} comments - From collectComments
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object[]} codebook - Current codes
+ * @param {Object[]} data - Analyzed survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {string} metricId - Metric to summarize
+ * @returns {Object[]} - Per code: { code, designs: [{ designId, coded: {mean, n}, uncoded: {mean, n} }] }
+ */
+export const codesByRating = (comments, codings, codebook, data, study, metricId) => {
+  const summarize = (rows, designId) => {
+    const values = rows.map(row => getMetricValue(study, row, metricId, designId)).filter(value => value !== null);
+    return { mean: values.length > 0 ? _.mean(values) : null, n: values.length };
+  };
+
+  return codebook.map(code => ({
+    code,
+    designs: study.designs.map(design => {
+      const codedRows = new Set(comments
+        .filter(comment => comment.designId === design.id && appliedCodes(codings, comment).includes(code.id))
+        .map(comment => comment.row));
+      return {
+        designId: design.id,
+        coded: summarize(data.filter(row => codedRows.has(row)), design.id),
+        uncoded: summarize(data.filter(row => !codedRows.has(row)), design.id)
+      };
+    })
+  }));
+};
+
+/**
+ * Participants with each code anywhere in their comments, per group of a demographic factor
+ * @param {Object[]} comments - From collectComments
+ * @param {Object<string, Object>} codings - Current codings
+ * @param {Object[]} codebook - Current codes
+ * @param {Object} factor - Factor from filterOptions, with the groups of the analyzed rows
+ * @param {Object} study - Study from createStudy
+ * @returns {Object[]} - Per code: { code, counts: {[group value]: participants} }
+ */
+export const codesByGroup = (comments, codings, codebook, factor, study) => {
+  const { column } = study.demographics.find(d => d.id === factor.id);
+  return codebook.map(code => {
+    const rows = _.uniq(comments.filter(comment => appliedCodes(codings, comment).includes(code.id)).map(comment => comment.row));
+    return { code, counts: _.countBy(rows, row => row[column]) };
+  });
+};
+
+/**
+ * Serializes the codebook and codings for sharing or backup
+ * @param {{codebook: Object[], codings: Object<string, Object>}} coding - Current coding
+ * @param {string} sourceName - Data source the codings belong to
+ * @returns {string} - JSON text
+ */
+export const codingToJson = ({ codebook, codings }, sourceName) => JSON.stringify({
+  type: CODING_FILE_TYPE,
+  version: CODING_FILE_VERSION,
+  source: sourceName,
+  exportedAt: new Date().toISOString(),
+  codebook,
+  codings
+}, null, 2);
+
+/**
+ * One row per coded comment, with the comment text and code names, for spreadsheets. Comments whose text
+ * changed since they were coded are marked in text_changed.
+ * @param {Object[]} comments - From collectComments
+ * @param {{codebook: Object[], codings: Object<string, Object>}} coding - Current coding
+ * @returns {string} - CSV text
+ */
+export const codingsToCsv = (comments, { codebook, codings }) => {
+  const names = Object.fromEntries(codebook.map(code => [code.id, code.name]));
+  const rows = comments
+    .filter(comment => appliedCodes(codings, comment).length > 0)
+    .map(comment => ({
+      participant: comment.participant,
+      question: comment.question,
+      comment: comment.text,
+      codes: appliedCodes(codings, comment).map(id => names[id] || id).join('; '),
+      text_changed: codingTextChanged(codings, comment) ? 'yes' : ''
+    }));
+  return Papa.unparse(rows, { columns: ['participant', 'question', 'comment', 'codes', 'text_changed'], newline: '\n' });
+};
+
+/**
+ * Merges an exported coding file into the current coding. Imported codes replace codes with the same id,
+ * and imported codings replace the codes of the same comments.
+ * @param {string} text - Contents of a file written by codingToJson
+ * @param {{codebook: Object[], codings: Object<string, Object>}} coding - Current coding
+ * @returns {{codebook: Object[], codings: Object<string, Object>}}
+ * @throws {Error} When the file is not a coding export
+ */
+export const mergeCodingFile = (text, { codebook, codings }) => {
+  let imported;
+  try {
+    imported = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!imported || imported.type !== CODING_FILE_TYPE || !Array.isArray(imported.codebook)) {
+    throw new Error('The file is not a codebook export from this tool.');
+  }
+
+  const importedCodes = imported.codebook
+    .filter(code => code && typeof code.id === 'string' && typeof code.name === 'string')
+    .map((code, i) => ({ description: '', color: CODE_COLORS[(codebook.length + i) % CODE_COLORS.length], ...code }));
+  const mergedCodebook = [
+    ...codebook.map(code => importedCodes.find(c => c.id === code.id) || code),
+    ...importedCodes.filter(code => !codebook.some(c => c.id === code.id))
+  ];
+  const importedCodings = validCodings(imported.codings, new Set(mergedCodebook.map(code => code.id)));
+
+  return { codebook: mergedCodebook, codings: { ...codings, ...importedCodings } };
+};
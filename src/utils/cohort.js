@@ -0,0 +1,147 @@
+// Cohort filter restricting every analysis to participants matching demographic and date criteria
+
+import _ from 'lodash';
+
+/**
+ * No restrictions. groups: {[factorId]: values to keep}; ranges: {[factorId]: {min, max}} on the
+ * group's number for ordered factors; dates: inclusive 'YYYY-MM-DD' bounds on the response timestamp.
+ */
+export const EMPTY_FILTER = { groups: {}, ranges: {}, dates: { from: '', to: '' } };
+
+const isBlank = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Number used to order a group of an ordered factor: the first number in parentheses if there is one
+ * ("5'8\" - 5'11\" (171-180 cm)" -> 171), otherwise the first number ("3 - Moderate experience" -> 3)
+ * @param {*} value - Group label
+ * @returns {number|null}
+ */
+export const orderValue = (value) => {
+  if (typeof value === 'number') return value;
+  const text = String(value);
+  const match = text.match(/\([^)]*?(\d+(?:\.\d+)?)/) || text.match(/\d+(?:\.\d+)?/);
+  if (!match) return null;
+  return parseFloat(match[1] ?? match[0]);
+};
+
+/**
+ * Parses a survey timestamp such as "4/2/2025 13:23:40" (month/day/year, as exported by Google Forms) or an ISO date
+ * @param {*} value - Timestamp cell
+ * @returns {Date|null}
+ */
+export const parseTimestamp = (value) => {
+  if (isBlank(value)) return null;
+  const match = String(value).trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+  const date = match
+    ? new Date(+match[3], +match[1] - 1, +match[2], +(match[4] || 0), +(match[5] || 0), +(match[6] || 0))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Local calendar date as 'YYYY-MM-DD', comparable with date input values
+const toDateString = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/**
+ * Groups available for filtering in the loaded data
+ * @param {Object[]} rows - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @returns {{factors: Object[], dates: {min: string, max: string}|null}} - Factors as { id, name, ordered,
+ *   groups: [{ value, order, count }] } (ordered ones sorted by their number) and the range of response dates
+ */
+export const filterOptions = (rows, study) => {
+  const factors = study.demographics.map(factor => {
+    const counts = _.countBy(rows.filter(row => !isBlank(row[factor.column])), row => row[factor.column]);
+    const groups = Object.entries(counts).map(([value, count]) => ({ value, order: orderValue(value), count }));
+    const ordered = Boolean(factor.ordered) && groups.every(group => group.order !== null);
+    return { id: factor.id, name: factor.name, ordered, groups: ordered ? _.sortBy(groups, 'order') : _.sortBy(groups, 'value') };
+  });
+
+  const dates = rows.map(row => parseTimestamp(row[study.timestampColumn])).filter(Boolean).map(toDateString).sort();
+  return { factors, dates: dates.length > 0 ? { min: dates[0], max: dates[dates.length - 1] } : null };
+};
+
+/**
+ * Drops unrestricted factors, so equal filters compare equal and stay out of links
+ * @param {Object} filter - Cohort filter
+ * @returns {Object}
+ */
+export const normalizeFilter = (filter) => ({
+  groups: _.omitBy(filter.groups, values => values.length === 0),
+  ranges: _.omitBy(filter.ranges, range => range.min === null && range.max === null),
+  dates: filter.dates
+});
+
+/**
+ * Whether a filter restricts anything
+ * @param {Object} filter - Cohort filter
+ * @returns {boolean}
+ */
+export const isFilterActive = (filter) =>
+  Object.values(filter.groups).some(values => values.length > 0) ||
+  Object.values(filter.ranges).some(range => range.min !== null || range.max !== null) ||
+  Boolean(filter.dates.from || filter.dates.to);
+
+/**
+ * Keeps the rows matching every criterion of the filter. Rows with a blank value for a
+ * restricted factor, or no readable timestamp when dates are restricted, are left out.
+ * @param {Object[]} rows - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {Object} filter - Cohort filter
+ * @returns {Object[]}
+ */
+export const applyCohortFilter = (rows, study, filter) => {
+  if (!isFilterActive(filter)) return rows;
+  const factorById = Object.fromEntries(study.demographics.map(factor => [factor.id, factor]));
+
+  return rows.filter(row => {
+    const groupsMatch = Object.entries(filter.groups).every(([factorId, values]) =>
+      values.length === 0 || (factorById[factorId] && values.includes(String(row[factorById[factorId].column]))));
+
+    const rangesMatch = Object.entries(filter.ranges).every(([factorId, { min, max }]) => {
+      if (min === null && max === null) return true;
+      if (!factorById[factorId]) return true;
+      const order = isBlank(row[factorById[factorId].column]) ? null : orderValue(row[factorById[factorId].column]);
+      return order !== null && (min === null || order >= min) && (max === null || order <= max);
+    });
+
+    let datesMatch = true;
+    if (filter.dates.from || filter.dates.to) {
+      const timestamp = parseTimestamp(row[study.timestampColumn]);
+      const day = timestamp && toDateString(timestamp);
+      datesMatch = Boolean(day) && (!filter.dates.from || day >= filter.dates.from) && (!filter.dates.to || day <= filter.dates.to);
+    }
+
+    return groupsMatch && rangesMatch && datesMatch;
+  });
+};
+
+/**
+ * Short description of the active criteria, e.g. "Experience Level ≥ 3 · Hand Dominance: Right-handed"
+ * @param {Object} filter - Cohort filter
+ * @param {Object} options - Output of filterOptions, for group labels
+ * @returns {string[]} - One entry per criterion
+ */
+export const describeFilter = (filter, options) => {
+  const factorById = Object.fromEntries(options.factors.map(factor => [factor.id, factor]));
+  const name = (factorId) => (factorById[factorId] ? factorById[factorId].name : factorId);
+  // Ranges are shown with the group label they start or end at
+  const label = (factorId, order) => {
+    const group = factorById[factorId] && factorById[factorId].groups.find(g => g.order === order);
+    return group ? group.value : order;
+  };
+
+  const criteria = [
+    ...Object.entries(filter.groups).filter(([, values]) => values.length > 0)
+      .map(([factorId, values]) => `${name(factorId)}: ${values.join(' or ')}`),
+    ...Object.entries(filter.ranges).filter(([, range]) => range.min !== null || range.max !== null)
+      .map(([factorId, { min, max }]) => {
+        if (min !== null && max !== null) return `${name(factorId)} from ${label(factorId, min)} to ${label(factorId, max)}`;
+        return min !== null ? `${name(factorId)} ≥ ${label(factorId, min)}` : `${name(factorId)} ≤ ${label(factorId, max)}`;
+      })
+  ];
+  if (filter.dates.from || filter.dates.to) {
+    criteria.push(`Responses ${filter.dates.from ? `from ${filter.dates.from} ` : ''}${filter.dates.to ? `to ${filter.dates.to}` : 'onward'}`.trim());
+  }
+  return criteria;
+};
@@ -0,0 +1,137 @@
+// Two-cohort comparison: per-cohort results, design x cohort interaction tests and difference-of-differences effect sizes
+
+import _ from 'lodash';
+import * as math from 'mathjs';
+import { getMetricValue } from './study';
+import { applyCohortFilter, EMPTY_FILTER } from './cohort';
+import { studentTQuantile } from './distributions';
+import { calculateStats, completeCases, completePairs, tTest, mixedAnova, interactionPermutationTest, adjustPValues } from './statistics';
+import { DEFAULT_SEED } from './random';
+
+const PERMUTATIONS = 2000;
+
+/**
+ * Selects the rows of each cohort
+ * @param {Object[]} rows - Analyzed survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {Object[]} filters - Two cohort filters
+ * @returns {{cohorts: Object[][], overlap: number}} - Rows per cohort and how many participants are in both
+ */
+export const splitCohorts = (rows, study, filters) => {
+  const cohorts = filters.map(filter => applyCohortFilter(rows, study, filter));
+  const inFirst = new Set(cohorts[0]);
+  return { cohorts, overlap: cohorts[1].filter(row => inFirst.has(row)).length };
+};
+
+/**
+ * Suggests two cohorts from one factor: the largest group against the rest, or for
+ * ordered factors the lower half of participants against the upper half
+ * @param {Object} factor - Factor from filterOptions
+ * @returns {Object[]|null} - Two cohort filters, or null when the factor has a single group
+ */
+export const splitByFactor = (factor) => {
+  if (factor.groups.length < 2) return null;
+  const withGroups = (groups) => ({ ...EMPTY_FILTER, groups: { [factor.id]: groups.map(group => group.value) } });
+  const withRange = (range) => ({ ...EMPTY_FILTER, ranges: { [factor.id]: { min: null, max: null, ...range } } });
+
+  if (!factor.ordered) {
+    const largest = _.maxBy(factor.groups, 'count');
+    return [withGroups([largest]), withGroups(factor.groups.filter(group => group !== largest))];
+  }
+
+  // Cut after the group that splits participants most evenly; both halves keep at least one group
+  const half = _.sumBy(factor.groups, 'count') / 2;
+  const cumulative = factor.groups.slice(0, -1).map((_group, i) => _.sumBy(factor.groups.slice(0, i + 1), 'count'));
+  const cut = _.minBy(_.range(cumulative.length), i => Math.abs(cumulative[i] - half));
+  return [withRange({ max: factor.groups[cut].order }), withRange({ min: factor.groups[cut + 1].order })];
+};
+
+// Metrics plus the preference ranking, each read as one value per participant and design
+const comparisonMeasures = (study) => [
+  ...study.metrics.map(metric => ({
+    id: metric.id,
+    name: metric.name,
+    higherIsBetter: metric.higherIsBetter,
+    value: (row, designId) => getMetricValue(study, row, metric.id, designId)
+  })),
+  {
+    id: 'ranking',
+    name: 'Preference rank',
+    higherIsBetter: false,
+    value: (row, designId) => {
+      const rank = row[study.rankingColumn(designId)];
+      return typeof rank === 'number' && rank >= 1 ? rank : null;
+    }
+  }
+];
+
+// Difference between cohorts of the within-participant difference between two designs
+const differenceOfDifferences = (differencesA, differencesB) => {
+  if (differencesA.length < 2 || differencesB.length < 2) return null;
+
+  const did = math.mean(differencesA) - math.mean(differencesB);
+  const nA = differencesA.length;
+  const nB = differencesB.length;
+  const varA = math.variance(differencesA);
+  const varB = math.variance(differencesB);
+  const { t, df, pValue } = tTest(differencesA, differencesB);
+  const margin = studentTQuantile(0.975, df) * Math.sqrt(varA / nA + varB / nB);
+  const pooledSD = Math.sqrt(((nA - 1) * varA + (nB - 1) * varB) / (nA + nB - 2));
+
+  return {
+    did,
+    ci: [did - margin, did + margin],
+    // Signed standardized difference; null when neither cohort's differences vary
+    d: pooledSD > 0 ? did / pooledSD : null,
+    t,
+    df,
+    pValue
+  };
+};
+
+/**
+ * Compares two cohorts on every metric and the ranking
+ * @param {Object[][]} cohorts - Rows of the two cohorts (no participant in both)
+ * @param {Object} study - Study from createStudy
+ * @param {Object} [options]
+ * @param {string} [options.correctionMethod='holm'] - Adjustment of the difference-of-differences p-values,
+ *   across every measure and design pair
+ * @param {number} [options.seed] - Seed for the permutation tests
+ * @returns {Object[]} - Per measure: { id, name, higherIsBetter, designs: [{ designId, cohorts: [{mean, stdDev, n}] }],
+ *   anova (mixed ANOVA), permutation, contrasts: [{ pair, cohortMeans, did, ci, d, t, df, pValue, adjustedPValue }] }
+ */
+export const compareCohorts = (cohorts, study, { correctionMethod = 'holm', seed = DEFAULT_SEED } = {}) => {
+  const results = comparisonMeasures(study).map(measure => {
+    const columns = cohorts.map(rows => study.designs.map(design => rows.map(row => measure.value(row, design.id))));
+    const byDesign = (cohort, designId) => columns[cohort][study.designs.findIndex(d => d.id === designId)];
+
+    const groups = columns.map(cohortColumns => completeCases(cohortColumns));
+    const testable = groups.every(group => group.length > 0);
+
+    return {
+      id: measure.id,
+      name: measure.name,
+      higherIsBetter: measure.higherIsBetter,
+      designs: study.designs.map(design => ({
+        designId: design.id,
+        cohorts: cohorts.map((_rows, cohort) => calculateStats(byDesign(cohort, design.id).filter(v => v !== null)))
+      })),
+      anova: testable ? mixedAnova(groups) : null,
+      permutation: testable ? interactionPermutationTest(groups, { iterations: PERMUTATIONS, seed }) : null,
+      contrasts: study.pairs.map(pair => {
+        const differences = cohorts.map((_rows, cohort) =>
+          completePairs(byDesign(cohort, pair.a), byDesign(cohort, pair.b)).map(([a, b]) => a - b));
+        return {
+          pair,
+          cohortMeans: differences.map(values => (values.length > 0 ? math.mean(values) : null)),
+          ...differenceOfDifferences(differences[0], differences[1])
+        };
+      })
+    };
+  });
+
+  const contrasts = results.flatMap(result => result.contrasts);
+  const adjusted = adjustPValues(contrasts.map(contrast => contrast.pValue ?? null), correctionMethod);
+  contrasts.forEach((contrast, i) => { contrast.adjustedPValue = adjusted[i]; });
+  return results;
+};
@@ -0,0 +1,106 @@
+// Consent checks and participant withdrawals
+
+import _ from 'lodash';
+import { hashText } from './privacy';
+
+const WITHDRAWALS_STORAGE_KEY = 'bmen354.withdrawals';
+
+// Case- and whitespace-insensitive form of a free-text answer, with typographic apostrophes straightened
+const normalizeText = (text) => String(text).replace(/[\u2018\u2019]/g, "'").trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Kinds of exclusion applied before any analysis
+ */
+export const EXCLUSION_REASONS = {
+  consent: 'Consent statement missing',
+  withdrawn: 'Withdrawn from the study'
+};
+
+/**
+ * Whether a row contains the expected consent statement (ignoring case and spacing)
+ * @param {Object} row - Survey row
+ * @param {Object} study - Study from createStudy
+ * @returns {boolean}
+ */
+export const hasConsent = (row, study) => {
+  const value = row[study.consentColumn];
+  if (typeof value !== 'string') return false;
+  return normalizeText(value).includes(normalizeText(study.config.consentStatement));
+};
+
+/**
+ * Finds the rows that must be left out of every analysis
+ * @param {Object[]} rows - Pseudonymized survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {string[]} withdrawals - Participant codes that withdrew
+ * @param {boolean} checkConsent - False when the dataset has no consent column
+ * @returns {(string|null)[]} - Exclusion reason per row, or null when the row is included
+ */
+export const findExclusions = (rows, study, withdrawals, checkConsent = true) => {
+  const withdrawn = new Set(withdrawals);
+  return rows.map(row => {
+    if (withdrawn.has(row[study.participantIdColumn])) return 'withdrawn';
+    if (checkConsent && study.config.consentStatement && !hasConsent(row, study)) return 'consent';
+    return null;
+  });
+};
+
+/**
+ * Resolves a withdrawal entry, given either as a participant code or an original ID
+ * @param {string} input - Code such as "P03", or the ID the participant entered
+ * @param {Object[]} key - Pseudonym key from pseudonymizeRows
+ * @returns {string|null} - Participant code, or null when nothing matches
+ */
+export const resolveParticipantCode = (input, key) => {
+  const text = String(input).trim();
+  if (!text) return null;
+  const entry = key.find(e => e.code.toLowerCase() === text.toLowerCase()) ||
+    key.find(e => e.originalId.toLowerCase() === text.toLowerCase());
+  return entry ? entry.code : null;
+};
+
+// Saved withdrawals identify the person, not their row-order code: a hash of the original
+// participant ID salted with the data source, so reordering or editing the file cannot move them
+const withdrawalHash = (originalId, sourceName) => hashText(String(originalId).trim(), `withdrawal:${sourceName}`);
+
+const readSavedWithdrawals = () => JSON.parse(window.localStorage.getItem(WITHDRAWALS_STORAGE_KEY) || '{}');
+
+/**
+ * Reads the saved withdrawals for a data source and finds the participants they belong to
+ * @param {string} sourceName - Data source the withdrawals belong to
+ * @param {Object[]} key - Pseudonym key of the loaded file, from pseudonymizeRows
+ * @returns {{codes: string[], unmatched: number}} - Codes of the withdrawn participants in this file, and how many
+ *   saved withdrawals match nobody in it (the participant's row was removed, their ID changed, or the entry was
+ *   saved by an older version as a code)
+ */
+export const loadWithdrawals = (sourceName, key) => {
+  try {
+    const saved = readSavedWithdrawals()[sourceName];
+    if (!Array.isArray(saved)) return { codes: [], unmatched: 0 };
+    const codeByHash = new Map(key.map(entry => [withdrawalHash(entry.originalId, sourceName), entry.code]));
+    const codes = saved.map(hash => codeByHash.get(hash)).filter(Boolean);
+    return { codes: _.uniq(codes), unmatched: saved.length - codes.length };
+  } catch {
+    return { codes: [], unmatched: 0 };
+  }
+};
+
+/**
+ * Saves the withdrawals for a data source in this browser. Saved withdrawals of participants
+ * who are not in the loaded file are kept.
+ * @param {string} sourceName - Data source the withdrawals belong to
+ * @param {string[]} codes - Codes of the withdrawn participants in the loaded file
+ * @param {Object[]} key - Pseudonym key of the loaded file
+ */
+export const saveWithdrawals = (sourceName, codes, key) => {
+  try {
+    const saved = readSavedWithdrawals();
+    const inFile = new Set(key.map(entry => withdrawalHash(entry.originalId, sourceName)));
+    const kept = (Array.isArray(saved[sourceName]) ? saved[sourceName] : []).filter(hash => !inFile.has(hash));
+    const withdrawn = key.filter(entry => codes.includes(entry.code)).map(entry => withdrawalHash(entry.originalId, sourceName));
+    saved[sourceName] = [...kept, ...withdrawn];
+    window.localStorage.setItem(WITHDRAWALS_STORAGE_KEY, JSON.stringify(saved));
+  } catch {
+    // Storage can be unavailable (private browsing); the list then lasts for this session only
+  }
+};
@@ -0,0 +1,49 @@
+// Loading and parsing of survey response files
+
+import Papa from 'papaparse';
+
+export const DEMO_DATA_URL = '/bioreactor_survey_responses.csv';
+
+export const ACCEPTED_FILE_TYPES = '.csv,.tsv,.txt,text/csv,text/tab-separated-values';
+
+/**
+ * Parses raw survey text (CSV or TSV) into row objects
+ * @param {string} text - Raw file contents
+ * @returns {{data: Object[], errors: Object[], meta: Object}} - Papa.parse result
+ */
+export const parseSurveyText = (text) => {
+  const parsedData = Papa.parse(text, {
+    header: true,
+    dynamicTyping: true,
+    skipEmptyLines: true,
+    delimitersToGuess: [',', '\t', '|', ';']
+  });
+
+  return parsedData;
+};
+
+/**
+ * Fetches the bundled demo dataset from public/
+ * @returns {Promise<string>} - Raw CSV text
+ */
+export const fetchDemoData = async () => {
+  const response = await fetch(DEMO_DATA_URL);
+  if (!response.ok) {
+    throw new Error(`Could not load demo data (${response.status})`);
+  }
+  return response.text();
+};
+
+/**
+ * Reads a user-supplied File as text
+ * @param {File} file - File from a file input or drop event
+ * @returns {Promise<string>} - File contents
+ */
+export const readFileAsText = (file) => {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsText(file);
+  });
+};
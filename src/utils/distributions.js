@@ -0,0 +1,217 @@
+// Probability distributions needed for exact p-values
+
+import * as math from 'mathjs';
+
+const EPSILON = 1e-14;
+const TINY = 1e-300;
+
+// Continued fraction for the incomplete beta function (modified Lentz's method)
+const betaContinuedFraction = (x, a, b) => {
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let result = d;
+
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    result *= d * c;
+
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+
+  return result;
+};
+
+/**
+ * Regularized incomplete beta function I_x(a, b)
+ * @param {number} x - Upper limit, between 0 and 1
+ * @param {number} a - First shape parameter
+ * @param {number} b - Second shape parameter
+ * @returns {number}
+ */
+export const incompleteBeta = (x, a, b) => {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+
+  const front = Math.exp(
+    math.lgamma(a + b) - math.lgamma(a) - math.lgamma(b) + a * Math.log(x) + b * Math.log(1 - x)
+  );
+
+  // The continued fraction converges fastest on this side of the mean
+  if (x < (a + 1) / (a + b + 2)) {
+    return front * betaContinuedFraction(x, a, b) / a;
+  }
+  return 1 - front * betaContinuedFraction(1 - x, b, a) / b;
+};
+
+/**
+ * Cumulative distribution function of Student's t distribution
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom (need not be an integer)
+ * @returns {number} - P(T <= t)
+ */
+export const studentTCdf = (t, df) => {
+  if (t === Infinity) return 1;
+  if (t === -Infinity) return 0;
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+};
+
+/**
+ * Two-sided p-value for a t statistic
+ * @param {number} t - t statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number|null} - p-value, or null when df is not positive or t is undefined
+ */
+export const tTestPValue = (t, df) => {
+  if (!(df > 0) || Number.isNaN(t)) return null;
+  if (!Number.isFinite(t)) return 0;
+  return incompleteBeta(df / (df + t * t), df / 2, 0.5);
+};
+
+// Series expansion of the regularized lower incomplete gamma function
+const gammaSeries = (a, x) => {
+  let term = 1 / a;
+  let sum = term;
+  for (let n = 1; n <= 500; n++) {
+    term *= x / (a + n);
+    sum += term;
+    if (Math.abs(term) < Math.abs(sum) * EPSILON) break;
+  }
+  return sum * Math.exp(-x + a * Math.log(x) - math.lgamma(a));
+};
+
+// Continued fraction for the regularized upper incomplete gamma function
+const gammaContinuedFraction = (a, x) => {
+  let b = x + 1 - a;
+  let c = 1 / TINY;
+  let d = 1 / b;
+  let result = d;
+  for (let i = 1; i <= 500; i++) {
+    const an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < TINY) d = TINY;
+    c = b + an / c;
+    if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+    if (Math.abs(delta - 1) < EPSILON) break;
+  }
+  return Math.exp(-x + a * Math.log(x) - math.lgamma(a)) * result;
+};
+
+/**
+ * Regularized lower incomplete gamma function P(a, x)
+ * @param {number} a - Shape parameter
+ * @param {number} x - Upper limit
+ * @returns {number}
+ */
+export const incompleteGamma = (a, x) => {
+  if (x <= 0) return 0;
+  if (x < a + 1) return gammaSeries(a, x);
+  return 1 - gammaContinuedFraction(a, x);
+};
+
+/**
+ * Upper-tail p-value of a chi-square statistic
+ * @param {number} x - Chi-square statistic
+ * @param {number} df - Degrees of freedom
+ * @returns {number|null} - P(X >= x), or null when df is not positive
+ */
+export const chiSquarePValue = (x, df) => {
+  if (!(df > 0) || Number.isNaN(x)) return null;
+  return 1 - incompleteGamma(df / 2, x / 2);
+};
+
+/**
+ * Upper-tail p-value of an F statistic
+ * @param {number} f - F statistic
+ * @param {number} df1 - Numerator degrees of freedom
+ * @param {number} df2 - Denominator degrees of freedom
+ * @returns {number|null} - P(F >= f), or null when either df is not positive
+ */
+export const fTestPValue = (f, df1, df2) => {
+  if (!(df1 > 0) || !(df2 > 0) || Number.isNaN(f)) return null;
+  if (f === Infinity) return 0;
+  if (f <= 0) return 1;
+  return incompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+};
+
+/**
+ * Cumulative distribution function of the standard normal distribution
+ * @param {number} z - z score
+ * @returns {number} - P(Z <= z)
+ */
+export const normalCdf = (z) => 0.5 * (1 + math.erf(z / Math.SQRT2));
+
+/**
+ * Inverse of the standard normal CDF (Acklam's rational approximation)
+ * @param {number} p - Probability between 0 and 1
+ * @returns {number} - z such that P(Z <= z) = p
+ */
+export const normalQuantile = (p) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+
+  const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+  const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+  const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+  const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+  const low = 0.02425;
+
+  if (p < low) {
+    const q = Math.sqrt(-2 * Math.log(p));
+    return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+      ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  }
+  if (p > 1 - low) {
+    return -normalQuantile(1 - p);
+  }
+  const q = p - 0.5;
+  const r = q * q;
+  return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+/**
+ * Inverse of Student's t CDF, found by bisection
+ * @param {number} p - Probability between 0 and 1
+ * @param {number} df - Degrees of freedom
+ * @returns {number} - t such that P(T <= t) = p
+ */
+export const studentTQuantile = (p, df) => {
+  if (p <= 0) return -Infinity;
+  if (p >= 1) return Infinity;
+  if (p === 0.5) return 0;
+
+  let low = -1;
+  let high = 1;
+  while (studentTCdf(low, df) > p) low *= 2;
+  while (studentTCdf(high, df) < p) high *= 2;
+
+  for (let i = 0; i < 200 && high - low > 1e-12; i++) {
+    const mid = (low + high) / 2;
+    if (studentTCdf(mid, df) < p) low = mid;
+    else high = mid;
+  }
+  return (low + high) / 2;
+};
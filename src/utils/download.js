@@ -0,0 +1,27 @@
+// Client-side file downloads
+
+/**
+ * Saves text or binary content as a file through a temporary object URL
+ * @param {string} filename - Suggested file name
+ * @param {string|Blob|ArrayBuffer|Uint8Array} content - File contents
+ * @param {string} mimeType - MIME type of the contents
+ */
+export const downloadFile = (filename, content, mimeType = 'text/plain') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  // Some browsers start the download after click() returns, so the URL must outlive this call
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * File name stem for downloads derived from the data source, e.g. "responses" for "data/responses.csv"
+ * @param {string} sourceName - Data source file name or URL
+ * @returns {string}
+ */
+export const fileBaseName = (sourceName) => String(sourceName).split('/').pop().replace(/\.[^.]+$/, '');
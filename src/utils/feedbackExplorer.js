@@ -0,0 +1,101 @@
+// Search and filters for browsing free-text feedback alongside each participant's ratings
+
+import _ from 'lodash';
+import { getMetricValue } from './study';
+import { applyCohortFilter, EMPTY_FILTER } from './cohort';
+
+/**
+ * Explorer settings that show every answered comment
+ * @param {Object} study - Study from createStudy
+ * @returns {Object} - { text, designs, kinds, cohort, rating: { metricId, min, max }, hideNonAnswers }; empty
+ *   designs and kinds lists mean no restriction
+ */
+export const defaultFeedbackQuery = (study) => ({
+  text: '',
+  designs: [],
+  kinds: [],
+  cohort: EMPTY_FILTER,
+  rating: {
+    metricId: (study.config.sentiment || {}).ratingMetric || (study.metrics.find(metric => !metric.measurement) || study.metrics[0]).id,
+    min: null,
+    max: null
+  },
+  hideNonAnswers: true
+});
+
+/**
+ * Splits a search into lowercase terms; double quotes keep a phrase together
+ * @param {string} text - Search box contents, e.g. 'grip "larger hands"'
+ * @returns {string[]}
+ */
+export const searchTerms = (text) => _.uniq(
+  [...String(text).matchAll(/"([^"]+)"|(\S+)/g)]
+    .map(match => (match[1] ?? match[2]).trim().toLowerCase())
+    .filter(Boolean)
+);
+
+/**
+ * Splits text into matching and non-matching parts, for highlighting search terms
+ * @param {string} text - Comment text
+ * @param {string[]} terms - From searchTerms
+ * @returns {{text: string, match: boolean}[]}
+ */
+export const highlightText = (text, terms) => {
+  if (terms.length === 0) return [{ text, match: false }];
+  // Longer terms first, so "larger hands" wins over "larger"
+  const pattern = new RegExp(`(${_.sortBy(terms, term => -term.length).map(_.escapeRegExp).join('|')})`, 'gi');
+  return text.split(pattern).filter(Boolean).map(part => ({ text: part, match: terms.includes(part.toLowerCase()) }));
+};
+
+/**
+ * The rating a comment is filtered on: the participant's rating of the design it is about, or
+ * for general comments their mean rating across designs
+ * @param {Object} comment - From collectComments
+ * @param {Object} study - Study from createStudy
+ * @param {string} metricId - Metric to read
+ * @returns {number|null}
+ */
+export const commentRating = (comment, study, metricId) => {
+  if (comment.designId) return getMetricValue(study, comment.row, metricId, comment.designId);
+  const values = study.designs.map(design => getMetricValue(study, comment.row, metricId, design.id)).filter(value => value !== null);
+  return values.length > 0 ? _.mean(values) : null;
+};
+
+/**
+ * Comments matching every part of the query. Every search term must appear in the comment or its participant code.
+ * @param {Object[]} comments - From collectComments, with non-answers included
+ * @param {Object[]} data - Analyzed survey rows the comments came from
+ * @param {Object} study - Study from createStudy
+ * @param {Object} query - From defaultFeedbackQuery
+ * @returns {Object[]} - Matching comments with their rating on the query's metric
+ */
+export const exploreFeedback = (comments, data, study, query) => {
+  const terms = searchTerms(query.text);
+  const cohort = new Set(applyCohortFilter(data, study, query.cohort));
+  const { metricId, min, max } = query.rating;
+
+  return comments
+    .map(comment => ({ ...comment, rating: commentRating(comment, study, metricId) }))
+    .filter(comment => {
+      if (query.hideNonAnswers && comment.nonAnswer) return false;
+      // General comments are not about one design, so a design restriction leaves them out
+      if (query.designs.length > 0 && !query.designs.includes(comment.designId)) return false;
+      if (query.kinds.length > 0 && !query.kinds.includes(comment.kind)) return false;
+      if (!cohort.has(comment.row)) return false;
+      if ((min !== null || max !== null) &&
+        (comment.rating === null || (min !== null && comment.rating < min) || (max !== null && comment.rating > max))) return false;
+      const haystack = `${comment.text} ${comment.participant}`.toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+};
+
+/**
+ * Every rating a participant gave, for showing next to their comments
+ * @param {Object} row - Survey row
+ * @param {Object} study - Study from createStudy
+ * @returns {Object[]} - Per metric: { metric, values: {[designId]: number|null} }
+ */
+export const participantRatings = (row, study) => study.metrics.map(metric => ({
+  metric,
+  values: Object.fromEntries(study.designs.map(design => [design.id, getMetricValue(study, row, metric.id, design.id)]))
+}));
@@ -0,0 +1,114 @@
+// Study-wide handling of missing metric ratings
+
+import _ from 'lodash';
+import { getMetricValue } from './study';
+
+/**
+ * Policies for missing ratings, applied to every metric analysis and the aggregate score.
+ * description(designNoun) explains a policy in the study's own terms, e.g. description('handle').
+ */
+export const MISSING_DATA_POLICIES = [
+  {
+    id: 'pairwise',
+    label: 'Pairwise-complete',
+    description: (designNoun) => `Each statistic uses every participant with the values it needs; omnibus tests need all ${designNoun}s rated`
+  },
+  {
+    id: 'listwise',
+    label: 'Listwise deletion',
+    description: () => 'Participants missing any rating are removed from every analysis'
+  },
+  {
+    id: 'participantMean',
+    label: 'Impute participant mean',
+    description: (designNoun) => `A missing rating is replaced by the participant's mean rating of the other ${designNoun}s on that metric`
+  },
+  {
+    id: 'median',
+    label: 'Impute median',
+    description: (designNoun) => `A missing rating is replaced by the median rating that ${designNoun} received on that metric`
+  }
+];
+
+/**
+ * Applies a missing-data policy to the metric ratings
+ * @param {Object[]} data - Cleaned survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {string} policy - Policy id from MISSING_DATA_POLICIES
+ * @returns {{rows: Object[], report: Object}} - Rows to analyze (copies when values were imputed) and a report with
+ *   { policy, totalCells, missingCells, imputedCells, droppedParticipants, byMetric: {[metricId]: {missing, imputed}} }
+ */
+export const applyMissingDataPolicy = (data, study, policy) => {
+  const byMetric = Object.fromEntries(study.metrics.map(metric => [metric.id, { missing: 0, imputed: 0 }]));
+  const isMissing = (row, metric, design) => getMetricValue(study, row, metric.id, design.id) === null;
+
+  data.forEach(row => {
+    study.metrics.forEach(metric => {
+      byMetric[metric.id].missing += study.designs.filter(design => isMissing(row, metric, design)).length;
+    });
+  });
+
+  let rows = data;
+  let droppedParticipants = 0;
+
+  if (policy === 'listwise') {
+    rows = data.filter(row => !study.metrics.some(metric => study.designs.some(design => isMissing(row, metric, design))));
+    droppedParticipants = data.length - rows.length;
+  }
+
+  if (policy === 'participantMean' || policy === 'median') {
+    // Column medians come from the observed ratings only
+    const medians = policy === 'median' && Object.fromEntries(study.metrics.flatMap(metric => study.designs.map(design => {
+      const values = _.sortBy(data.map(row => getMetricValue(study, row, metric.id, design.id)).filter(v => v !== null));
+      const middle = Math.floor(values.length / 2);
+      const median = values.length === 0 ? null
+        : values.length % 2 === 1 ? values[middle] : (values[middle - 1] + values[middle]) / 2;
+      return [study.metricColumn(metric.id, design.id), median];
+    })));
+
+    rows = data.map(row => {
+      const copy = { ...row };
+      study.metrics.forEach(metric => {
+        const observed = study.designs.map(design => getMetricValue(study, row, metric.id, design.id)).filter(v => v !== null);
+        study.designs.forEach(design => {
+          if (!isMissing(row, metric, design)) return;
+          const column = study.metricColumn(metric.id, design.id);
+          const value = policy === 'median' ? medians[column] : (observed.length > 0 ? _.mean(observed) : null);
+          if (value === null) return;
+          copy[column] = value;
+          byMetric[metric.id].imputed++;
+        });
+      });
+      return copy;
+    });
+  }
+
+  return {
+    rows,
+    report: {
+      policy,
+      totalCells: data.length * study.metrics.length * study.designs.length,
+      missingCells: _.sumBy(Object.values(byMetric), 'missing'),
+      imputedCells: _.sumBy(Object.values(byMetric), 'imputed'),
+      droppedParticipants,
+      byMetric
+    }
+  };
+};
+
+/**
+ * One-line summary of how missing ratings were handled
+ * @param {Object} report - Report from applyMissingDataPolicy
+ * @param {string} [metricId] - Restrict the counts to one metric
+ * @returns {string}
+ */
+export const describeMissingData = (report, metricId) => {
+  const policy = MISSING_DATA_POLICIES.find(p => p.id === report.policy);
+  const counts = metricId ? report.byMetric[metricId] : { missing: report.missingCells, imputed: report.imputedCells };
+  const parts = [`${counts.missing} missing rating${counts.missing === 1 ? '' : 's'}`];
+  if (counts.imputed > 0) parts.push(`${counts.imputed} imputed`);
+  if (!metricId && report.droppedParticipants > 0) {
+    parts.push(`${report.droppedParticipants} participant${report.droppedParticipants === 1 ? '' : 's'} removed`);
+  }
+  return `${policy.label}: ${parts.join(', ')}`;
+};
@@ -0,0 +1,44 @@
+// Everything one participant answered, gathered for the participant profile
+
+import _ from 'lodash';
+import { collectComments } from './coding';
+import { participantRatings } from './feedbackExplorer';
+
+/**
+ * Collects one participant's demographics, ratings, ranking, attribute votes and comments
+ * @param {Object[]} data - Analyzed survey rows
+ * @param {number} index - Position of the participant's row in data
+ * @param {Object} study - Study from createStudy
+ * @param {Object} [score] - The participant's entry from scoreParticipants, for the computed top choice
+ * @returns {Object} - { participantId, demographics: [{ id, name, value }], ratings (from participantRatings),
+ *   ranking: [{ designId, rank }] (best first), rankedTop, topChoice, topChoiceAgrees, votes: [{ name, vote }],
+ *   comments (from collectComments, blank answers included) }
+ */
+export const participantProfile = (data, index, study, score) => {
+  const row = data[index];
+  const ranking = _.sortBy(
+    study.designs.map(design => {
+      const rank = row[study.rankingColumn(design.id)];
+      return { designId: design.id, rank: typeof rank === 'number' && rank >= 1 ? rank : null };
+    }),
+    entry => entry.rank ?? Infinity
+  );
+  const ranked = ranking.filter(entry => entry.rank !== null);
+  // Only a single design at the top rank counts as an explicit first choice
+  const rankedTop = ranked.length > 0 && ranked.filter(entry => entry.rank === ranked[0].rank).length === 1
+    ? study.designById[ranked[0].designId].name
+    : null;
+  const topChoice = score && score.topChoice !== 'N/A' ? score.topChoice : null;
+
+  return {
+    participantId: row[study.participantIdColumn] || `Row ${index + 1}`,
+    demographics: study.demographics.map(factor => ({ id: factor.id, name: factor.name, value: row[factor.column] ?? null })),
+    ratings: participantRatings(row, study),
+    ranking,
+    rankedTop,
+    topChoice,
+    topChoiceAgrees: rankedTop !== null && topChoice !== null ? rankedTop === topChoice : null,
+    votes: study.attributeVotes.map(attribute => ({ name: attribute.name, vote: row[attribute.column] || null })),
+    comments: collectComments(data, study, { includeNonAnswers: true }).filter(comment => comment.row === row)
+  };
+};
@@ -0,0 +1,152 @@
+// Pseudonymization of participant IDs and redaction of identifiers in free-text answers
+
+import _ from 'lodash';
+
+// Words that can follow a name cue without being a name
+const NOT_NAMES = new Set(['the', 'this', 'that', 'it', 'not', 'very', 'a', 'an', 'and', 'but', 'so', 'all', 'everyone']);
+
+const REDACTION_PATTERNS = [
+  { type: 'email', replacement: '[email]', pattern: /[\w.+-]+@[\w-]+(\.[\w-]+)+/g },
+  // Student and staff numbers: six or more digits, optionally grouped with spaces or dashes
+  { type: 'idNumber', replacement: '[ID number]', pattern: /\b\d(?:[\s-]?\d){5,}\b/g },
+  // Titles followed by a capitalized surname ("Dr. Smith", "Ms Lee")
+  { type: 'name', replacement: '[name]', pattern: /\b(?:Dr|Mr|Mrs|Ms|Miss|Prof)\.?\s+[A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?/g }
+];
+
+// Phrases that usually introduce someone's name ("my name is Jo", "thanks, Sam")
+const NAME_CUE = /\b([Mm]y name is|[Nn]ame:|[Ss]igned|[Rr]egards,?|[Cc]heers,?|[Tt]hanks,?|[Tt]hank you,?)\s+([A-Z][a-z'-]+(?:\s+[A-Z][a-z'-]+)?)/g;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const isMissing = (value) => value === null || value === undefined || String(value).trim() === '';
+
+/**
+ * Non-reversible 53-bit hash (cyrb53) of a text, as hex. Used to remember participants and
+ * comments across sessions without storing their IDs or answers.
+ * @param {string} text - Text to hash
+ * @param {string} [salt] - Mixed into the hash, e.g. the data source, so equal IDs in other studies differ
+ * @returns {string}
+ */
+export const hashText = (text, salt = '') => {
+  const input = `${salt}\u0000${text}`;
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < input.length; i++) {
+    const ch = input.charCodeAt(i);
+    h1 = Math.imul(h1 ^ ch, 2654435761);
+    h2 = Math.imul(h2 ^ ch, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16).padStart(14, '0');
+};
+
+/**
+ * Builds the code for every distinct participant ID, in order of first appearance
+ * @param {Object[]} rows - Parsed survey rows
+ * @param {string} idColumn - Participant ID column
+ * @returns {Object[]} - Key entries { code, originalId, rows: [row numbers] }
+ */
+export const buildPseudonymKey = (rows, idColumn) => {
+  const ids = _.uniq(rows.map(row => row[idColumn]).filter(id => !isMissing(id)).map(id => String(id).trim()));
+  const width = Math.max(2, String(ids.length).length);
+
+  return ids.map((originalId, i) => ({
+    code: `P${String(i + 1).padStart(width, '0')}`,
+    originalId,
+    rows: rows
+      .map((row, index) => (!isMissing(row[idColumn]) && String(row[idColumn]).trim() === originalId ? index + 1 : null))
+      .filter(index => index !== null)
+  }));
+};
+
+// Names that may be repeated in free text: the non-numeric participant IDs and each of
+// their words, longest first so full names are replaced before their parts. Full IDs match
+// in any case; single words only when capitalized, so "Grant" is redacted but "grant" is not.
+const knownNames = (key) => {
+  const ids = key.map(entry => entry.originalId).filter(id => /^[\p{L}\s'.-]+$/u.test(id) && id.length >= 3);
+  const words = ids.flatMap(id => id.split(/\s+/)).filter(word => word.length >= 3 && !ids.includes(word));
+  return _.sortBy([
+    ...ids.map(text => ({ text, flags: 'giu' })),
+    ..._.uniq(words).map(text => ({ text, flags: 'gu' }))
+  ], name => -name.text.length);
+};
+
+/**
+ * Redacts likely names, ID numbers and email addresses from a free-text answer
+ * @param {string} text - Free-text answer
+ * @param {Object[]} names - Known participant names as { text, flags }
+ * @returns {{text: string, redactions: Object<string, number>}} - Redacted text and counts per type
+ */
+export const redactText = (text, names = []) => {
+  const redactions = { name: 0, idNumber: 0, email: 0 };
+  let result = String(text);
+
+  names.forEach(name => {
+    result = result.replace(new RegExp(`(?<![\\p{L}])${escapeRegExp(name.text)}(?![\\p{L}])`, name.flags), () => {
+      redactions.name++;
+      return '[name]';
+    });
+  });
+
+  REDACTION_PATTERNS.forEach(({ type, replacement, pattern }) => {
+    result = result.replace(pattern, () => {
+      redactions[type]++;
+      return replacement;
+    });
+  });
+
+  result = result.replace(NAME_CUE, (match, cue, name) => {
+    if (NOT_NAMES.has(name.split(/\s+/)[0].toLowerCase())) return match;
+    redactions.name++;
+    return `${cue} [name]`;
+  });
+
+  return { text: result, redactions };
+};
+
+/**
+ * Replaces participant IDs with their codes and redacts the free-text answers.
+ * The original IDs are only kept in the returned key.
+ * @param {Object[]} rows - Parsed survey rows
+ * @param {Object} study - Study from createStudy
+ * @returns {{rows: Object[], key: Object[], redactions: Object<string, number>}} - Pseudonymized copies of the rows,
+ *   the pseudonym key, and how many identifiers of each type were redacted
+ */
+export const pseudonymizeRows = (rows, study) => {
+  const idColumn = study.participantIdColumn;
+  const key = buildPseudonymKey(rows, idColumn);
+  const codes = new Map(key.map(entry => [entry.originalId, entry.code]));
+  const names = knownNames(key);
+  const textColumns = [
+    ...study.designs.flatMap(design => [study.likesColumn(design.id), study.improvementsColumn(design.id)]),
+    study.additionalCommentsColumn
+  ];
+  const redactions = { name: 0, idNumber: 0, email: 0 };
+
+  const pseudonymized = rows.map(row => {
+    const copy = { ...row };
+    if (!isMissing(row[idColumn])) copy[idColumn] = codes.get(String(row[idColumn]).trim());
+
+    textColumns.forEach(column => {
+      if (isMissing(row[column]) || typeof row[column] !== 'string') return;
+      const redacted = redactText(row[column], names);
+      copy[column] = redacted.text;
+      Object.entries(redacted.redactions).forEach(([type, count]) => { redactions[type] += count; });
+    });
+    return copy;
+  });
+
+  return { rows: pseudonymized, key, redactions };
+};
+
+/**
+ * Serializes the pseudonym key as CSV, for storing separately from any exported results
+ * @param {Object[]} key - Output of buildPseudonymKey
+ * @returns {string} - CSV text
+ */
+export const pseudonymKeyToCsv = (key) => {
+  const quote = (value) => `"${String(value).replace(/"/g, '""')}"`;
+  const lines = key.map(entry => [entry.code, entry.originalId, entry.rows.join(' ')].map(quote).join(','));
+  return ['code,original_id,rows', ...lines].join('\n');
+};
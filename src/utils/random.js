@@ -0,0 +1,108 @@
+// Seedable random numbers so resampling results are reproducible
+
+export const DEFAULT_SEED = 354;
+
+/**
+ * Creates a seeded pseudo-random generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {function(): number} - Returns floats in [0, 1)
+ */
+export const createRandom = (seed = DEFAULT_SEED) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draws a bootstrap resample (with replacement) of an array
+ * @param {Array} items - Items to resample
+ * @param {function(): number} random - Generator from createRandom
+ * @returns {Array} - Resample of the same length
+ */
+export const resample = (items, random) => {
+  return items.map(() => items[Math.floor(random() * items.length)]);
+};
+
+/**
+ * Returns a randomly reordered copy of an array (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {function(): number} random - Generator from createRandom
+ * @returns {Array} - Shuffled copy
+ */
+export const shuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Returns the q-th quantile of a sample using linear interpolation
+ * @param {number[]} values - Sample values
+ * @param {number} q - Quantile between 0 and 1
+ * @returns {number}
+ */
+export const quantile = (values, q) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Draws from the standard normal distribution (Box-Muller)
+ * @param {function(): number} random - Generator from createRandom
+ * @returns {number}
+ */
+export const randomNormal = (random) => {
+  let u = 0;
+  while (u === 0) u = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Draws from a Gamma(shape, 1) distribution (Marsaglia-Tsang)
+ * @param {function(): number} random - Generator from createRandom
+ * @param {number} shape - Shape parameter
+ * @returns {number}
+ */
+export const randomGamma = (random, shape) => {
+  if (shape < 1) {
+    // Boost the shape and scale back down
+    return randomGamma(random, shape + 1) * Math.pow(random(), 1 / shape);
+  }
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    let x;
+    let v;
+    do {
+      x = randomNormal(random);
+      v = 1 + c * x;
+    } while (v <= 0);
+    v = v * v * v;
+    const u = random();
+    if (u < 1 - 0.0331 * x * x * x * x) return d * v;
+    if (Math.log(u) < 0.5 * x * x + d * (1 - v + Math.log(v))) return d * v;
+  }
+};
+
+/**
+ * Draws a probability vector from a Dirichlet distribution
+ * @param {function(): number} random - Generator from createRandom
+ * @param {number[]} alphas - Concentration parameters
+ * @returns {number[]} - Non-negative values summing to 1
+ */
+export const randomDirichlet = (random, alphas) => {
+  const draws = alphas.map(alpha => randomGamma(random, alpha));
+  const total = draws.reduce((sum, x) => sum + x, 0);
+  return draws.map(x => x / total);
+};
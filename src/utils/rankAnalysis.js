@@ -0,0 +1,120 @@
+// Statistical models for the handle preference rankings
+
+import _ from 'lodash';
+import { friedmanTest } from './statistics';
+import { createRandom, resample, quantile, DEFAULT_SEED } from './random';
+
+const BOOTSTRAP_SAMPLES = 1000;
+
+// Weak Gamma prior on each worth (shape 1 + PRIOR_STRENGTH, rate PRIOR_STRENGTH * k)
+// keeps designs that were never ranked first from collapsing to a worth of zero
+const PRIOR_STRENGTH = 0.5;
+
+/**
+ * Reads every participant's ranking of the designs
+ * @param {Object[]} data - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @returns {number[][]} - One row of ranks per participant who ranked every design
+ */
+export const extractRankings = (data, study) => {
+  return data
+    .map(row => study.designs.map(design => row[study.rankingColumn(design.id)]))
+    .filter(ranks => ranks.every(rank => typeof rank === 'number' && rank >= 1));
+};
+
+// Converts a row of ranks into design indices ordered from most to least preferred
+const toOrdering = (ranks) => _.sortBy(ranks.map((rank, i) => ({ rank, i })), 'rank').map(r => r.i);
+
+/**
+ * Fits a Plackett-Luce model by minorization-maximization (Hunter, 2004)
+ * @param {number[][]} orderings - Design indices from most to least preferred, one per participant
+ * @param {number} k - Number of designs
+ * @returns {number[]} - Worth of each design, normalized to sum to 1
+ */
+export const fitPlackettLuce = (orderings, k) => {
+  let worths = new Array(k).fill(1 / k);
+
+  // Number of times each design was picked from a remaining choice set
+  const wins = new Array(k).fill(0);
+  orderings.forEach(ordering => {
+    ordering.slice(0, -1).forEach(i => { wins[i]++; });
+  });
+
+  for (let iteration = 0; iteration < 500; iteration++) {
+    const denominators = new Array(k).fill(0);
+    orderings.forEach(ordering => {
+      for (let stage = 0; stage < ordering.length - 1; stage++) {
+        const remaining = ordering.slice(stage);
+        const total = _.sumBy(remaining, i => worths[i]);
+        remaining.forEach(i => { denominators[i] += 1 / total; });
+      }
+    });
+
+    const next = worths.map((_w, i) =>
+      (wins[i] + PRIOR_STRENGTH) / (denominators[i] + PRIOR_STRENGTH * k)
+    );
+    const change = _.max(next.map((w, i) => Math.abs(w - worths[i])));
+    worths = next;
+    if (change < 1e-10) break;
+  }
+
+  const sum = _.sum(worths);
+  return worths.map(w => w / sum);
+};
+
+// Probability that design a is preferred to design b under a Plackett-Luce model
+const beatsProbability = (worths, a, b) => worths[a] / (worths[a] + worths[b]);
+
+/**
+ * Analyzes the preference rankings: Friedman test, Kendall's W and a
+ * Plackett-Luce model with bootstrap uncertainty
+ * @param {Object[]} data - Survey rows
+ * @param {Object} study - Study from createStudy
+ * @param {number} seed - Seed for the bootstrap resampling
+ * @returns {Object|null} - Rank analysis, or null when fewer than two participants ranked every design
+ */
+export const analyzeRankings = (data, study, seed = DEFAULT_SEED) => {
+  const rankings = extractRankings(data, study);
+  const k = study.designs.length;
+  if (rankings.length < 2 || k < 2) return null;
+
+  const friedman = friedmanTest(rankings);
+  const orderings = rankings.map(toOrdering);
+  const worths = fitPlackettLuce(orderings, k);
+
+  // Bootstrap participants to get percentile intervals for worths and pairwise probabilities
+  const random = createRandom(seed);
+  const bootWorths = _.range(BOOTSTRAP_SAMPLES).map(() => fitPlackettLuce(resample(orderings, random), k));
+
+  const designs = study.designs.map((design, i) => {
+    const samples = bootWorths.map(w => w[i]);
+    return {
+      id: design.id,
+      name: design.name,
+      meanRank: friedman.meanRanks[i],
+      worth: worths[i],
+      worthCI: [quantile(samples, 0.025), quantile(samples, 0.975)]
+    };
+  });
+
+  const beats = study.designs.map((_a, a) => study.designs.map((_b, b) => {
+    if (a === b) return null;
+    const samples = bootWorths.map(w => beatsProbability(w, a, b));
+    return {
+      probability: beatsProbability(worths, a, b),
+      ci: [quantile(samples, 0.025), quantile(samples, 0.975)],
+      // Share of participants who actually ranked a above b
+      observed: rankings.filter(ranks => ranks[a] < ranks[b]).length / rankings.length
+    };
+  }));
+
+  return {
+    n: rankings.length,
+    friedman,
+    kendallW: friedman.kendallW,
+    designs,
+    beats,
+    bootstrapSamples: BOOTSTRAP_SAMPLES,
+    seed
+  };
+};
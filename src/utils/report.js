@@ -0,0 +1,36 @@
+// Self-contained HTML snapshots of the printable study report
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Every style rule the page currently uses; sheets from other origins cannot be read and are skipped
+const collectStyles = () => [...document.styleSheets].map(sheet => {
+  try {
+    return [...sheet.cssRules].map(rule => rule.cssText).join('\n');
+  } catch {
+    return '';
+  }
+}).join('\n');
+
+/**
+ * Wraps a rendered report in a standalone HTML document with the page's styles inlined.
+ * Charts are inline SVG, so the file opens and prints without a server or network access.
+ * @param {HTMLElement} element - Rendered report
+ * @param {string} title - Document title
+ * @returns {string} - HTML document
+ */
+export const buildReportHtml = (element, title) => [
+  '<!DOCTYPE html>',
+  '<html lang="en">',
+  '<head>',
+  '<meta charset="UTF-8" />',
+  '<meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+  `<title>${escapeHtml(title)}</title>`,
+  `<style>${collectStyles()}</style>`,
+  '</head>',
+  `<body>${element.outerHTML}</body>`,
+  '</html>'
+].join('\n');
@@ -0,0 +1,139 @@
+// Tidy result tables for CSV, JSON and XLSX export
+
+import Papa from 'papaparse';
+
+// Non-finite numbers (NaN, Infinity) are exported as empty cells
+const finite = (value) => (typeof value === 'number' && !Number.isFinite(value) ? null : value ?? null);
+
+const tidy = (rows) => rows.map(row => Object.fromEntries(Object.entries(row).map(([key, value]) => [key, finite(value)])));
+
+/**
+ * Flattens the analysis results into one tidy table per result set
+ * @param {Object} results - Analysis state
+ * @param {Object[]} results.statisticalResults - Per-metric results with adjusted p-values (see applyCorrection)
+ * @param {Object} results.aggregateScores - Output of summarizeScores
+ * @param {Object} results.demographicBreakdown - Mean ranks per demographic group
+ * @param {Object} results.settings - { ciMethod, correctionMethod } labels used in the tables
+ * @param {Object} study - Study from createStudy
+ * @returns {Object[]} - Tables as { id, name, rows } with one flat object per row
+ */
+export const buildResultTables = ({ statisticalResults, aggregateScores, demographicBreakdown, settings }, study) => {
+  const results = statisticalResults || [];
+
+  const descriptives = results.flatMap(result => study.designs.map(design => {
+    const stats = result.designs[design.id];
+    return {
+      metric: result.metric,
+      design: design.name,
+      n: stats.n,
+      mean: stats.mean,
+      sd: stats.stdDev,
+      ci_lower: stats.ci[0],
+      ci_upper: stats.ci[1],
+      ci_method: settings.ciMethod
+    };
+  }));
+
+  const omnibus = results.flatMap(result => {
+    const { anova, friedman } = result.omnibus;
+    const corrected = anova && anova.sphericity && anova.sphericity.violated;
+    return [
+      anova && {
+        metric: result.metric,
+        test: 'Repeated-measures ANOVA',
+        n: anova.n,
+        statistic: anova.f,
+        df1: corrected ? anova.ggDf1 : anova.df1,
+        df2: corrected ? anova.ggDf2 : anova.df2,
+        p_value: anova.reportedPValue,
+        effect_size: anova.partialEtaSquared,
+        effect_size_measure: 'partial eta squared',
+        note: corrected ? 'Greenhouse-Geisser corrected' : ''
+      },
+      friedman && {
+        metric: result.metric,
+        test: 'Friedman',
+        n: friedman.n,
+        statistic: friedman.chiSquare,
+        df1: friedman.df,
+        df2: null,
+        p_value: friedman.pValue,
+        effect_size: friedman.kendallW,
+        effect_size_measure: "Kendall's W",
+        note: ''
+      }
+    ].filter(Boolean);
+  });
+
+  const pairwise = results.flatMap(result => result.comparisons.map(comparison => ({
+    metric: result.metric,
+    design_a: study.designById[comparison.a].name,
+    design_b: study.designById[comparison.b].name,
+    n: comparison.paired.n,
+    mean_difference: comparison.paired.meanDiff,
+    t: comparison.paired.t,
+    df: comparison.paired.df,
+    p_value: comparison.pValue,
+    p_adjusted: comparison.adjustedPValue,
+    correction: settings.correctionMethod,
+    dz: comparison.paired.dz,
+    wilcoxon_w: comparison.wilcoxon.w,
+    wilcoxon_p_value: comparison.wilcoxon.pValue,
+    effect_size: comparison.interpretation,
+    // Welch's test ignores the pairing and is kept for reference, as in the Statistical Analysis tab
+    welch_t: comparison.welch.t,
+    welch_df: comparison.welch.df,
+    welch_p_value: comparison.welch.pValue
+  })));
+
+  const aggregateSummary = aggregateScores ? study.designs.map(design => ({
+    design: design.name,
+    mean_score: aggregateScores.average[design.name],
+    top_choice_count: aggregateScores.topChoiceCounts[design.name]
+  })) : [];
+
+  const participantScores = aggregateScores ? aggregateScores.detail.flatMap(participant => study.designs.map(design => ({
+    participant: participant.participantId,
+    design: design.name,
+    score: participant.scores[design.name],
+    top_choice: participant.topChoice === design.name
+  }))) : [];
+
+  const demographicRanks = Object.entries(demographicBreakdown || {}).flatMap(([factor, groups]) =>
+    Object.entries(groups).flatMap(([group, values]) => study.designs.map(design => ({
+      factor,
+      group,
+      n: values.count,
+      design: design.name,
+      mean_rank: values[design.name]
+    })))
+  );
+
+  return [
+    { id: 'descriptives', name: 'Descriptives', rows: descriptives },
+    { id: 'omnibus', name: 'Omnibus tests', rows: omnibus },
+    { id: 'pairwise', name: 'Pairwise comparisons', rows: pairwise },
+    { id: 'aggregate', name: 'Aggregate scores', rows: aggregateSummary },
+    { id: 'participant-scores', name: 'Participant scores', rows: participantScores },
+    { id: 'demographic-ranks', name: 'Demographic ranks', rows: demographicRanks }
+  ].map(table => ({ ...table, rows: tidy(table.rows) }));
+};
+
+/**
+ * Serializes one result table as CSV
+ * @param {Object} table - Table from buildResultTables
+ * @returns {string} - CSV text with a header row
+ */
+export const tableToCsv = (table) => Papa.unparse(table.rows, { newline: '\n' });
+
+/**
+ * Bundles every result table and the settings that produced them as JSON
+ * @param {Object[]} tables - Tables from buildResultTables
+ * @param {Object} metadata - Study title, data source, participant count and analysis settings
+ * @returns {string} - Pretty-printed JSON
+ */
+export const resultsToJson = (tables, metadata) => JSON.stringify({
+  ...metadata,
+  exportedAt: new Date().toISOString(),
+  tables: Object.fromEntries(tables.map(table => [table.id, table.rows]))
+}, null, 2);
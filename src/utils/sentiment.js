@@ -0,0 +1,205 @@
+// Lexicon-based sentiment of free-text answers, compared with the participants' ratings
+
+import _ from 'lodash';
+import { getMetricValue } from './study';
+import { lemmatize } from './textAnalysis';
+import { collectComments } from './coding';
+import { spearmanCorrelation } from './statistics';
+
+// Word valence from -3 (very negative) to +3 (very positive), in the style of AFINN, with product-feedback vocabulary
+const LEXICON = {
+  good: 2, great: 3, excellent: 3, perfect: 3, love: 3, like: 2, nice: 2, best: 3, fine: 1, ok: 1, okay: 1,
+  comfortable: 2, comfy: 2, comfort: 1, easy: 2, ease: 1, simple: 1, intuitive: 2, natural: 2, smooth: 1,
+  secure: 2, stable: 2, sturdy: 2, solid: 1, firm: 1, safe: 2, steady: 1, effective: 2, efficient: 2,
+  convenient: 2, helpful: 2, useful: 2, clear: 1, reliable: 2, precise: 2, accurate: 2,
+  work: 1, fit: 1, prefer: 1, recommend: 2, enjoy: 2, happy: 2, satisfied: 2, glad: 2, better: 2,
+  bad: -2, poor: -2, terrible: -3, awful: -3, horrible: -3, hate: -3, dislike: -2, worse: -2, worst: -3,
+  uncomfortable: -2, uncomfy: -2, awkward: -2, hard: -1, difficult: -2, confusing: -2, unintuitive: -2,
+  strange: -1, weird: -1, odd: -1, unnatural: -2, clunky: -2, bulky: -1, heavy: -1, slippery: -2, loose: -1,
+  unstable: -2, wobbly: -2, flimsy: -2, fragile: -2, insecure: -2, unsafe: -2, sharp: -1, rough: -1,
+  pain: -2, painful: -2, hurt: -2, sore: -2, strain: -2, tiring: -2, fatigue: -2, cramp: -2, pinch: -2,
+  annoying: -2, frustrating: -2, problem: -1, issue: -1, fail: -2, broken: -3, useless: -3, cramped: -2,
+  tight: -1, narrow: -1, small: -1, wish: -1, lack: -1, missing: -1, worry: -1, unsure: -1
+};
+
+// Words that are neutral on their own but negative when negated ("I wouldn't use this")
+const NEGATED_VALENCE = { use: -2, choose: -1, want: -1, buy: -1 };
+
+// Negators reverse the valence of a following word within NEGATION_WINDOW words of the same clause;
+// the flip is damped as in VADER
+const NEGATORS = new Set([
+  'not', 'no', 'never', 'nothing', 'none', 'neither', 'nor', 'without', 'hardly', 'barely', 'less', 'cannot',
+  "isn't", "wasn't", "aren't", "weren't", "don't", "doesn't", "didn't", "won't", "wouldn't", "couldn't", "can't",
+  "shouldn't", "ain't", "isnt", "wasnt", "dont", "doesnt", "didnt", "wont", "wouldnt", "couldnt", "cant"
+]);
+const NEGATION_WINDOW = 3;
+const NEGATION_FACTOR = -0.75;
+
+// Multipliers for the word that follows
+const MODIFIERS = {
+  very: 1.5, really: 1.5, extremely: 2, super: 1.5, so: 1.3, too: 1.3, quite: 1.2, incredibly: 2, especially: 1.3,
+  slightly: 0.5, somewhat: 0.6, fairly: 0.7, bit: 0.5, little: 0.5, kinda: 0.6, mostly: 0.8
+};
+
+// After "but", the clause after the contrast outweighs the one before it
+const BUT_BEFORE = 0.5;
+const BUT_AFTER = 1.5;
+
+// Squashes the summed valence into (-1, 1); larger values need more evidence to approach the ends
+const NORMALIZATION_ALPHA = 15;
+
+// Scores at or beyond this magnitude are labelled positive or negative
+const NEUTRAL_BAND = 0.05;
+
+// Text this clearly positive or negative, next to a rating on the other side of the scale midpoint, is a contradiction
+const CONTRADICTION_SCORE = 0.2;
+
+export const SENTIMENT_LABELS = {
+  positive: { label: 'Positive', color: '#10b981' },
+  neutral: { label: 'Neutral', color: '#9ca3af' },
+  negative: { label: 'Negative', color: '#ef4444' }
+};
+
+// Lowercase words with contractions kept whole, so "wouldn't" can act as a negator
+const sentimentTokens = (text) => text
+  .split(/[^a-z']+/)
+  .map(token => token.replace(/^'+|'+$/g, ''))
+  .filter(Boolean);
+
+// Clauses split at punctuation and at "but", so a negation never reaches into the next clause
+// ("No issues. Great handle", "None, I enjoyed it"). Each clause notes whether it precedes the last "but".
+const sentimentClauses = (text) => {
+  const parts = String(text).toLowerCase().replace(/[‘’]/g, "'").split(/\bbut\b/);
+  return parts.flatMap((part, index) => part
+    .split(/[.,;:!?]+/)
+    .map(clause => ({ tokens: sentimentTokens(clause), beforeBut: index < parts.length - 1, afterBut: index > 0 && index === parts.length - 1 }))
+    .filter(clause => clause.tokens.length > 0));
+};
+
+/**
+ * Labels a sentiment score
+ * @param {number} score - Score in (-1, 1)
+ * @returns {string} - 'positive', 'neutral' or 'negative'
+ */
+export const sentimentLabel = (score) => {
+  if (score >= NEUTRAL_BAND) return 'positive';
+  if (score <= -NEUTRAL_BAND) return 'negative';
+  return 'neutral';
+};
+
+/**
+ * Scores the tone of one answer: sums word valences, reversed after a negator in the same clause and scaled
+ * by intensifiers, then squashes the sum into (-1, 1)
+ * @param {string} text - Free-text answer
+ * @param {Object<string, number>} [lexicon] - Word valences, defaults to the built-in lexicon
+ * @returns {{score: number, label: string, terms: Object[]}} - terms as { word, valence } for the words that counted
+ */
+export const scoreSentiment = (text, lexicon = LEXICON) => {
+  const known = new Set([...Object.keys(lexicon), ...Object.keys(NEGATED_VALENCE)]);
+
+  const terms = sentimentClauses(text).flatMap(({ tokens, beforeBut, afterBut }) => tokens.flatMap((token, i) => {
+    const word = lexicon[token] !== undefined || NEGATED_VALENCE[token] !== undefined ? token : lemmatize(token, known);
+    const negated = tokens.slice(Math.max(0, i - NEGATION_WINDOW), i).some(previous => NEGATORS.has(previous));
+
+    let valence = lexicon[word];
+    if (valence === undefined) {
+      if (!negated || NEGATED_VALENCE[word] === undefined) return [];
+      valence = NEGATED_VALENCE[word];
+    } else if (negated) {
+      valence *= NEGATION_FACTOR;
+    }
+
+    valence *= MODIFIERS[tokens[i - 1]] || 1;
+    if (beforeBut) valence *= BUT_BEFORE;
+    if (afterBut) valence *= BUT_AFTER;
+    return [{ word: token, valence }];
+  }));
+
+  const sum = _.sumBy(terms, 'valence');
+  const score = sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA);
+  return { score, label: sentimentLabel(score), terms };
+};
+
+// Count and mean score of a set of scored answers, with counts per label
+const summarize = (scored) => ({
+  n: scored.length,
+  mean: scored.length > 0 ? _.meanBy(scored, 'score') : null,
+  ..._.mapValues(SENTIMENT_LABELS, (_entry, label) => scored.filter(answer => answer.label === label).length)
+});
+
+/**
+ * Sentiment of every free-text answer, per design, compared with each participant's rating of that design
+ * @param {Object[]} data - Analyzed survey rows
+ * @param {Object} study - Study from createStudy; config.sentiment sets the rating metric and extra lexicon words
+ * @returns {Object} - { metricId, answers, designs: [{ designId, likes, improvements, all, rating, points, correlation }],
+ *   additionalComments, correlation, contradictions, contradictionScore, midpoint }. Answers are comments from collectComments with
+ *   { score, label, terms, rating }; summaries are { n, mean, positive, neutral, negative }; points pair each
+ *   participant's mean tone about a design with their rating; contradictions are answers whose tone and rating
+ *   disagree, with contradiction 'positive-low' or 'negative-high'
+ */
+export const analyzeSentiment = (data, study) => {
+  const settings = study.config.sentiment || {};
+  const lexicon = { ...LEXICON, ...settings.lexicon };
+  const metric = study.metricById[settings.ratingMetric] || study.metrics[0];
+  const { min, max } = study.metricScale(metric.id);
+  const midpoint = (min + max) / 2;
+
+  const answers = collectComments(data, study).map(comment => ({
+    ...comment,
+    ...scoreSentiment(comment.text, lexicon),
+    rating: comment.designId ? getMetricValue(study, comment.row, metric.id, comment.designId) : null
+  }));
+
+  // Where the rating sits relative to the scale midpoint, positive when it is favorable
+  const ratingSide = (rating) => Math.sign(rating - midpoint) * (metric.higherIsBetter ? 1 : -1);
+
+  const contradictions = answers
+    .filter(answer => answer.rating !== null)
+    .map(answer => {
+      if (answer.score >= CONTRADICTION_SCORE && ratingSide(answer.rating) < 0) return { ...answer, contradiction: 'positive-low' };
+      // Suggested improvements are critical by design, so only their positive tone can contradict a rating
+      if (answer.kind !== 'improvements' && answer.score <= -CONTRADICTION_SCORE && ratingSide(answer.rating) > 0) return { ...answer, contradiction: 'negative-high' };
+      return null;
+    })
+    .filter(Boolean);
+
+  // One point per participant and design: the mean tone of their answers about it against their rating
+  const participantPoints = study.designs.flatMap(design => _.values(_.groupBy(
+    answers.filter(answer => answer.designId === design.id && answer.rating !== null),
+    'participant'
+  )).map(group => ({ designId: design.id, participant: group[0].participant, score: _.meanBy(group, 'score'), rating: group[0].rating })));
+  const correlate = (points) => spearmanCorrelation(points.map(point => [point.score, point.rating]));
+
+  return {
+    metricId: metric.id,
+    answers,
+    designs: study.designs.map(design => {
+      const ratings = data.map(row => getMetricValue(study, row, metric.id, design.id)).filter(value => value !== null);
+      const points = participantPoints.filter(point => point.designId === design.id);
+      return {
+        designId: design.id,
+        likes: summarize(answers.filter(answer => answer.questionId === `likes:${design.id}`)),
+        improvements: summarize(answers.filter(answer => answer.questionId === `improvements:${design.id}`)),
+        all: summarize(answers.filter(answer => answer.designId === design.id)),
+        rating: { mean: ratings.length > 0 ? _.mean(ratings) : null, n: ratings.length },
+        points,
+        correlation: correlate(points)
+      };
+    }),
+    additionalComments: summarize(answers.filter(answer => answer.kind === 'additional')),
+    correlation: correlate(participantPoints),
+    contradictions,
+    contradictionScore: CONTRADICTION_SCORE,
+    midpoint
+  };
+};
+
+/**
+ * Scorer for single answers with the study's lexicon, for labelling answers where they are listed
+ * @param {Object} study - Study from createStudy
+ * @returns {function(string): {score: number, label: string, terms: Object[]}}
+ */
+export const sentimentScorer = (study) => {
+  const lexicon = { ...LEXICON, ...(study.config.sentiment || {}).lexicon };
+  return (text) => scoreSentiment(text, lexicon);
+};
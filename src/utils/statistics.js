@@ -0,0 +1,575 @@
+// Descriptive statistics and hypothesis tests used by the analysis tabs
+
+import _ from 'lodash';
+import * as math from 'mathjs';
+import { tTestPValue, fTestPValue, chiSquarePValue, normalCdf, normalQuantile, studentTQuantile } from './distributions';
+import { createRandom, resample, shuffle, quantile, DEFAULT_SEED } from './random';
+
+/**
+ * Calculates mean and standard deviation
+ * @param {number[]} arr - Sample values
+ * @returns {{mean: number, stdDev: number, n: number}}
+ */
+export const calculateStats = (arr) => {
+  if (!arr || arr.length === 0) return { mean: 0, stdDev: 0, n: 0 };
+  const mean = math.mean(arr);
+  const stdDev = math.std(arr);
+  return { mean, stdDev, n: arr.length };
+};
+
+export const CI_METHODS = [
+  { id: 't', label: 't distribution' },
+  { id: 'normal', label: 'Normal approximation' },
+  { id: 'percentile', label: 'Percentile bootstrap' },
+  { id: 'bca', label: 'BCa bootstrap' }
+];
+
+const BOOTSTRAP_SAMPLES = 2000;
+
+// Bias-corrected and accelerated bootstrap limits (Efron, 1987)
+const bcaInterval = (values, bootMeans, mean, alpha) => {
+  const below = bootMeans.filter(m => m < mean).length / bootMeans.length;
+  const clamped = Math.min(Math.max(below, 1 / (2 * bootMeans.length)), 1 - 1 / (2 * bootMeans.length));
+  const z0 = normalQuantile(clamped);
+
+  // Acceleration from the jackknife means
+  const n = values.length;
+  const total = _.sum(values);
+  const jackknife = values.map(v => (total - v) / (n - 1));
+  const jackMean = _.mean(jackknife);
+  const num = _.sum(jackknife.map(j => Math.pow(jackMean - j, 3)));
+  const den = 6 * Math.pow(_.sum(jackknife.map(j => Math.pow(jackMean - j, 2))), 1.5);
+  const a = den > 0 ? num / den : 0;
+
+  const adjusted = (z) => normalCdf(z0 + (z0 + z) / (1 - a * (z0 + z)));
+  const zLow = normalQuantile(alpha / 2);
+  const zHigh = normalQuantile(1 - alpha / 2);
+  return [quantile(bootMeans, adjusted(zLow)), quantile(bootMeans, adjusted(zHigh))];
+};
+
+/**
+ * Calculates a confidence interval for the mean of a sample
+ * @param {number[]} values - Sample values
+ * @param {Object} [options]
+ * @param {string} [options.method='t'] - One of CI_METHODS ids
+ * @param {number} [options.seed] - Seed for the bootstrap methods
+ * @param {number} [options.level=0.95] - Confidence level
+ * @returns {number[]} - [lower, upper]
+ */
+export const calculateCI = (values, { method = 't', seed = DEFAULT_SEED, level = 0.95 } = {}) => {
+  const n = values ? values.length : 0;
+  if (n <= 1) return [0, 0];
+
+  const alpha = 1 - level;
+  const mean = math.mean(values);
+  const stdDev = math.std(values);
+
+  if (method === 'normal' || method === 't') {
+    const critical = method === 't' ? studentTQuantile(1 - alpha / 2, n - 1) : normalQuantile(1 - alpha / 2);
+    const marginOfError = critical * (stdDev / Math.sqrt(n));
+    return [mean - marginOfError, mean + marginOfError];
+  }
+
+  if (stdDev === 0) return [mean, mean];
+
+  const random = createRandom(seed);
+  const bootMeans = _.range(BOOTSTRAP_SAMPLES).map(() => _.mean(resample(values, random)));
+
+  if (method === 'bca') return bcaInterval(values, bootMeans, mean, alpha);
+  return [quantile(bootMeans, alpha / 2), quantile(bootMeans, 1 - alpha / 2)];
+};
+
+/**
+ * Formats a p-value for tables and insight text
+ * @param {number|null} p - p-value
+ * @returns {string} - e.g. "0.032", "< 0.001" or "N/A"
+ */
+export const formatPValue = (p) => {
+  if (p === null || p === undefined || Number.isNaN(p)) return 'N/A';
+  if (p < 0.001) return '< 0.001';
+  return p.toFixed(3);
+};
+
+/**
+ * Formats degrees of freedom, keeping one decimal for Welch-Satterthwaite df
+ * @param {number} df - Degrees of freedom
+ * @returns {string}
+ */
+export const formatDf = (df) => {
+  if (!(df > 0)) return 'N/A';
+  return Number.isInteger(df) ? String(df) : df.toFixed(1);
+};
+
+// t statistic for a mean difference, allowing a zero standard error
+const tStatistic = (diff, standardError) => {
+  if (standardError > 0) return diff / standardError;
+  return diff === 0 ? 0 : Math.sign(diff) * Infinity;
+};
+
+/**
+ * Welch's t-test for two independent samples (unequal variances)
+ * @param {number[]} arr1 - First sample
+ * @param {number[]} arr2 - Second sample
+ * @returns {{t: number, df: number, pValue: number|null}} - df is the Welch-Satterthwaite approximation
+ */
+export const tTest = (arr1, arr2) => {
+  if (!arr1 || !arr2 || arr1.length < 2 || arr2.length < 2) {
+    return { t: 0, df: 0, pValue: null };
+  }
+
+  const mean1 = math.mean(arr1);
+  const mean2 = math.mean(arr2);
+  const var1 = math.variance(arr1);
+  const var2 = math.variance(arr2);
+  const n1 = arr1.length;
+  const n2 = arr2.length;
+
+  // Calculate t-statistic
+  const se1 = var1 / n1;
+  const se2 = var2 / n2;
+  const t = tStatistic(mean1 - mean2, Math.sqrt(se1 + se2));
+
+  // Welch-Satterthwaite degrees of freedom (falls back to pooled df when both variances are zero)
+  const df = se1 + se2 > 0
+    ? Math.pow(se1 + se2, 2) / (Math.pow(se1, 2) / (n1 - 1) + Math.pow(se2, 2) / (n2 - 1))
+    : n1 + n2 - 2;
+
+  return { t, df, pValue: tTestPValue(t, df) };
+};
+
+export const CORRECTION_METHODS = [
+  { id: 'none', label: 'None' },
+  { id: 'bonferroni', label: 'Bonferroni' },
+  { id: 'holm', label: 'Holm' },
+  { id: 'bh', label: 'Benjamini-Hochberg (FDR)' }
+];
+
+/**
+ * Adjusts a family of p-values for multiple comparisons
+ * @param {Array<number|null>} pValues - Raw p-values; nulls are kept and not counted in the family
+ * @param {string} method - One of CORRECTION_METHODS ids
+ * @returns {Array<number|null>} - Adjusted p-values, in input order
+ */
+export const adjustPValues = (pValues, method) => {
+  const tested = pValues
+    .map((p, i) => ({ p, i }))
+    .filter(({ p }) => p !== null && p !== undefined && !Number.isNaN(p))
+    .sort((a, b) => a.p - b.p);
+  const m = tested.length;
+  const adjusted = pValues.map(() => null);
+
+  if (method === 'bonferroni') {
+    tested.forEach(({ p, i }) => { adjusted[i] = Math.min(1, p * m); });
+  } else if (method === 'holm') {
+    // Step-down: running maximum keeps adjusted values monotone
+    let runningMax = 0;
+    tested.forEach(({ p, i }, rank) => {
+      runningMax = Math.max(runningMax, Math.min(1, (m - rank) * p));
+      adjusted[i] = runningMax;
+    });
+  } else if (method === 'bh') {
+    // Step-up: running minimum from the largest p-value down
+    let runningMin = 1;
+    for (let rank = m - 1; rank >= 0; rank--) {
+      runningMin = Math.min(runningMin, tested[rank].p * m / (rank + 1));
+      adjusted[tested[rank].i] = runningMin;
+    }
+  } else {
+    tested.forEach(({ p, i }) => { adjusted[i] = p; });
+  }
+
+  return adjusted;
+};
+
+/**
+ * Pairs up two repeated measures, keeping only participants with both values
+ * @param {Array<number|null>} arr1 - First measure, one entry per participant
+ * @param {Array<number|null>} arr2 - Second measure, aligned with arr1
+ * @returns {number[][]} - [value1, value2] for each complete pair
+ */
+export const completePairs = (arr1, arr2) => {
+  return arr1
+    .map((value, i) => [value, arr2[i]])
+    .filter(([a, b]) => a !== null && a !== undefined && b !== null && b !== undefined);
+};
+
+/**
+ * Paired t-test on per-participant differences
+ * @param {number[][]} pairs - [value1, value2] for each participant
+ * @returns {{n: number, df: number, meanDiff: number, t: number, pValue: number|null, dz: number}}
+ *   dz is the standardized mean difference (mean / SD of the differences)
+ */
+export const pairedTTest = (pairs) => {
+  const diffs = pairs.map(([a, b]) => a - b);
+  const n = diffs.length;
+  if (n < 2) return { n, df: 0, meanDiff: n ? diffs[0] : 0, t: 0, pValue: null, dz: 0 };
+
+  const meanDiff = math.mean(diffs);
+  const sdDiff = math.std(diffs);
+  const t = tStatistic(meanDiff, sdDiff / Math.sqrt(n));
+  const df = n - 1;
+
+  // With identical differences dz is unbounded, like t
+  return { n, df, meanDiff, t, pValue: tTestPValue(t, df), dz: sdDiff > 0 ? meanDiff / sdDiff : t };
+};
+
+/**
+ * Assigns ranks to values, averaging ranks across ties
+ * @param {number[]} values - Values to rank
+ * @returns {number[]} - Rank of each value, in input order (1 = smallest)
+ */
+export const rankWithTies = (values) => {
+  const order = values.map((value, i) => ({ value, i })).sort((a, b) => a.value - b.value);
+  const ranks = new Array(values.length);
+  let start = 0;
+  while (start < order.length) {
+    let end = start;
+    while (end + 1 < order.length && order[end + 1].value === order[start].value) end++;
+    const averageRank = (start + end) / 2 + 1;
+    for (let k = start; k <= end; k++) ranks[order[k].i] = averageRank;
+    start = end + 1;
+  }
+  return ranks;
+};
+
+/**
+ * Wilcoxon signed-rank test on per-participant differences. Zero differences
+ * are dropped; the two-sided p-value is exact under the permutation
+ * distribution of the observed (possibly tied) ranks.
+ * @param {number[][]} pairs - [value1, value2] for each participant
+ * @returns {{n: number, w: number, pValue: number|null}} - n counts non-zero differences,
+ *   w is the smaller of the positive and negative rank sums, pValue is null when n is 0
+ */
+export const wilcoxonSignedRank = (pairs) => {
+  // Rounded so that floating-point noise (2.8 - 2.6) does not break ties
+  const diffs = pairs.map(([a, b]) => Math.round((a - b) * 1e9) / 1e9).filter(d => d !== 0);
+  const n = diffs.length;
+  if (n === 0) return { n, w: 0, pValue: null };
+
+  const ranks = rankWithTies(diffs.map(Math.abs));
+  const wPlus = ranks.reduce((sum, rank, i) => sum + (diffs[i] > 0 ? rank : 0), 0);
+  const total = n * (n + 1) / 2;
+  const w = Math.min(wPlus, total - wPlus);
+
+  // Average ranks are multiples of 0.5, so count sign assignments over doubled ranks
+  const doubled = ranks.map(rank => Math.round(rank * 2));
+  const maxSum = doubled.reduce((sum, rank) => sum + rank, 0);
+  let counts = new Array(maxSum + 1).fill(0);
+  counts[0] = 1;
+  doubled.forEach(rank => {
+    const next = counts.slice();
+    for (let s = 0; s + rank <= maxSum; s++) {
+      if (counts[s]) next[s + rank] += counts[s];
+    }
+    counts = next;
+  });
+
+  const threshold = Math.round(w * 2);
+  const lowerTail = counts.slice(0, threshold + 1).reduce((sum, c) => sum + c, 0);
+  const pValue = Math.min(1, 2 * lowerTail / Math.pow(2, n));
+
+  return { n, w, pValue };
+};
+
+/**
+ * Spearman rank correlation with a t-approximation p-value
+ * @param {number[][]} pairs - [x, y] for each observation
+ * @returns {{n: number, rho: number|null, pValue: number|null}} - rho is null when fewer than three
+ *   pairs or when either variable is constant
+ */
+export const spearmanCorrelation = (pairs) => {
+  const n = pairs.length;
+  if (n < 3) return { n, rho: null, pValue: null };
+
+  const xRanks = rankWithTies(pairs.map(([x]) => x));
+  const yRanks = rankWithTies(pairs.map(([, y]) => y));
+  const meanRank = (n + 1) / 2;
+  const sxy = _.sum(xRanks.map((r, i) => (r - meanRank) * (yRanks[i] - meanRank)));
+  const sxx = _.sum(xRanks.map(r => (r - meanRank) ** 2));
+  const syy = _.sum(yRanks.map(r => (r - meanRank) ** 2));
+  if (sxx === 0 || syy === 0) return { n, rho: null, pValue: null };
+
+  const rho = sxy / Math.sqrt(sxx * syy);
+  const df = n - 2;
+  const t = tStatistic(rho * Math.sqrt(df), Math.sqrt(Math.max(0, 1 - rho * rho)));
+  return { n, rho, pValue: tTestPValue(t, df) };
+};
+
+/**
+ * Keeps participants with a value for every repeated measure
+ * @param {Array<Array<number|null>>} columns - One array per condition, aligned by participant
+ * @returns {number[][]} - One row per complete participant, one value per condition
+ */
+export const completeCases = (columns) => {
+  if (columns.length === 0) return [];
+  return columns[0]
+    .map((_value, i) => columns.map(column => column[i]))
+    .filter(row => row.every(v => v !== null && v !== undefined));
+};
+
+// Orthonormal Helmert contrasts for k conditions, (k - 1) x k
+const helmertContrasts = (k) => {
+  const contrasts = [];
+  for (let i = 1; i < k; i++) {
+    const norm = Math.sqrt(i * (i + 1));
+    contrasts.push(Array.from({ length: k }, (_v, j) => (j < i ? 1 : j === i ? -i : 0) / norm));
+  }
+  return contrasts;
+};
+
+// Greenhouse-Geisser epsilon from the contrast-transformed covariance matrix of k conditions
+const greenhouseGeisser = (covariance) => {
+  const k = covariance.length;
+  const contrasts = helmertContrasts(k);
+  const transformed = math.multiply(math.multiply(contrasts, covariance), math.transpose(contrasts));
+  const trace = _.sum(_.range(k - 1).map(i => transformed[i][i]));
+  const sumSquares = _.sum(transformed.flat().map(v => v * v));
+  const epsilon = sumSquares > 0 ? Math.min(1, Math.max(1 / (k - 1), (trace * trace) / ((k - 1) * sumSquares))) : 1;
+  return { transformed, trace, epsilon };
+};
+
+/**
+ * One-way repeated-measures ANOVA with Mauchly's sphericity test and the
+ * Greenhouse-Geisser correction
+ * @param {number[][]} rows - One row per participant, one value per condition (complete cases)
+ * @returns {Object|null} - F, df, p-values, epsilon and sphericity test, or null when n < 2 or k < 2
+ */
+export const repeatedMeasuresAnova = (rows) => {
+  const n = rows.length;
+  const k = n > 0 ? rows[0].length : 0;
+  if (n < 2 || k < 2) return null;
+
+  const grandMean = _.mean(rows.flat());
+  const conditionMeans = _.range(k).map(j => _.mean(rows.map(row => row[j])));
+  const subjectMeans = rows.map(row => _.mean(row));
+
+  const ssTotal = _.sum(rows.flat().map(v => Math.pow(v - grandMean, 2)));
+  const ssConditions = n * _.sum(conditionMeans.map(m => Math.pow(m - grandMean, 2)));
+  const ssSubjects = k * _.sum(subjectMeans.map(m => Math.pow(m - grandMean, 2)));
+  const ssError = Math.max(0, ssTotal - ssConditions - ssSubjects);
+
+  const df1 = k - 1;
+  const df2 = (k - 1) * (n - 1);
+  const msConditions = ssConditions / df1;
+  const msError = ssError / df2;
+  const f = msError > 0 ? msConditions / msError : (msConditions > 0 ? Infinity : 0);
+  const pValue = fTestPValue(f, df1, df2);
+
+  // Sample covariance matrix of the conditions
+  const covariance = _.range(k).map(a => _.range(k).map(b =>
+    _.sum(rows.map(row => (row[a] - conditionMeans[a]) * (row[b] - conditionMeans[b]))) / (n - 1)
+  ));
+
+  const { transformed, trace, epsilon } = greenhouseGeisser(covariance);
+
+  // Mauchly's test is only defined with three or more conditions and enough participants
+  let sphericity = null;
+  if (k > 2 && n > k - 1 && trace > 0) {
+    const p = k - 1;
+    const w = Math.max(0, math.det(transformed) / Math.pow(trace / p, p));
+    const chiSquare = -(n - 1 - (2 * p * p + p + 2) / (6 * p)) * Math.log(w);
+    const df = p * (p + 1) / 2 - 1;
+    const mauchlyP = w > 0 ? chiSquarePValue(chiSquare, df) : 0;
+    sphericity = { w, chiSquare, df, pValue: mauchlyP, violated: mauchlyP !== null && mauchlyP < 0.05 };
+  }
+
+  const ggPValue = fTestPValue(f, df1 * epsilon, df2 * epsilon);
+
+  return {
+    n,
+    f,
+    df1,
+    df2,
+    pValue,
+    epsilon,
+    ggDf1: df1 * epsilon,
+    ggDf2: df2 * epsilon,
+    ggPValue,
+    sphericity,
+    // Use the corrected test whenever Mauchly's test rejects sphericity
+    reportedPValue: sphericity && sphericity.violated ? ggPValue : pValue,
+    partialEtaSquared: ssConditions + ssError > 0 ? ssConditions / (ssConditions + ssError) : 0
+  };
+};
+
+// Sums of squares of a split-plot design: groups of participants (between) x conditions (within)
+const splitPlotSums = (groups) => {
+  const rows = groups.flat();
+  const n = rows.length;
+  const k = rows[0].length;
+  const grandMean = _.mean(rows.flat());
+  const conditionMeans = _.range(k).map(j => _.mean(rows.map(row => row[j])));
+
+  const ssTotal = _.sum(rows.flat().map(v => Math.pow(v - grandMean, 2)));
+  const ssSubjects = k * _.sum(rows.map(row => Math.pow(_.mean(row) - grandMean, 2)));
+  const ssGroups = k * _.sum(groups.map(group => group.length * Math.pow(_.mean(group.flat()) - grandMean, 2)));
+  const ssConditions = n * _.sum(conditionMeans.map(m => Math.pow(m - grandMean, 2)));
+  const ssCells = _.sum(groups.map(group =>
+    group.length * _.sum(_.range(k).map(j => Math.pow(_.mean(group.map(row => row[j])) - grandMean, 2)))
+  ));
+
+  const ssInteraction = Math.max(0, ssCells - ssGroups - ssConditions);
+
+  return {
+    ssGroups,
+    ssSubjectsWithinGroups: Math.max(0, ssSubjects - ssGroups),
+    ssConditions,
+    ssInteraction,
+    ssError: Math.max(0, ssTotal - ssSubjects - ssConditions - ssInteraction)
+  };
+};
+
+const fRatio = (ms, msError) => (msError > 0 ? ms / msError : (ms > 0 ? Infinity : 0));
+
+/**
+ * Mixed (split-plot) ANOVA with one between-participants factor (groups) and one
+ * within-participants factor (conditions). The within-participant tests use the
+ * Greenhouse-Geisser correction from the pooled within-group covariance matrix.
+ * @param {number[][][]} groups - Per group, one row per participant with one value per condition (complete cases)
+ * @returns {Object|null} - { n, groups: {f, df1, df2, pValue}, conditions, interaction, epsilon }, each within
+ *   test with ggPValue and partialEtaSquared; null without two groups, two conditions and a residual df
+ */
+export const mixedAnova = (groups) => {
+  const g = groups.length;
+  const n = _.sumBy(groups, 'length');
+  const k = n > 0 ? groups.find(group => group.length > 0)[0].length : 0;
+  if (g < 2 || groups.some(group => group.length === 0) || k < 2 || n - g < 1) return null;
+
+  const sums = splitPlotSums(groups);
+  const dfSubjects = n - g;
+  const dfError = (k - 1) * (n - g);
+
+  // Pooled within-group covariance of the conditions
+  const covariance = _.range(k).map(a => _.range(k).map(b => _.sum(groups.map(group => {
+    const means = _.range(k).map(j => _.mean(group.map(row => row[j])));
+    return _.sum(group.map(row => (row[a] - means[a]) * (row[b] - means[b])));
+  })) / dfSubjects));
+  const { epsilon } = greenhouseGeisser(covariance);
+
+  const msError = sums.ssError / dfError;
+  const withinTest = (ss, df1) => {
+    const f = fRatio(ss / df1, msError);
+    return {
+      f,
+      df1,
+      df2: dfError,
+      pValue: fTestPValue(f, df1, dfError),
+      ggPValue: fTestPValue(f, df1 * epsilon, dfError * epsilon),
+      partialEtaSquared: ss + sums.ssError > 0 ? ss / (ss + sums.ssError) : 0
+    };
+  };
+  const groupF = fRatio(sums.ssGroups / (g - 1), sums.ssSubjectsWithinGroups / dfSubjects);
+
+  return {
+    n,
+    epsilon,
+    groups: { f: groupF, df1: g - 1, df2: dfSubjects, pValue: fTestPValue(groupF, g - 1, dfSubjects) },
+    conditions: withinTest(sums.ssConditions, k - 1),
+    interaction: withinTest(sums.ssInteraction, (g - 1) * (k - 1))
+  };
+};
+
+/**
+ * Permutation test of the group x condition interaction: participants are reassigned
+ * to groups at random (keeping group sizes) and the interaction F is recomputed
+ * @param {number[][][]} groups - As for mixedAnova
+ * @param {Object} [options]
+ * @param {number} [options.iterations=2000] - Number of permutations
+ * @param {number} [options.seed] - Seed for the permutations
+ * @returns {{f: number, pValue: number, iterations: number}|null} - Observed F and the permutation p-value
+ */
+export const interactionPermutationTest = (groups, { iterations = 2000, seed = DEFAULT_SEED } = {}) => {
+  const observed = mixedAnova(groups);
+  if (!observed) return null;
+
+  // Degrees of freedom are the same for every permutation, so the ratio of sums of squares orders them like F
+  const interactionF = (grouped) => {
+    const sums = splitPlotSums(grouped);
+    return fRatio(sums.ssInteraction, sums.ssError);
+  };
+  const statistic = interactionF(groups);
+  const pooled = groups.flat();
+  const sizes = groups.map(group => group.length);
+  const random = createRandom(seed);
+
+  let extreme = 0;
+  for (let i = 0; i < iterations; i++) {
+    const shuffled = shuffle(pooled, random);
+    let start = 0;
+    const permuted = sizes.map(size => shuffled.slice(start, (start += size)));
+    // Small tolerance so permutations equivalent to the observed split count as extreme
+    if (interactionF(permuted) >= statistic - 1e-12) extreme++;
+  }
+
+  return { f: observed.interaction.f, pValue: (extreme + 1) / (iterations + 1), iterations };
+};
+
+/**
+ * Friedman rank test for k related samples, with tie correction
+ * @param {number[][]} rows - One row per participant, one value per condition (complete cases)
+ * @returns {Object|null} - Chi-square, df, p-value, mean ranks and Kendall's W, or null when n < 2 or k < 2
+ */
+export const friedmanTest = (rows) => {
+  const n = rows.length;
+  const k = n > 0 ? rows[0].length : 0;
+  if (n < 2 || k < 2) return null;
+
+  const rankedRows = rows.map(row => rankWithTies(row));
+  const rankSums = _.range(k).map(j => _.sum(rankedRows.map(ranks => ranks[j])));
+
+  // Tie correction: sum of (t^3 - t) over tied groups within each participant
+  const tieTerm = _.sum(rankedRows.map(ranks =>
+    _.sum(Object.values(_.countBy(ranks)).map(t => t * t * t - t))
+  ));
+  const denominator = 1 - tieTerm / (n * (k * k * k - k));
+
+  const statistic = 12 / (n * k * (k + 1)) * _.sum(rankSums.map(r => r * r)) - 3 * n * (k + 1);
+  const chiSquare = denominator > 0 ? statistic / denominator : 0;
+  const df = k - 1;
+
+  return {
+    n,
+    chiSquare,
+    df,
+    pValue: denominator > 0 ? chiSquarePValue(chiSquare, df) : 1,
+    meanRanks: rankSums.map(r => r / n),
+    kendallW: chiSquare / (n * (k - 1))
+  };
+};
+
+/**
+ * Calculates Cohen's d for effect size
+ * @param {number[]} arr1 - First sample
+ * @param {number[]} arr2 - Second sample
+ * @returns {number} - Absolute standardized mean difference using the pooled SD
+ */
+export const cohenD = (arr1, arr2) => {
+  if (!arr1 || !arr2 || arr1.length === 0 || arr2.length === 0) {
+    return 0;
+  }
+
+  const mean1 = math.mean(arr1);
+  const mean2 = math.mean(arr2);
+  const n1 = arr1.length;
+  const n2 = arr2.length;
+
+  // Pooled standard deviation
+  const s1 = math.std(arr1);
+  const s2 = math.std(arr2);
+  const pooledSD = Math.sqrt(((n1-1)*s1*s1 + (n2-1)*s2*s2) / (n1+n2-2));
+
+  // Cohen's d
+  return Math.abs(mean1 - mean2) / pooledSD;
+};
+
+/**
+ * Interprets Cohen's d using the conventional thresholds
+ * @param {number} d - Effect size
+ * @returns {string} - Negligible, Small, Medium or Large
+ */
+export const interpretCohenD = (d) => {
+  if (d < 0.2) return "Negligible";
+  if (d < 0.5) return "Small";
+  if (d < 0.8) return "Medium";
+  return "Large";
+};
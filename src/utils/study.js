@@ -0,0 +1,93 @@
+// Resolves a study config against the headers of a loaded dataset
+
+/**
+ * Normalizes a survey header for tolerant matching: case-insensitive, trimmed,
+ * repeated whitespace collapsed, and no space before a duplicate-header suffix
+ * ("Intuitiveness _1" matches "intuitiveness_1")
+ * @param {string} header - Raw or configured header
+ * @returns {string} - Normalized header
+ */
+export const normalizeHeader = (header) => {
+  return String(header)
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/\s+(_\d+)$/, '$1')
+    .toLowerCase();
+};
+
+/**
+ * Substitutes a design name into a "{design}" column template
+ * @param {string} template - Column template from the config
+ * @param {Object} design - Design config
+ * @returns {string} - Header for this design
+ */
+const fillTemplate = (template, design) => template.replace('{design}', design.name);
+
+/**
+ * Builds every pair of designs, in config order
+ * @param {Object[]} designs - Design configs
+ * @returns {Object[]} - Pairs with a stable key and display label
+ */
+export const getDesignPairs = (designs) => {
+  const pairs = [];
+  designs.forEach((a, i) => {
+    designs.slice(i + 1).forEach(b => {
+      pairs.push({ key: `${a.id}-${b.id}`, a: a.id, b: b.id, label: `${a.shortName} vs ${b.shortName}` });
+    });
+  });
+  return pairs;
+};
+
+/**
+ * Creates column accessors for a study config and the headers of a dataset
+ * @param {Object} config - Study config (see config/studyConfig.js)
+ * @param {string[]} fields - Headers of the loaded dataset, as produced by Papa.parse
+ * @returns {Object} - Study with designs, metrics and header lookups
+ */
+export const createStudy = (config, fields = []) => {
+  const lookup = new Map(fields.map(field => [normalizeHeader(field), field]));
+  const column = (header) => lookup.get(normalizeHeader(header)) ?? header;
+
+  const metricColumn = (metric, design) => {
+    // Papa.parse renames repeated headers to "Header_1", "Header_2", ...
+    const header = design.block > 0 ? `${metric.column}_${design.block}` : metric.column;
+    return column(header);
+  };
+
+  const designById = Object.fromEntries(config.designs.map(d => [d.id, d]));
+  const metricById = Object.fromEntries(config.metrics.map(m => [m.id, m]));
+
+  return {
+    config,
+    designs: config.designs,
+    metrics: config.metrics,
+    demographics: config.demographics.map(d => ({ ...d, column: column(d.column) })),
+    attributeVotes: config.attributeVotes.map(name => ({ name, column: column(name) })),
+    pairs: getDesignPairs(config.designs),
+    designById,
+    metricById,
+    column,
+    metricColumn: (metricId, designId) => metricColumn(metricById[metricId], designById[designId]),
+    metricScale: (metricId) => metricById[metricId].scale || config.scale,
+    rankingColumn: (designId) => column(fillTemplate(config.columns.ranking, designById[designId])),
+    likesColumn: (designId) => column(fillTemplate(config.columns.likes, designById[designId])),
+    improvementsColumn: (designId) => column(fillTemplate(config.columns.improvements, designById[designId])),
+    participantIdColumn: column(config.columns.participantId),
+    consentColumn: column(config.columns.consent),
+    timestampColumn: column(config.columns.timestamp),
+    additionalCommentsColumn: column(config.columns.additionalComments)
+  };
+};
+
+/**
+ * Reads a numeric metric value for one participant and design
+ * @param {Object} study - Study from createStudy
+ * @param {Object} row - Survey response row
+ * @param {string} metricId - Metric id
+ * @param {string} designId - Design id
+ * @returns {number|null} - Value, or null when missing
+ */
+export const getMetricValue = (study, row, metricId, designId) => {
+  const value = row[study.metricColumn(metricId, designId)];
+  return typeof value === 'number' && !Number.isNaN(value) ? value : null;
+};
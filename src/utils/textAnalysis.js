@@ -0,0 +1,222 @@
+// Keyword and theme extraction from free-text feedback
+
+import _ from 'lodash';
+
+// Common English function words, plus filler that carries no opinion in short survey answers
+const STOPWORDS = new Set(`
+a about above after again all also am an and any are as at be because been before being below between both but by
+can could did do does doing down during each even few for from further get got had has have having he her here hers
+him his how i if in into is it its itself just me more most my no nor not now of off on once only or other our out
+over own really same she should so some still such than that the their them then there these they this those through
+to too under until up very was we were what when where which while who whom why will with would you your
+maybe slightly little bit lot kind sort quite overall perhaps probably make made use used using may might need less much
+`.trim().split(/\s+/));
+
+// Whole answers that mean "nothing to add"
+const NON_ANSWER = /^(n\/?a|none|nothing|no|nope|nah|not really|no comments?)\b/i;
+const NON_ANSWER_MAX_WORDS = 4;
+
+// Common irregular forms; regular inflections are handled by the suffix rules below
+const IRREGULAR = {
+  better: 'good', best: 'good', worse: 'bad', worst: 'bad', felt: 'feel', held: 'hold',
+  people: 'person', men: 'man', women: 'woman', children: 'child', feet: 'foot', teeth: 'tooth'
+};
+
+// Terms that mean the same thing in theme labels and counts are merged when their documents overlap this much
+const MERGE_OVERLAP = 0.5;
+const MAX_THEMES = 6;
+
+/**
+ * Splits text into lowercase word tokens; contractions other than possessives are dropped
+ * @param {string} text - Free-text answer
+ * @returns {string[]}
+ */
+export const tokenize = (text) => String(text)
+  .toLowerCase()
+  .replace(/[‘’]/g, "'")
+  .split(/[^a-z']+/)
+  .map(token => token.replace(/'s$/, '').replace(/^'+|'+$/g, ''))
+  .filter(token => token.length > 1 && !token.includes("'"));
+
+/**
+ * Reduces a word to its dictionary form. Without a dictionary, inflections are only stripped when
+ * the base form is a known word ("rounded" -> "round" when "round" occurs), so unrelated words
+ * that happen to end in -er or -ing ("finger", "thing") are left alone.
+ * @param {string} token - Lowercase word
+ * @param {Set<string>} vocabulary - Known words, usually every word in the feedback
+ * @returns {string}
+ */
+export const lemmatize = (token, vocabulary) => {
+  if (IRREGULAR[token]) return IRREGULAR[token];
+
+  // Plurals and third-person verbs
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.length > 3 && token.endsWith('s') && !/(ss|us|is)$/.test(token)) {
+    const singular = token.slice(0, -1);
+    if (token.endsWith('es') && vocabulary.has(token.slice(0, -2))) return token.slice(0, -2);
+    return singular;
+  }
+
+  // Comparatives, superlatives, participles and adverbs, checked against the vocabulary
+  for (const suffix of ['iest', 'ier', 'est', 'er', 'ing', 'ed', 'ly']) {
+    if (!token.endsWith(suffix) || token.length - suffix.length < 3) continue;
+    const stem = token.slice(0, -suffix.length);
+    const candidates = suffix === 'ier' || suffix === 'iest'
+      ? [`${stem}y`]
+      : [stem, `${stem}e`, /([^aeiouls])\1$/.test(stem) ? stem.slice(0, -1) : null];
+    const base = candidates.find(candidate => candidate && vocabulary.has(candidate));
+    if (base) return base;
+  }
+  return token;
+};
+
+/**
+ * Whether an answer says there is nothing to add ("N/A", "None", "Nope.")
+ * @param {string} text - Free-text answer
+ * @returns {boolean}
+ */
+export const isNonAnswer = (text) => {
+  const trimmed = String(text).trim();
+  return trimmed === '' || (NON_ANSWER.test(trimmed) && tokenize(trimmed).length <= NON_ANSWER_MAX_WORDS);
+};
+
+/**
+ * Builds the vocabulary used for lemmatization
+ * @param {string[]} texts - Every free-text answer of the study
+ * @param {string[][]} [synonyms] - Groups of related words, counted as known words too
+ * @returns {Set<string>}
+ */
+export const buildVocabulary = (texts, synonyms = []) => {
+  const words = [...texts.flatMap(tokenize), ...synonyms.flat()];
+  // Singulars count as known words, so "worked" can reduce to "work" when only "works" occurs
+  const empty = new Set();
+  return new Set([...words, ...words.map(word => lemmatize(word, empty))]);
+};
+
+// Content words of one answer, lemmatized, with adjacent pairs as bigrams
+const analyzeText = (text, vocabulary, stopwords) => {
+  const lemmas = tokenize(text).map(token => (stopwords.has(token) ? null : lemmatize(token, vocabulary)));
+  const words = lemmas.filter(lemma => lemma && !stopwords.has(lemma));
+  const bigrams = lemmas.slice(1)
+    .map((lemma, i) => (lemma && lemmas[i] && !stopwords.has(lemma) && !stopwords.has(lemmas[i]) ? `${lemmas[i]} ${lemma}` : null))
+    .filter(Boolean);
+  return { words: _.uniq(words), bigrams: _.uniq(bigrams) };
+};
+
+/**
+ * Groups answers into themes. Each content word (or synonym group) is a candidate theme; words
+ * whose answers largely overlap are merged, and every answer mentioning a theme's words supports it.
+ * @param {string[]} comments - Free-text answers to one question
+ * @param {Object} options
+ * @param {Set<string>} options.vocabulary - From buildVocabulary
+ * @param {string[][]} [options.synonyms] - Groups of related words counted as one term
+ * @param {string[]} [options.stopwords] - Extra words to ignore, e.g. the study's design noun
+ * @param {number} [options.minSupport=2] - Answers needed for a theme
+ * @returns {{total: number, answered: number, nonAnswers: number, keywords: Object[], themes: Object[], other: string[]}} -
+ *   keywords as { term, count } (words and two-word phrases), themes as { id, label, terms, count, share, quotes }
+ */
+export const extractThemes = (comments, { vocabulary, synonyms = [], stopwords = [], minSupport = 2 }) => {
+  const stop = new Set([...STOPWORDS, ...stopwords.map(word => word.toLowerCase())]);
+  const groupOf = new Map(synonyms.flatMap(group => group.map(word => [word, group[0]])));
+
+  const docs = comments
+    .filter(text => !isNonAnswer(text))
+    .map(text => ({ text: String(text).trim(), ...analyzeText(text, vocabulary, stop) }))
+    .filter(doc => doc.words.length > 0);
+
+  // Answers per term, with synonyms pooled under the group's first word
+  const termDocs = {};
+  const termWords = {};
+  docs.forEach((doc, index) => {
+    doc.words.forEach(word => {
+      const term = groupOf.get(word) || word;
+      (termDocs[term] = termDocs[term] || new Set()).add(index);
+      termWords[term] = [...(termWords[term] || []), word];
+    });
+  });
+
+  const keywords = _.orderBy(
+    Object.entries(_.countBy(docs.flatMap(doc => [...doc.words, ...doc.bigrams]))).map(([term, count]) => ({ term, count })),
+    ['count', keyword => keyword.term.includes(' '), 'term'],
+    ['desc', 'desc', 'asc']
+  ).filter(keyword => keyword.count >= minSupport);
+
+  // Agglomerate frequent terms whose answers overlap
+  const clusters = [];
+  _.orderBy(Object.keys(termDocs), [term => termDocs[term].size, term => term], ['desc', 'asc'])
+    .filter(term => termDocs[term].size >= minSupport)
+    .forEach(term => {
+      const members = termDocs[term];
+      const match = clusters.find(cluster => {
+        const shared = [...members].filter(index => cluster.docs.has(index)).length;
+        return shared / new Set([...members, ...cluster.docs]).size >= MERGE_OVERLAP;
+      });
+      if (match) {
+        match.terms.push(term);
+        members.forEach(index => match.docs.add(index));
+      } else {
+        clusters.push({ terms: [term], docs: new Set(members) });
+      }
+    });
+
+  const themes = clusters.slice(0, MAX_THEMES).map(cluster => {
+    // Label with the words participants actually used, most frequent first
+    const used = _.orderBy(Object.entries(_.countBy(cluster.terms.flatMap(term => termWords[term]))), ([, count]) => count, 'desc');
+    return {
+      id: cluster.terms.join('-'),
+      label: used.slice(0, 3).map(([word]) => word).join(' / '),
+      terms: cluster.terms,
+      count: cluster.docs.size,
+      share: cluster.docs.size / docs.length,
+      quotes: [...cluster.docs].sort((a, b) => a - b).map(index => docs[index].text)
+    };
+  });
+
+  const themed = new Set(themes.flatMap(theme => theme.quotes));
+  return {
+    total: comments.length,
+    answered: docs.length,
+    nonAnswers: comments.length - docs.length,
+    keywords,
+    themes,
+    other: docs.map(doc => doc.text).filter(text => !themed.has(text))
+  };
+};
+
+/**
+ * Themes of every feedback question: likes and improvements per design, and additional comments
+ * @param {Object} feedback - { designs: [{ id, name, likes, improvements }], additionalComments }
+ * @param {Object} study - Study from createStudy
+ * @returns {{designs: Object[], additionalComments: Object, shared: Object[]}} - shared lists improvement themes
+ *   raised for more than one design, as { term, label, designs: [{ id, name, count }] }
+ */
+export const analyzeFeedback = (feedback, study) => {
+  const settings = study.config.feedbackThemes || {};
+  const synonyms = settings.synonyms || [];
+  const texts = [...feedback.designs.flatMap(design => [...design.likes, ...design.improvements]), ...feedback.additionalComments];
+  const options = {
+    vocabulary: buildVocabulary(texts, synonyms),
+    synonyms,
+    stopwords: [study.config.designNoun, ...(settings.stopwords || [])]
+  };
+
+  const designs = feedback.designs.map(design => ({
+    id: design.id,
+    name: design.name,
+    likes: extractThemes(design.likes, options),
+    improvements: extractThemes(design.improvements, options)
+  }));
+
+  const shared = _.values(_.groupBy(
+    designs.flatMap(design => design.improvements.themes.map(theme => ({ theme, design }))),
+    ({ theme }) => theme.terms[0]
+  ))
+    .filter(entries => entries.length > 1)
+    .map(entries => ({
+      term: entries[0].theme.terms[0],
+      label: _.maxBy(entries, ({ theme }) => theme.count).theme.label,
+      designs: entries.map(({ theme, design }) => ({ id: design.id, name: design.name, count: theme.count }))
+    }));
+
+  return { designs, additionalComments: extractThemes(feedback.additionalComments, options), shared };
+};
@@ -0,0 +1,118 @@
+// View state (tab, analysis options and cohort filter) encoded in the URL hash, so views can be linked and navigated with back/forward
+
+import _ from 'lodash';
+import { CORRECTION_METHODS, CI_METHODS } from './statistics';
+import { MISSING_DATA_POLICIES } from './missingData';
+import { NORMALIZATION_METHODS } from './aggregate';
+import { EMPTY_FILTER, isFilterActive } from './cohort';
+
+// Options that switch to a different view; changing one adds a browser history entry.
+// Weights and the seed are edited in small steps, so they replace the current entry instead.
+const NAVIGATION_KEYS = ['tab', 'correctionMethod', 'ciMethod', 'missingData', 'normalization', 'filter'];
+
+const ids = (options) => options.map(option => option.id);
+
+const PARAMS = [
+  { key: 'tab', param: 'tab' },
+  { key: 'correctionMethod', param: 'correction', allowed: ids(CORRECTION_METHODS) },
+  { key: 'ciMethod', param: 'ci', allowed: ids(CI_METHODS) },
+  { key: 'missingData', param: 'missing', allowed: ids(MISSING_DATA_POLICIES) },
+  { key: 'normalization', param: 'norm', allowed: ids(NORMALIZATION_METHODS) }
+];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Cohort filter as "g.<factor>" (repeated, one per kept group), "min.<factor>", "max.<factor>", "from" and "to"
+const readFilter = (params) => {
+  const filter = { groups: {}, ranges: {}, dates: { ...EMPTY_FILTER.dates } };
+  for (const [param, value] of params) {
+    const [prefix, factorId] = param.split(/\.(.+)/);
+    if (!factorId) continue;
+    if (prefix === 'g') {
+      filter.groups[factorId] = [...(filter.groups[factorId] || []), value];
+    } else if ((prefix === 'min' || prefix === 'max') && Number.isFinite(parseFloat(value))) {
+      filter.ranges[factorId] = { min: null, max: null, ...filter.ranges[factorId], [prefix]: parseFloat(value) };
+    }
+  }
+  ['from', 'to'].forEach(bound => {
+    if (DATE_PATTERN.test(params.get(bound) || '')) filter.dates[bound] = params.get(bound);
+  });
+  return filter;
+};
+
+const writeFilter = (params, filter) => {
+  Object.entries(filter.groups).forEach(([factorId, values]) => values.forEach(value => params.append(`g.${factorId}`, value)));
+  Object.entries(filter.ranges).forEach(([factorId, { min, max }]) => {
+    if (min !== null) params.set(`min.${factorId}`, min);
+    if (max !== null) params.set(`max.${factorId}`, max);
+  });
+  if (filter.dates.from) params.set('from', filter.dates.from);
+  if (filter.dates.to) params.set('to', filter.dates.to);
+};
+
+/**
+ * Reads the view state from a URL hash, ignoring unknown or invalid values
+ * @param {string} hash - location.hash, e.g. "#tab=stats&correction=holm"
+ * @param {string[]} tabIds - Valid tab ids
+ * @returns {Object} - Any of { tab, correctionMethod, ciMethod, missingData, normalization, seed, weights, filter } found in the hash
+ */
+export const readUrlState = (hash, tabIds) => {
+  const params = new URLSearchParams(String(hash).replace(/^#/, ''));
+  const state = {};
+
+  PARAMS.forEach(({ key, param, allowed }) => {
+    const value = params.get(param);
+    if (value !== null && (key === 'tab' ? tabIds : allowed).includes(value)) state[key] = value;
+  });
+
+  const seed = parseInt(params.get('seed'), 10);
+  if (Number.isInteger(seed)) state.seed = seed;
+
+  // Weights as "metricId:weight" pairs, e.g. "comfort:2,ease:0.5"
+  if (params.get('weights')) {
+    const weights = {};
+    params.get('weights').split(',').forEach(pair => {
+      const [metricId, value] = pair.split(':');
+      const weight = parseFloat(value);
+      if (metricId && Number.isFinite(weight) && weight >= 0) weights[metricId] = weight;
+    });
+    if (Object.keys(weights).length > 0) state.weights = weights;
+  }
+
+  const filter = readFilter(params);
+  if (isFilterActive(filter)) state.filter = filter;
+
+  return state;
+};
+
+/**
+ * Encodes the view state as a URL hash, leaving out values that match the defaults
+ * @param {Object} state - { tab, correctionMethod, ciMethod, missingData, normalization, seed, weights, filter }
+ * @param {Object} defaults - The same fields at their default values
+ * @returns {string} - Hash including the leading "#", or "" when everything is at its default
+ */
+export const writeUrlState = (state, defaults) => {
+  const params = new URLSearchParams();
+
+  PARAMS.forEach(({ key, param }) => {
+    if (state[key] !== defaults[key]) params.set(param, state[key]);
+  });
+  if (state.seed !== defaults.seed) params.set('seed', state.seed);
+
+  const changedWeights = Object.entries(state.weights).filter(([metricId, weight]) => weight !== defaults.weights[metricId]);
+  if (changedWeights.length > 0) params.set('weights', changedWeights.map(([metricId, weight]) => `${metricId}:${weight}`).join(','));
+  writeFilter(params, state.filter);
+
+  const query = params.toString();
+  return query ? `#${query}` : '';
+};
+
+/**
+ * Whether moving between two view states should add a browser history entry
+ * @param {Object} previous - State read from the current URL
+ * @param {Object} next - New state
+ * @param {Object} defaults - Default state, for values absent from the URL
+ * @returns {boolean}
+ */
+export const isNavigation = (previous, next, defaults) =>
+  NAVIGATION_KEYS.some(key => !_.isEqual(previous[key] ?? defaults[key], next[key]));
@@ -0,0 +1,157 @@
+// Validation of parsed survey rows and the analyst's accept / fix / quarantine decisions
+
+import _ from 'lodash';
+
+/**
+ * Kinds of problems the validation pass reports
+ */
+export const ISSUE_TYPES = {
+  parse: { label: 'Parse error', severity: 'error' },
+  freeText: { label: 'Text in numeric column', severity: 'error' },
+  outOfRange: { label: 'Out of range', severity: 'error' },
+  missing: { label: 'Missing required field', severity: 'warning' },
+  duplicateId: { label: 'Duplicate participant ID', severity: 'warning' }
+};
+
+/**
+ * What can be done with a row that has issues
+ */
+export const ROW_DECISIONS = [
+  { id: 'accept', label: 'Accept', description: 'Keep the row as recorded; unusable values are treated as missing' },
+  { id: 'fix', label: 'Fix', description: 'Apply the suggested fixes and keep the row' },
+  { id: 'quarantine', label: 'Quarantine', description: 'Leave the row out of every analysis' }
+];
+
+const isMissing = (value) => value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+
+// Leading number of a free-text answer such as "5 (big buckles make hard to use)"
+const leadingNumber = (value) => {
+  const match = String(value).trim().match(/^-?\d+(\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+const formatValue = (value) => {
+  const text = String(value);
+  return text.length > 40 ? `"${text.slice(0, 40)}…"` : `"${text}"`;
+};
+
+// Checks one numeric field; fixes set the value to a usable number, or clear it
+const checkNumeric = (value, column, label, range) => {
+  if (isMissing(value)) {
+    return [{ column, type: 'missing', message: `${label} is empty`, value }];
+  }
+
+  if (typeof value !== 'number') {
+    const number = leadingNumber(value);
+    const usable = number !== null && (!range || (number >= range.min && number <= range.max));
+    return [{
+      column,
+      type: 'freeText',
+      message: `${label} contains text: ${formatValue(value)}`,
+      value,
+      fix: {
+        value: usable ? number : null,
+        description: usable ? `Use ${number}` : 'Clear the value'
+      }
+    }];
+  }
+
+  if (range && (value < range.min || value > range.max)) {
+    return [{
+      column,
+      type: 'outOfRange',
+      message: `${label} is ${value}, outside ${range.min}–${range.max}`,
+      value,
+      fix: { value: null, description: 'Clear the value' }
+    }];
+  }
+
+  return [];
+};
+
+/**
+ * Validates every parsed row against the study definition
+ * @param {Object[]} rows - Rows from Papa.parse, before any cleaning
+ * @param {Object} study - Study from createStudy
+ * @param {Object[]} parseErrors - Papa.parse errors
+ * @returns {{rows: Object[][], datasetIssues: Object[]}} - Issues per row (same order as rows),
+ *   plus parse errors that do not belong to a row
+ */
+export const validateResponses = (rows, study, parseErrors = []) => {
+  const rankRange = { min: 1, max: study.designs.length };
+  const idCounts = _.countBy(
+    rows.map(row => row[study.participantIdColumn]).filter(id => !isMissing(id)),
+    id => String(id).trim()
+  );
+
+  const rowIssues = rows.map((row, index) => {
+    const issues = [];
+
+    parseErrors.filter(error => error.row === index).forEach(error => {
+      issues.push({ column: null, type: 'parse', message: error.message, value: null });
+    });
+
+    const participantId = row[study.participantIdColumn];
+    if (isMissing(participantId)) {
+      issues.push({ column: study.participantIdColumn, type: 'missing', message: 'Participant ID is empty', value: participantId });
+    } else if (idCounts[String(participantId).trim()] > 1) {
+      issues.push({
+        column: study.participantIdColumn,
+        type: 'duplicateId',
+        message: `Participant ID ${participantId} appears ${idCounts[String(participantId).trim()]} times`,
+        value: participantId
+      });
+    }
+
+    study.metrics.forEach(metric => {
+      const range = metric.measurement ? null : study.metricScale(metric.id);
+      study.designs.forEach(design => {
+        const column = study.metricColumn(metric.id, design.id);
+        issues.push(...checkNumeric(row[column], column, `${metric.name} (${design.shortName})`, range));
+      });
+    });
+
+    study.designs.forEach(design => {
+      const column = study.rankingColumn(design.id);
+      issues.push(...checkNumeric(row[column], column, `Ranking of ${design.shortName}`, rankRange));
+    });
+
+    return issues.map(issue => ({ ...issue, severity: ISSUE_TYPES[issue.type].severity }));
+  });
+
+  const datasetIssues = parseErrors
+    .filter(error => error.row === undefined || error.row === null || error.row >= rows.length)
+    .map(error => ({ column: null, type: 'parse', severity: 'error', message: error.message, value: null }));
+
+  return { rows: rowIssues, datasetIssues };
+};
+
+/**
+ * Default decision for each row: fix rows that have a suggested fix, accept the rest
+ * @param {{rows: Object[][]}} validation - Output of validateResponses
+ * @returns {string[]} - Decision id per row
+ */
+export const defaultRowDecisions = (validation) => {
+  return validation.rows.map(issues => (issues.some(issue => issue.fix) ? 'fix' : 'accept'));
+};
+
+/**
+ * Applies the row decisions, returning the rows the analyses should use
+ * @param {Object[]} rows - Rows from Papa.parse
+ * @param {{rows: Object[][]}} validation - Output of validateResponses
+ * @param {string[]} decisions - Decision id per row
+ * @returns {Object[]} - Copies of the kept rows with fixes applied
+ */
+export const applyRowDecisions = (rows, validation, decisions) => {
+  return rows.flatMap((row, index) => {
+    const decision = decisions[index];
+    if (decision === 'quarantine') return [];
+    if (decision !== 'fix') return [{ ...row }];
+
+    const fixed = { ...row };
+    validation.rows[index].forEach(issue => {
+      if (issue.fix) fixed[issue.column] = issue.fix.value;
+    });
+    return [fixed];
+  });
+};